@@ -8,17 +8,28 @@
  * options are the following:
  *
  * @param {Function} authorization(token): a function that return a token, if not provided.
- *  uses by default generateAuthorizationCode function. but you would have to pass options.secret
+ *  uses by default generateAuthorizationCode function. but you would have to pass options.secret or options.keyring
  *
  * @param {Function} claim(user): a function that receives the user as a parameter. this will return this information that will be the payload to generate the token
  */
 const assert = require('assert'),
     _ = require('lodash'),
-    jwt = require('jsonwebtoken'),
     zlog = require('zimit-zlog');
+const {signJwtToken, signSingleUseToken, verifySingleUseToken, verifyAccessToken, isSessionlessToken, getRequestToken, getKeyring, CLIENT_TOKEN_TYPE} = require('./authorize/authorize.helper');
+const blackListService = require('./token-blacklist.service');
+const userSessionService = require('./user-session.service');
+const authorizationCodeService = require('./authorization-code.service');
+const loginThrottleService = require('./login-throttle.service');
+const secondFactorService = require('./second-factor.service');
+const errorCatalog = require('./error-catalog');
+const logRedaction = require('./log-redaction');
 
 const logger = zlog.getLogger('zerv/api/access');
 
+const PASSWORD_RESET_TOKEN_TYPE = 'password_reset';
+const EMAIL_VERIFICATION_TOKEN_TYPE = 'email_verification';
+const MAGIC_LINK_TOKEN_TYPE = 'magic_link';
+
 /**
  * This function configures and add middleware to express to manage user authentication
  *
@@ -27,9 +38,45 @@ const logger = zlog.getLogger('zerv/api/access');
  * @param {Number} options.codeExpiresInSecs this is max duration of a code token
  * @param {Function} options.claim this function receives a user object and generates the content of the token payload
  * @param {String} options.secret this is the secret phrase to sign and verify a token
+ * @param {Keyring} options.keyring this is the keyring to sign and verify a token, when provided the secret is not used
  * @param {Function} options.authorization this function receives a payload object and generates the token. By default a function is provided which uses JWT sign.
  * @param {function} options.onLogin this function would be call during login with the user that has just logged in
  * @param {function} options.findUserByCredentials this function would be called during login with http post data
+ * @param {Object} options.discovery when provided, the jwks and openid configuration are exposed under /.well-known
+ * @param {String} options.discovery.issuer the issuer identifier (url) of the tokens, which is set in the iss claim of the generated tokens
+ * @param {function} options.findClientById this function receives a client id and returns the registered client {clientId, redirectUris} or null.
+ *                                          When provided, the OAuth2 authorization code flow with PKCE is enabled (response_type=code and /token endpoint)
+ * @param {Number} options.authorizationCodeExpiresInSecs this is max duration of an OAuth2 authorization code before being exchanged (by default 60 secs)
+ * @param {function} options.findClientByCredentials this function receives the client id and secret and returns a promise with the client {clientId, name, scope}.
+ *                                                   When provided, services can get a client token via the client_credentials grant of the /token endpoint
+ * @param {Number} options.clientTokenExpiresInSecs this is max duration of a client token (by default 1 hour)
+ * @param {Boolean} options.tokenIntrospection when true (and findClientByCredentials is provided), the /introspect and /revoke endpoints are enabled
+ *                                             so that other backends can check or revoke zerv tokens (RFC 7662 and RFC 7009)
+ * @param {Object} options.loginThrottle when provided, the failed logins are throttled per ip and per username
+ *                                       (maxAttemptsPerUsername, maxAttemptsPerIp, windowInMins, backoffBaseInSecs, maxBackoffInSecs, lockoutInMins).
+ *                                       loginThrottle.getUsername receives the credentials and returns the username (by default username or email)
+ * @param {function} options.onLoginFailed this function would be called after a failed login with {username, ip, failures, error}
+ * @param {function} options.onLockout this function would be called when an ip or a username gets locked out with {type, value, lockedUntil}
+ * @param {function} options.requiresSecondFactor this function receives the user who provided valid credentials and returns true if a second factor is required.
+ *                                                Then the login returns a challenge token to exchange with a one-time password via /authorize/verify
+ * @param {function} options.findUserById this function receives the user id and returns a promise with the user or null.
+ *                                       It finds the user again once the second factor is verified, as only the user id is kept with the challenge
+ * @param {function} options.findSecondFactor this function receives the user and returns his second factor {totpSecret, recoveryCodes} (recoveryCodes are hashes)
+ * @param {function} options.verifySecondFactor this function receives the user and the verify request data, and returns true if valid. It replaces the built-in TOTP and recovery code verification.
+ * @param {function} options.onRecoveryCodeUsed this function receives the user and the hash of the recovery code just used, which must be removed from his recovery codes
+ * @param {Number} options.secondFactorChallengeExpiresInSecs this is max duration of a second factor challenge (by default 5 mins)
+ * @param {function} options.sendMail this function receives a mail {type, to, token, user} to send to the user (type is password_reset or email_verification)
+ * @param {function} options.findUserByEmail this function receives an email and returns a promise with the user or null.
+ *                                           When provided with resetPassword and sendMail, the /password/forgot and /password/reset routes are enabled
+ * @param {function} options.resetPassword this function receives the user id and the new password and returns a promise once the password is changed
+ * @param {Number} options.passwordResetExpiresInMins this is max duration of a password reset token (by default 30 mins)
+ * @param {function} options.verifyEmail this function receives the user id and returns a promise with the user once his email is marked as verified.
+ *                                       When provided with sendMail, the registration sends a verification mail instead of logging the user in, and /register/verify is enabled
+ * @param {Number} options.emailVerificationExpiresInMins this is max duration of an email verification token (by default 1 day)
+ * @param {function} options.allowMagicLink this function receives the user and returns true if he can log in with a link sent by mail (ex: depending on his tenant).
+ *                                          When provided with findUserByEmail and sendMail, the /authorize/magic-link routes are enabled
+ * @param {Number} options.magicLinkExpiresInMins this is max duration of a magic link token (by default 15 mins)
+ * @param {Array<String>} options.tokenSources the request token sources of /logout by precedence: header, bearer, cookie and query (by default all of them)
  *
  */
 module.exports = function(app, options) {
@@ -42,43 +89,417 @@ module.exports = function(app, options) {
     }
 
     app.post('/authorize', handleLoginRequest);
+    if (isSecondFactorEnabled()) {
+        assert(_.isFunction(options.findSecondFactor) || _.isFunction(options.verifySecondFactor), 'findSecondFactor or verifySecondFactor must be defined to verify the second factor.');
+        assert(_.isFunction(options.findUserById), 'findUserById must be defined to find the user once the second factor is verified.');
+        app.post('/authorize/verify', handleSecondFactorRequest);
+    }
+    app.post('/logout', handleLogoutRequest);
     app.post('/register', handleRegisterRequest);
+    if (isEmailVerificationEnabled()) {
+        app.post('/register/verify', handleEmailVerificationRequest);
+    }
+    if (isMagicLinkEnabled()) {
+        app.post('/authorize/magic-link', handleMagicLinkRequest);
+        app.post('/authorize/magic-link/redeem', handleMagicLinkRedeemRequest);
+    }
+    if (isPasswordResetEnabled()) {
+        app.post('/password/forgot', handleForgotPasswordRequest);
+        app.post('/password/reset', handleResetPasswordRequest);
+    }
+    if (isAuthorizationCodeFlowEnabled() || isClientCredentialsGrantEnabled()) {
+        app.post('/token', handleTokenRequest);
+    }
+    if (options.tokenIntrospection) {
+        assert(isClientCredentialsGrantEnabled(), 'findClientByCredentials must be defined to authenticate the clients of the token introspection.');
+        app.post('/introspect', handleIntrospectionRequest);
+        app.post('/revoke', handleRevocationRequest);
+    }
+
+    if (options.discovery) {
+        assert(options.discovery.issuer, 'discovery.issuer must be defined to expose the openid configuration.');
+        app.get('/.well-known/jwks.json', handleJwksRequest);
+        app.get('/.well-known/openid-configuration', handleOpenIdConfigurationRequest);
+    }
 
   // //////////////////////////////////////
 
     async function handleLoginRequest(req, res) {
         if (req.body) {
-            logger.info('checking credentials for %b', JSON.stringify(req.body.user));
+            logger.info('checking credentials for %b', logRedaction.format(req.body));
         }
 
+        if (req.body.response_type === 'code') {
+            return handleAuthorizationCodeRequest(req, res);
+        }
         if (req.body.grant_type !== 'login' && req.body.grant_type !== 'rest') {
-            return res.status(400).send({code: 'INVALID_TYPE'});
+            return sendError(req, res, 'INVALID_TYPE');
+        }
+        const attempt = getLoginAttempt(req, req.body);
+        try {
+            const retryAfter = await getLoginRetryAfter(attempt);
+            if (retryAfter) {
+                return sendTooManyAttempts(req, res, retryAfter);
+            }
+        } catch (err) {
+            return sendError(req, res, err, 'LOGIN_FAILED');
+        }
+        let user;
+        try {
+            user = await options.findUserByCredentials(req.body);
+        } catch (err) {
+            await handleLoginFailure(attempt, err);
+            return sendError(req, res, err, 'INVALID_CREDENTIALS');
+        }
+        try {
+            if (await isSecondFactorRequired(user)) {
+                return await sendSecondFactorChallenge(res, user, {username: attempt.username, grantType: req.body.grant_type});
+            }
+            await completeLogin(req, res, attempt, user, req.body.grant_type);
+        } catch (err) {
+            sendError(req, res, err, 'LOGIN_FAILED');
+        };
+    }
+
+    async function completeLogin(req, res, attempt, user, grantType) {
+        await handleLoginSuccess(attempt);
+        if (_.isFunction(options.onLogin)) {
+            // Note: Remove req.session, req, res in the future. what's the value?
+            await options.onLogin(user, req.session, req, res);
+        }
+        sendAuthorizationResponse(res, user, grantType);
+    }
+
+    function sendTooManyAttempts(req, res, retryAfter) {
+        res.set('Retry-After', String(retryAfter));
+        sendError(req, res, loginThrottleService.TOO_MANY_ATTEMPTS, null, {retryAfter});
+    }
+
+    /**
+     * Respond with an error of the catalog {code, message}.
+     * The original error is only logged, it might contain internal details.
+     *
+     * @param {Object} req
+     * @param {Object} res
+     * @param {String|Error|Object} err the error or the code
+     * @param {String} fallbackCode the code of the catalog to respond when the error is not a code
+     * @param {Object} details additional data for the client
+     */
+    function sendError(req, res, err, fallbackCode, details) {
+        const error = errorCatalog.toClientError(err, fallbackCode);
+        if (err instanceof Error) {
+            logger.error('%s -> Error %b', req.path, error.code, err);
+        } else {
+            logger.info('%s -> Error %b', req.path, error.code);
         }
+        res.status(error.status).send(_.assign({code: error.code, message: error.message}, details));
+    }
+
+    /**
+     * @returns {Promise<Number>} the number of seconds before the next login attempt is allowed, 0 if allowed now.
+     */
+    async function getLoginRetryAfter(attempt) {
+        if (!options.loginThrottle) {
+            return 0;
+        }
+        const retryAfter = await loginThrottleService.getRetryAfterInSecs(attempt, options.loginThrottle);
+        if (retryAfter) {
+            logger.info('Login of %b from %b throttled for %s secs', attempt.username, attempt.ip, retryAfter);
+        }
+        return retryAfter;
+    }
+
+    async function handleLoginFailure(attempt, error) {
+        let failures = null;
         try {
-            const user = await options.findUserByCredentials(req.body);
-            if (_.isFunction(options.onLogin)) {
-        // Note: Remove req.session, req, res in the future. what's the value?
-                await options.onLogin(user, req.session, req, res);
+            if (options.loginThrottle) {
+                const result = await loginThrottleService.recordLoginFailure(attempt, options.loginThrottle);
+                failures = result.failures;
+                for (const lockout of result.lockouts) {
+                    await notifyLoginHook(options.onLockout, lockout);
+                }
             }
-            sendAuthorizationResponse(res, user, req.body.grant_type);
+            await notifyLoginHook(options.onLoginFailed, _.assign({failures, error}, attempt));
         } catch (err) {
-            res.status(401).send({code: err});
+            logger.error('Failed to record the login failure of %b', attempt.username, err);
+        }
+    }
+
+    async function handleLoginSuccess(attempt) {
+        if (options.loginThrottle) {
+            await loginThrottleService.recordLoginSuccess(attempt);
+        }
+    }
+
+    function getLoginAttempt(req, credentials) {
+        const getUsername = _.get(options.loginThrottle, 'getUsername') || ((params) => params.username || params.email);
+        return {
+            ip: req.ip,
+            username: getUsername(credentials || {}) || null
         };
     }
 
+    // the hooks are for auditing, their errors must not impact the login.
+    async function notifyLoginHook(hook, event) {
+        if (!_.isFunction(hook)) {
+            return;
+        }
+        try {
+            await hook(event);
+        } catch (err) {
+            logger.error('Login hook error', err);
+        }
+    }
+
+    function isSecondFactorEnabled() {
+        return _.isFunction(options.requiresSecondFactor);
+    }
+
+    async function isSecondFactorRequired(user) {
+        return isSecondFactorEnabled() && await options.requiresSecondFactor(user);
+    }
+
+    /**
+     * The credentials are valid but the user must provide a second factor.
+     * The challenge token is exchanged for the authorization via /authorize/verify.
+     * Only the user id is kept with the challenge, the user is found again once the second factor is verified.
+     */
+    async function sendSecondFactorChallenge(res, user, challenge) {
+        const expiresIn = options.secondFactorChallengeExpiresInSecs || 300;
+        const challengeToken = await secondFactorService.createChallenge(_.assign({userId: user.id}, challenge), expiresIn);
+        res.json({
+            second_factor_required: true,
+            challenge_token: challengeToken,
+            expires_in: expiresIn
+        });
+    }
+
+    /**
+     * Second step of the login, the request provides the challenge_token and the otp (or a recovery_code).
+     * The response is the same as the login response (or the redirect of the OAuth2 authorization request).
+     */
+    async function handleSecondFactorRequest(req, res) {
+        const challengeToken = req.body.challenge_token;
+        try {
+            const challenge = await secondFactorService.getChallenge(challengeToken);
+            if (!challenge) {
+                return sendError(req, res, 'INVALID_CHALLENGE');
+            }
+            const attempt = {ip: req.ip, username: challenge.username};
+            const retryAfter = await getLoginRetryAfter(attempt);
+            if (retryAfter) {
+                return sendTooManyAttempts(req, res, retryAfter);
+            }
+            const user = await options.findUserById(challenge.userId);
+            if (!user) {
+                await secondFactorService.removeChallenge(challengeToken);
+                return sendError(req, res, 'INVALID_CHALLENGE');
+            }
+            const verification = await verifySecondFactor(user, req.body);
+            if (!verification) {
+                await secondFactorService.recordFailedChallengeAttempt(challengeToken, challenge);
+                await handleLoginFailure(attempt, 'INVALID_SECOND_FACTOR');
+                return sendError(req, res, 'INVALID_SECOND_FACTOR');
+            }
+            await secondFactorService.removeChallenge(challengeToken);
+            if (verification.recoveryCode && _.isFunction(options.onRecoveryCodeUsed)) {
+                await options.onRecoveryCodeUsed(user, verification.recoveryCode);
+            }
+            if (challenge.authorizationRequest) {
+                return await completeAuthorizationCodeRequest(req, res, attempt, challenge.authorizationRequest, user);
+            }
+            await completeLogin(req, res, attempt, user, challenge.grantType);
+        } catch (err) {
+            sendError(req, res, err, 'LOGIN_FAILED');
+        }
+    }
+
+    async function verifySecondFactor(user, params) {
+        if (_.isFunction(options.verifySecondFactor)) {
+            return await options.verifySecondFactor(user, params) ? {method: 'custom'} : null;
+        }
+        const secondFactor = await options.findSecondFactor(user);
+        return secondFactorService.verifySecondFactor(secondFactor, {otp: params.otp, recoveryCode: params.recovery_code});
+    }
+
     function handleRegisterRequest(req, res) {
-        logger.info('Registering %b', JSON.stringify(req.body));
+        logger.info('Registering %b', logRedaction.format(req.body));
 
         options.register(req.body)
         .then(function(user) {
+            if (isEmailVerificationEnabled()) {
+                return sendEmailVerification(res, user);
+            }
             sendAuthorizationResponse(res, user);
         })
         .catch(function(err) {
           //  Bad Request :The server cannot or will not process the request due to an apparent client error (e.g., malformed request syntax, invalid request message framing, or deceptive request routing).
-            res.status(400).send({code: err});
+            sendError(req, res, err, 'REGISTRATION_FAILED');
         });
     }
 
+    function isEmailVerificationEnabled() {
+        return _.isFunction(options.verifyEmail) && _.isFunction(options.sendMail);
+    }
+
+    function isPasswordResetEnabled() {
+        return _.isFunction(options.findUserByEmail) && _.isFunction(options.resetPassword) && _.isFunction(options.sendMail);
+    }
+
+    /**
+     * The registered user must verify his email with the token sent by mail before being logged in.
+     */
+    async function sendEmailVerification(res, user) {
+        const token = signSingleUseToken(EMAIL_VERIFICATION_TOKEN_TYPE, {id: user.id, email: user.email}, options, options.emailVerificationExpiresInMins || 24 * 60);
+        await options.sendMail({type: EMAIL_VERIFICATION_TOKEN_TYPE, to: user.email, token, user});
+        res.json({verification_required: true});
+    }
+
+    async function handleEmailVerificationRequest(req, res) {
+        let payload;
+        try {
+            payload = await verifySingleUseToken(EMAIL_VERIFICATION_TOKEN_TYPE, req.body.token, options);
+        } catch (err) {
+            return sendError(req, res, 'INVALID_TOKEN');
+        }
+        try {
+            if (!await blackListService.consumeToken(req.body.token, payload.exp)) {
+                // already used, maybe by a concurrent request
+                return sendError(req, res, 'INVALID_TOKEN');
+            }
+            let user;
+            try {
+                user = await options.verifyEmail(payload.id);
+            } catch (err) {
+                await releaseSingleUseToken(req.body.token);
+                throw err;
+            }
+            sendAuthorizationResponse(res, user);
+        } catch (err) {
+            sendError(req, res, err, 'EMAIL_VERIFICATION_FAILED');
+        }
+    }
+
+    /**
+     * When the request which consumed a single-use token fails, the token can be used again.
+     */
+    async function releaseSingleUseToken(token) {
+        try {
+            await blackListService.releaseToken(token);
+        } catch (err) {
+            logger.error('Failed to release a single-use token', err);
+        }
+    }
+
+    /**
+     * The response is the same whether the email is known or not, so that registered emails cannot be discovered.
+     */
+    async function handleForgotPasswordRequest(req, res) {
+        try {
+            const user = _.isString(req.body.email) ? await options.findUserByEmail(req.body.email) : null;
+            if (user) {
+                const token = signSingleUseToken(PASSWORD_RESET_TOKEN_TYPE, {id: user.id, email: user.email}, options, options.passwordResetExpiresInMins || 30);
+                await options.sendMail({type: PASSWORD_RESET_TOKEN_TYPE, to: user.email, token, user});
+            } else {
+                logger.info('Password reset requested for an unknown email');
+            }
+        } catch (err) {
+            logger.error('Password reset mail error', err);
+        }
+        res.json({});
+    }
+
+    /**
+     * Once the password is changed, the token cannot be used again and all the tokens of the user are revoked,
+     * so the sessions opened with the previous password (and the other reset tokens) can no longer be used.
+     * The token is consumed before resetting the password, so that concurrent requests cannot both reset it.
+     */
+    async function handleResetPasswordRequest(req, res) {
+        let payload;
+        try {
+            payload = await verifySingleUseToken(PASSWORD_RESET_TOKEN_TYPE, req.body.token, options);
+        } catch (err) {
+            return sendError(req, res, 'INVALID_TOKEN');
+        }
+        try {
+            if (!await blackListService.consumeToken(req.body.token, payload.exp)) {
+                return sendError(req, res, 'INVALID_TOKEN');
+            }
+            try {
+                await options.resetPassword(payload.id, req.body.password);
+            } catch (err) {
+                await releaseSingleUseToken(req.body.token);
+                throw err;
+            }
+            await blackListService.revokeUserTokens(payload.id);
+            res.json({});
+        } catch (err) {
+            sendError(req, res, err, 'PASSWORD_RESET_FAILED');
+        }
+    }
+
+    function isMagicLinkEnabled() {
+        return _.isFunction(options.allowMagicLink) && _.isFunction(options.findUserByEmail) && _.isFunction(options.sendMail);
+    }
+
+    /**
+     * Passwordless login: a single-use login token is sent by mail.
+     * The response is the same whether the email is known and allowed or not.
+     */
+    async function handleMagicLinkRequest(req, res) {
+        const grantType = req.body.grant_type || 'login';
+        if (grantType !== 'login' && grantType !== 'rest') {
+            return sendError(req, res, 'INVALID_TYPE');
+        }
+        try {
+            const user = await findMagicLinkUser(req.body.email);
+            if (user) {
+                const token = signSingleUseToken(MAGIC_LINK_TOKEN_TYPE, {id: user.id, email: user.email, grant_type: grantType}, options, options.magicLinkExpiresInMins || 15);
+                await options.sendMail({type: MAGIC_LINK_TOKEN_TYPE, to: user.email, token, user});
+            } else {
+                logger.info('Magic link requested for an unknown or not allowed email');
+            }
+        } catch (err) {
+            logger.error('Magic link mail error', err);
+        }
+        res.json({});
+    }
+
+    /**
+     * The token is consumed once redeemed, so that a forwarded mail cannot be reused, even by a concurrent request.
+     * The response is the same as the login response.
+     */
+    async function handleMagicLinkRedeemRequest(req, res) {
+        let payload;
+        try {
+            payload = await verifySingleUseToken(MAGIC_LINK_TOKEN_TYPE, req.body.token, options);
+        } catch (err) {
+            return sendError(req, res, 'INVALID_TOKEN');
+        }
+        try {
+            if (!await blackListService.consumeToken(req.body.token, payload.exp)) {
+                return sendError(req, res, 'INVALID_TOKEN');
+            }
+            // the user is found again, he might no longer be allowed to use magic links.
+            const user = await findMagicLinkUser(payload.email);
+            if (!user || user.id !== payload.id) {
+                return sendError(req, res, 'INVALID_TOKEN');
+            }
+            const attempt = {ip: req.ip, username: payload.email};
+            if (await isSecondFactorRequired(user)) {
+                return await sendSecondFactorChallenge(res, user, {username: attempt.username, grantType: payload.grant_type});
+            }
+            await completeLogin(req, res, attempt, user, payload.grant_type);
+        } catch (err) {
+            sendError(req, res, err, 'LOGIN_FAILED');
+        }
+    }
+
+    async function findMagicLinkUser(email) {
+        const user = _.isString(email) ? await options.findUserByEmail(email) : null;
+        return user && await options.allowMagicLink(user) ? user : null;
+    }
+
     function sendAuthorizationResponse(res, user, type) {
         const token = options.authorization(options.claim(user));
         let url;
@@ -96,9 +517,411 @@ module.exports = function(app, options) {
         });
     }
 
+    function isAuthorizationCodeFlowEnabled() {
+        return _.isFunction(options.findClientById);
+    }
+
+    function isClientCredentialsGrantEnabled() {
+        return _.isFunction(options.findClientByCredentials);
+    }
+
+    /**
+     * OAuth2 authorization request (response_type=code) with PKCE.
+     *
+     * The client and its redirect uri are validated first. An invalid redirect uri is never redirected to.
+     * Then the user is authenticated and redirected to the client redirect uri with a one-time code (and the state).
+     * The client exchanges the code for a token with its code verifier via the /token endpoint,
+     * so the token is never exposed in the app url.
+     */
+    async function handleAuthorizationCodeRequest(req, res) {
+        const params = req.body;
+        if (!isAuthorizationCodeFlowEnabled()) {
+            return sendOAuthError(res, 400, 'unsupported_response_type');
+        }
+        try {
+            const client = params.client_id ? await options.findClientById(params.client_id) : null;
+            if (!client) {
+                return sendOAuthError(res, 400, 'invalid_client', 'Unknown client');
+            }
+            if (!params.redirect_uri || !_.includes(client.redirectUris, params.redirect_uri)) {
+                return sendOAuthError(res, 400, 'invalid_request', 'Invalid redirect_uri');
+            }
+            // the redirect uri is valid, errors can now be returned to the client via the redirect uri
+            if (!params.code_challenge || params.code_challenge_method !== 'S256') {
+                return redirectToClient(res, params, {error: 'invalid_request', error_description: 'code_challenge with S256 method is required'});
+            }
+            const attempt = getLoginAttempt(req, params);
+            const retryAfter = await getLoginRetryAfter(attempt);
+            if (retryAfter) {
+                return redirectToClient(res, params, {error: 'access_denied', error_description: loginThrottleService.TOO_MANY_ATTEMPTS});
+            }
+            let user;
+            try {
+                user = await options.findUserByCredentials(params);
+            } catch (err) {
+                logger.info('Authorization denied for client %b: %s', params.client_id, logRedaction.format(err));
+                await handleLoginFailure(attempt, err);
+                return redirectToClient(res, params, {error: 'access_denied'});
+            }
+            const authorizationRequest = _.pick(params, ['client_id', 'redirect_uri', 'code_challenge', 'state']);
+            if (await isSecondFactorRequired(user)) {
+                // the redirect happens once the second factor is verified
+                return await sendSecondFactorChallenge(res, user, {username: attempt.username, authorizationRequest});
+            }
+            await completeAuthorizationCodeRequest(req, res, attempt, authorizationRequest, user);
+        } catch (err) {
+            logger.error('Authorization error for client %b', params.client_id, err);
+            sendOAuthError(res, 500, 'server_error');
+        }
+    }
+
+    async function completeAuthorizationCodeRequest(req, res, attempt, params, user) {
+        await handleLoginSuccess(attempt);
+        if (_.isFunction(options.onLogin)) {
+            await options.onLogin(user, req.session, req, res);
+        }
+        const code = await authorizationCodeService.createAuthorizationCode({
+            clientId: params.client_id,
+            redirectUri: params.redirect_uri,
+            codeChallenge: params.code_challenge,
+            payload: options.claim(user)
+        }, options.authorizationCodeExpiresInSecs || 60);
+        redirectToClient(res, params, {code});
+    }
+
+    /**
+     * OAuth2 token request
+     */
+    async function handleTokenRequest(req, res) {
+        const params = req.body || {};
+        res.set('Cache-Control', 'no-store');
+        if (params.grant_type === 'authorization_code' && isAuthorizationCodeFlowEnabled()) {
+            return handleAuthorizationCodeGrant(req, res);
+        }
+        if (params.grant_type === 'client_credentials' && isClientCredentialsGrantEnabled()) {
+            return handleClientCredentialsGrant(req, res);
+        }
+        sendOAuthError(res, 400, 'unsupported_grant_type');
+    }
+
+    /**
+     * Exchange the one-time code for the zerv auth code (access_token).
+     */
+    async function handleAuthorizationCodeGrant(req, res) {
+        const params = req.body;
+        try {
+            const authorization = await authorizationCodeService.consumeAuthorizationCode(params.code);
+            if (!authorization || authorization.clientId !== params.client_id || authorization.redirectUri !== params.redirect_uri) {
+                return sendOAuthError(res, 400, 'invalid_grant', 'Invalid authorization code');
+            }
+            if (!authorizationCodeService.verifyCodeChallenge(params.code_verifier, authorization.codeChallenge)) {
+                return sendOAuthError(res, 400, 'invalid_grant', 'Invalid code_verifier');
+            }
+            const response = {
+                access_token: options.authorization(authorization.payload),
+                token_type: 'Bearer',
+                issued_at: Date.now()
+            };
+            if (options.codeExpiresInSecs) {
+                response.expires_in = options.codeExpiresInSecs;
+            }
+            res.json(response);
+        } catch (err) {
+            logger.error('Token request error for client %b', params.client_id, err);
+            sendOAuthError(res, 500, 'server_error');
+        }
+    }
+
+    /**
+     * Issue a client token to a service (machine to machine), without any user.
+     *
+     * The client authenticates with HTTP Basic authentication or the client_id and client_secret parameters.
+     */
+    async function handleClientCredentialsGrant(req, res) {
+        const client = await authenticateClient(req, res);
+        if (!client) {
+            return;
+        }
+        const expiresIn = options.clientTokenExpiresInSecs || 3600;
+        try {
+            const response = {
+                access_token: generateClientToken(client, expiresIn),
+                token_type: 'Bearer',
+                expires_in: expiresIn,
+                issued_at: Date.now()
+            };
+            if (client.scope) {
+                response.scope = client.scope;
+            }
+            logger.info('Client token issued to %b', client.clientId);
+            res.json(response);
+        } catch (err) {
+            logger.error('Token request error for client %b', client.clientId, err);
+            sendOAuthError(res, 500, 'server_error');
+        }
+    }
+
+    /**
+     * @returns {Promise<Object>} the client authenticated with its credentials, or null once the error is sent.
+     */
+    async function authenticateClient(req, res) {
+        let credentials, client;
+        try {
+            credentials = getClientCredentials(req);
+            client = credentials ? await options.findClientByCredentials(credentials.clientId, credentials.clientSecret) : null;
+        } catch (err) {
+            logger.info('Client authentication failed: %s', logRedaction.format(err));
+        }
+        if (!client) {
+            if (credentials && credentials.basic) {
+                res.set('WWW-Authenticate', 'Basic');
+            }
+            sendOAuthError(res, 401, 'invalid_client', 'Client authentication failed');
+            return null;
+        }
+        return client;
+    }
+
+    /**
+     * Token introspection (RFC 7662): a backend authenticated with its client credentials checks whether a token is active.
+     *
+     * A token is active if it is valid, not revoked (individually, with its family or with all the tokens of its user)
+     * and its user session (if known) is still active.
+     * The reuse detection is not run: a backend checking a revoked token must not revoke its family nor log out its user.
+     */
+    async function handleIntrospectionRequest(req, res) {
+        res.set('Cache-Control', 'no-store');
+        const client = await authenticateClient(req, res);
+        if (!client) {
+            return;
+        }
+        let payload;
+        try {
+            payload = await verifyAccessToken(req.body.token, _.assign({}, options, {tokenReuseDetection: false}));
+            if (!await isTokenActive(payload)) {
+                payload = null;
+            }
+        } catch (err) {
+            logger.debug('Introspection of an inactive token by client %b: %s', client.clientId, err.message);
+            payload = null;
+        }
+        if (!payload) {
+            return res.json({active: false});
+        }
+        res.json(_.omitBy({
+            active: true,
+            sub: payload.sub || (_.isNil(payload.id) ? undefined : String(payload.id)),
+            username: payload.display,
+            client_id: payload.client_id,
+            scope: payload.scope,
+            token_type: 'Bearer',
+            exp: payload.exp,
+            iat: payload.iat,
+            iss: payload.iss,
+            jti: payload.tid
+        }, _.isNil));
+    }
+
+    /**
+     * Only the refreshed tokens belong to a token family, which is related to a user session.
+     */
+    async function isTokenActive(payload) {
+        if (isSessionlessToken(payload) || !payload.fam) {
+            return true;
+        }
+        if (await blackListService.isTokenFamilyRevoked(payload.fam)) {
+            return false;
+        }
+        const origin = await blackListService.getTokenFamilyOrigin(payload.fam);
+        return !origin || userSessionService.isUserSessionActive(origin);
+    }
+
+    /**
+     * Token revocation (RFC 7009): a backend authenticated with its client credentials revokes a token.
+     *
+     * The response is the same whether the token was valid or not. A client token can only be revoked by its own client.
+     * The sockets connected with the revoked token are disconnected.
+     */
+    async function handleRevocationRequest(req, res) {
+        const client = await authenticateClient(req, res);
+        if (!client) {
+            return;
+        }
+        try {
+            const payload = _.isString(req.body.token) ? getKeyring(options).verify(req.body.token) : null;
+            if (payload && (!payload.client_id || payload.client_id === client.clientId)) {
+                await blackListService.revokeToken(req.body.token, payload.exp, {disconnectSockets: true});
+                logger.info('Token %b revoked by client %b', blackListService.getTokenId(req.body.token), client.clientId);
+            }
+        } catch (err) {
+            logger.debug('Revocation of an invalid token by client %b: %s', client.clientId, err.message);
+        }
+        res.status(200).end();
+    }
+
+    /**
+     * The http equivalent of the socket logout, for the clients which are not connected via socket.
+     *
+     * The user session is logged out on all servers and the token is revoked,
+     * even when the server receiving the request has no local session.
+     * Api keys and client tokens have no session to log out, they are revoked via their own api (revokeApiKey, /revoke).
+     */
+    async function handleLogoutRequest(req, res) {
+        const {token} = getRequestToken(options, req);
+        let payload;
+        try {
+            payload = await verifyAccessToken(token, options);
+        } catch (err) {
+            return sendError(req, res, err, 'invalid_token');
+        }
+        if (isSessionlessToken(payload)) {
+            return sendError(req, res, 'invalid_token');
+        }
+        try {
+            const origin = await getLogoutOrigin(req, payload);
+            if (origin) {
+                await userSessionService.logout(origin, 'user_logged_out');
+            }
+            await blackListService.revokeToken(token, payload.exp, {disconnectSockets: true});
+            logger.info('User %b logged out with token %b', payload.id, blackListService.getTokenId(token));
+            res.json({});
+        } catch (err) {
+            sendError(req, res, err, 'SERVER_ERROR');
+        }
+    }
+
+    /**
+     * A refreshed token is related to its user session via its token family.
+     * Otherwise the access-origin header is only trusted if its session belongs to the user of the token.
+     */
+    async function getLogoutOrigin(req, payload) {
+        const familyOrigin = payload.fam ? await blackListService.getTokenFamilyOrigin(payload.fam) : null;
+        if (familyOrigin) {
+            return familyOrigin;
+        }
+        const origin = req.headers['access-origin'];
+        if (!_.isString(origin) || _.isEmpty(origin)) {
+            return null;
+        }
+        const userSession = await userSessionService.findUserSession(origin);
+        return userSession && userSession.userId === payload.id ? origin : null;
+    }
+
+    function getClientCredentials(req) {
+        const authorization = req.headers.authorization;
+        if (_.isString(authorization) && authorization.startsWith('Basic ')) {
+            const decoded = Buffer.from(authorization.substr(6), 'base64').toString();
+            const separatorIndex = decoded.indexOf(':');
+            if (separatorIndex === -1) {
+                return null;
+            }
+            return {
+                clientId: decodeURIComponent(decoded.substr(0, separatorIndex)),
+                clientSecret: decodeURIComponent(decoded.substr(separatorIndex + 1)),
+                basic: true
+            };
+        }
+        if (req.body.client_id && req.body.client_secret) {
+            return {clientId: req.body.client_id, clientSecret: req.body.client_secret};
+        }
+        return null;
+    }
+
+    /**
+     * A client token has its own claim shape: it is not related to any user (no id), so it is never tied to a user session.
+     */
+    function generateClientToken(client, expiresIn) {
+        const payload = {
+            typ: CLIENT_TOKEN_TYPE,
+            sub: client.clientId,
+            client_id: client.clientId,
+            display: client.name || client.clientId
+        };
+        if (client.scope) {
+            payload.scope = client.scope;
+        }
+        const signOptions = {expiresIn};
+        if (options.discovery) {
+            signOptions.issuer = getIssuer();
+        }
+        return signJwtToken(payload, options, signOptions);
+    }
+
+    function redirectToClient(res, params, result) {
+        const url = new URL(params.redirect_uri);
+        _.forEach(_.assign(result, {state: params.state}), (value, key) => {
+            if (!_.isNil(value)) {
+                url.searchParams.set(key, value);
+            }
+        });
+        res.redirect(302, url.toString());
+    }
+
+    function sendOAuthError(res, status, error, description) {
+        const body = {error};
+        if (description) {
+            body.error_description = description;
+        }
+        res.status(status).send(body);
+    }
+
+    /**
+     * Provide the public keys for other services to verify the tokens
+     */
+    function handleJwksRequest(req, res) {
+        res.json(getKeyring(options).getJwks());
+    }
+
+    function handleOpenIdConfigurationRequest(req, res) {
+        const issuer = getIssuer();
+        const algorithms = _.uniq(_.map(getKeyring(options).getKeys(), 'algorithm'));
+        const configuration = {
+            issuer,
+            authorization_endpoint: issuer + '/authorize',
+            jwks_uri: issuer + '/.well-known/jwks.json',
+            response_types_supported: ['token'],
+            subject_types_supported: ['public'],
+            id_token_signing_alg_values_supported: algorithms,
+            claims_supported: ['iss', 'iat', 'exp']
+        };
+        const grantTypes = [];
+        if (isAuthorizationCodeFlowEnabled()) {
+            grantTypes.push('authorization_code');
+            _.assign(configuration, {
+                response_types_supported: ['token', 'code'],
+                code_challenge_methods_supported: ['S256']
+            });
+        }
+        if (isClientCredentialsGrantEnabled()) {
+            grantTypes.push('client_credentials');
+            configuration.token_endpoint_auth_methods_supported = ['client_secret_basic', 'client_secret_post'];
+        }
+        if (grantTypes.length) {
+            _.assign(configuration, {
+                token_endpoint: issuer + '/token',
+                grant_types_supported: grantTypes
+            });
+        }
+        if (options.tokenIntrospection) {
+            _.assign(configuration, {
+                introspection_endpoint: issuer + '/introspect',
+                revocation_endpoint: issuer + '/revoke'
+            });
+        }
+        res.json(configuration);
+    }
+
     function generateDefaultAuthorizationCode(payload) {
-        return jwt.sign(payload, options.secret, {
+        const signOptions = {
             expiresIn: options.codeExpiresInSecs
-        });
+        };
+        if (options.discovery && _.isNil(payload.iss)) {
+            signOptions.issuer = getIssuer();
+        }
+        return signJwtToken(payload, options, signOptions);
+    }
+
+    function getIssuer() {
+        return _.trimEnd(options.discovery.issuer, '/');
     }
 };
@@ -0,0 +1,120 @@
+const _ = require('lodash');
+const UUID = require('uuid');
+const crypto = require('crypto');
+const zlog = require('zimit-zlog');
+const cacheService = require('./cache.service');
+const blackListService = require('./token-blacklist.service');
+
+const logger = zlog.getLogger('zerv/core/apiKey');
+
+const REDIS_API_KEY_PREFIX = 'APIKEY_';
+const API_KEY_PREFIX = 'zak_';
+
+/**
+ * This service manages long-lived api keys, an alternative credential to jwt tokens for integrations
+ * (webhooks, CI scripts, partner systems...) which cannot log in interactively.
+ *
+ * A key has the format zak_<id>.<secret>. Only the hash of the secret is stored in the cache,
+ * the key itself is only provided once at creation.
+ */
+const service = {
+    createApiKey,
+    listApiKeys,
+    revokeApiKey,
+    verifyApiKey,
+    isApiKey,
+};
+
+module.exports = service;
+
+/**
+ * Create a new api key
+ *
+ * @param {Object} definition
+ * @param {String} definition.name the name of the key (ex: the integration using it)
+ * @param {String} definition.scope the scope granted to the key
+ * @param {Number} definition.expiresInDays when provided, the key expires after this number of days
+ * @param {Object} definition.data any data to resolve the payload of the key (ex: tenantId or userId)
+ * @returns {Promise<Object>} the api key {id, name, scope, data, creation, expiresAt, key}. The key is not retrievable later on.
+ */
+async function createApiKey(definition) {
+    if (!_.isString(definition.name) || _.isEmpty(definition.name)) {
+        throw new Error('An api key requires a name.');
+    }
+    const id = UUID.v4();
+    const secret = crypto.randomBytes(32).toString('hex');
+    const apiKey = {
+        id,
+        name: definition.name,
+        scope: definition.scope || null,
+        data: definition.data || null,
+        creation: new Date(),
+        expiresAt: definition.expiresInDays ? new Date(Date.now() + definition.expiresInDays * 24 * 60 * 60000) : null
+    };
+    const cacheOptions = {prefix: REDIS_API_KEY_PREFIX};
+    if (definition.expiresInDays) {
+        cacheOptions.expirationInMins = Math.ceil(definition.expiresInDays * 24 * 60);
+    }
+    await cacheService.cacheData(id, _.assign({hash: hashSecret(secret)}, apiKey), cacheOptions);
+    logger.info('Api key %b created for %b', id, apiKey.name);
+    return _.assign({key: API_KEY_PREFIX + id + '.' + secret}, apiKey);
+}
+
+/**
+ * @returns {Promise<Array<Object>>} the api keys {id, name, scope, data, creation, expiresAt} without their secret
+ */
+async function listApiKeys() {
+    const apiKeys = await cacheService.getCachedObjectsWithKeyNameBeginning('', {prefix: REDIS_API_KEY_PREFIX});
+    return _.map(apiKeys, (apiKey) => _.omit(apiKey, ['hash']));
+}
+
+/**
+ * Revoke an api key. The sockets authenticated with this key are disconnected on all servers.
+ *
+ * @param {String} id
+ */
+async function revokeApiKey(id) {
+    await cacheService.removeCachedData(id, {prefix: REDIS_API_KEY_PREFIX});
+    logger.info('Api key %b revoked', id);
+    await blackListService.notifyRevocation({apiKeyId: id, disconnectSockets: true});
+}
+
+/**
+ * Check an api key provided by a client
+ *
+ * @param {String} key
+ * @returns {Promise<Object>} the api key {id, name, scope, data, creation, expiresAt} or null if the key is invalid, expired or revoked.
+ */
+async function verifyApiKey(key) {
+    if (!service.isApiKey(key)) {
+        return null;
+    }
+    const separatorIndex = key.indexOf('.');
+    const id = key.substring(API_KEY_PREFIX.length, separatorIndex);
+    const secret = key.substring(separatorIndex + 1);
+    const apiKey = await cacheService.getCachedObject(id, {prefix: REDIS_API_KEY_PREFIX});
+    if (!apiKey) {
+        return null;
+    }
+    const expected = Buffer.from(apiKey.hash, 'hex');
+    const provided = Buffer.from(hashSecret(secret), 'hex');
+    if (!crypto.timingSafeEqual(expected, provided)) {
+        return null;
+    }
+    if (apiKey.expiresAt && new Date(apiKey.expiresAt) < new Date()) {
+        return null;
+    }
+    return _.omit(apiKey, ['hash']);
+}
+
+/**
+ * @param {String} token
+ * @returns {Boolean} true if the token has the format of an api key (not a jwt)
+ */
+function isApiKey(token) {
+    return _.isString(token) && token.startsWith(API_KEY_PREFIX) && token.indexOf('.') > API_KEY_PREFIX.length;
+}
+
+function hashSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+}
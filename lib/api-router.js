@@ -3,6 +3,8 @@
 const _ = require('lodash');
 const zlog = require('zimit-zlog');
 const serverActivityService = require('./server-activity.service');
+const errorCatalog = require('./error-catalog');
+const logRedaction = require('./log-redaction');
 
 const logger = zlog.getLogger('zerv/api/router');
 
@@ -42,6 +44,8 @@ function ApiRouter(io, event, transport, startTransaction) {
      *
      * Notice that you can access in your api code the following data:
      * - this.userId
+     * - this.clientId: when the socket is authenticated by a service with a client token (no userId)
+     * - this.apiKeyId: when the socket is authenticated with an api key
      * - this.user: return the socket payload, which should contain the user and more data as defined in your instantiation of socketio.auth
      * - this.broadcast(event,params): to broadcast an event with its params to others clients
      * - this.emit(event, params): to emit to this socket client
@@ -67,8 +71,8 @@ function ApiRouter(io, event, transport, startTransaction) {
                 try {
                     data = transport.deserialize(serializedData);
                 } catch (err) {
-                    err.code = 'Incorrect data format';
-                    return sendResponse(formatErrorResponse(call, err));
+                    logger.error('%s -> Incorrect data format', call, err);
+                    return sendResponse(formatErrorResponse(call, {code: 'INVALID_DATA_FORMAT'}));
                 }
             }
 
@@ -102,6 +106,7 @@ function ApiRouter(io, event, transport, startTransaction) {
         }
 
         logger.info('%s: calling Api %b', socket.payload.display, call);
+        logger.debug('%s: params %b', call, logRedaction.format(params));
         const route = routes[call];
         if (!route || !route.handler) {
       // eslint-disable-next-line no-throw-literal
@@ -132,16 +137,34 @@ function ApiRouter(io, event, transport, startTransaction) {
         if (err.stack) {
             logger.error('%s -> Error: %b', call, err.code, err.stack);
             return {
-                code: err.code || 'SERVER_ERROR',
+                code: getInternalErrorCode(err),
                 data: 'Backend error while API call [' + call + ']'
             };
         }
 
+        // error of the catalog
+        if (errorCatalog.isKnownCode(err.code)) {
+            logger.error('%s -> Error %b', call, err.code);
+            return {code: err.code, data: errorCatalog.getError(err.code).message};
+        }
+
     // logic error string provided from reject (with a string)
-        logger.error('%s -> Error %b', call, err);
+        logger.error('%s -> Error %b', call, logRedaction.format(err));
         return {code: err};
     }
 
+    /**
+     * The code of an application error (ex: err.code = 'ORDER_LOCKED') is provided to the client.
+     * The code of a system error (ex: ECONNREFUSED) or a code which is not a short identifier might reveal internal details,
+     * SERVER_ERROR is provided instead (unless the error message is a code of the catalog).
+     */
+    function getInternalErrorCode(err) {
+        if (errorCatalog.isValidCode(err.code) && _.isNil(err.errno) && _.isNil(err.syscall)) {
+            return err.code;
+        }
+        return errorCatalog.toClientError(err, 'SERVER_ERROR').code;
+    }
+
   /**
      * This object runs the api code.
      *
@@ -153,6 +176,8 @@ function ApiRouter(io, event, transport, startTransaction) {
 
         this.user = _.assign({}, socket.payload); // protect original object from modification.
         this.userId = this.user.id;
+        this.clientId = this.user.client_id;
+        this.apiKeyId = this.user.api_key_id;
         if (socket.tenantId) {
       // make sure we have the tenant in the user for the handler.
             this.user.tenantId = socket.tenantId;
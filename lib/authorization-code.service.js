@@ -0,0 +1,98 @@
+const _ = require('lodash');
+const crypto = require('crypto');
+const zlog = require('zimit-zlog');
+const cacheService = require('./cache.service');
+
+const logger = zlog.getLogger('zerv/core/authorizationCode');
+
+const REDIS_AUTHORIZATION_CODE_PREFIX = 'OAUTH_CODE_';
+// RFC 7636: 43 to 128 characters among [A-Z] / [a-z] / [0-9] / "-" / "." / "_" / "~"
+const CODE_VERIFIER_PATTERN = /^[A-Za-z0-9\-._~]{43,128}$/;
+
+/**
+ * This service manages the one-time codes of the OAuth2 authorization code flow with PKCE (RFC 6749 and RFC 7636).
+ *
+ * The code is an opaque random value, returned to the client via its redirect uri.
+ * Only the client which initiated the flow knows the code verifier matching the code challenge,
+ * so a stolen code cannot be exchanged for a token.
+ */
+const service = {
+    createAuthorizationCode,
+    consumeAuthorizationCode,
+    verifyCodeChallenge,
+};
+
+module.exports = service;
+
+/**
+ * @param {Object} authorization
+ * @param {String} authorization.clientId
+ * @param {String} authorization.redirectUri
+ * @param {String} authorization.codeChallenge
+ * @param {Object} authorization.payload the payload of the token to issue when the code is exchanged
+ * @param {Number} expiresInSecs
+ * @returns {Promise<String>} the code
+ */
+async function createAuthorizationCode(authorization, expiresInSecs) {
+    const code = toBase64Url(crypto.randomBytes(32));
+    const exp = Date.now() + expiresInSecs * 1000;
+    await cacheService.cacheData(
+        hashCode(code),
+        _.assign({}, authorization, {exp}),
+        {prefix: REDIS_AUTHORIZATION_CODE_PREFIX, expirationInMins: Math.ceil(expiresInSecs / 60)}
+    );
+    return code;
+}
+
+/**
+ * Retrieve the authorization of a code, which can only be used once.
+ * When the same code is exchanged concurrently, only the request which removes the code from the cache gets its authorization.
+ *
+ * @param {String} code
+ * @returns {Promise<Object>} the authorization or null if the code is unknown, expired or already used.
+ */
+async function consumeAuthorizationCode(code) {
+    if (!_.isString(code)) {
+        return null;
+    }
+    const key = hashCode(code);
+    const authorization = await cacheService.getCachedObject(key, {prefix: REDIS_AUTHORIZATION_CODE_PREFIX});
+    if (!authorization) {
+        logger.info('Authorization code not found or already used');
+        return null;
+    }
+    if (!await cacheService.removeCachedData(key, {prefix: REDIS_AUTHORIZATION_CODE_PREFIX})) {
+        logger.info('Authorization code already used');
+        return null;
+    }
+    if (authorization.exp < Date.now()) {
+        logger.info('Authorization code expired');
+        return null;
+    }
+    return authorization;
+}
+
+/**
+ * Check the code verifier against the code challenge (S256 method).
+ *
+ * @param {String} codeVerifier
+ * @param {String} codeChallenge
+ * @returns {Boolean}
+ */
+function verifyCodeChallenge(codeVerifier, codeChallenge) {
+    if (!_.isString(codeVerifier) || !CODE_VERIFIER_PATTERN.test(codeVerifier) || !_.isString(codeChallenge)) {
+        return false;
+    }
+    const expected = Buffer.from(toBase64Url(crypto.createHash('sha256').update(codeVerifier).digest()));
+    const provided = Buffer.from(codeChallenge);
+    return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+}
+
+// the code is not stored in the cache, only its hash.
+function hashCode(code) {
+    return crypto.createHash('sha256').update(code).digest('hex');
+}
+
+function toBase64Url(buffer) {
+    return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
@@ -1,8 +1,14 @@
+const errorCatalog = require('../error-catalog');
+
 // This class comes from socketio-auth
 // this could get rearranged later on.
 class UnauthorizedError extends Error {
-    constructor(code, error) {
-        super(error.message);
+    /**
+     * @param {String} code a code of the error catalog
+     * @param {Object} error {message} by default, the message of the code in the catalog
+     */
+    constructor(code, error = {}) {
+        super(error.message || getCatalogMessage(code));
         this.inner = error;
         this.data = {
             message: this.message,
@@ -17,6 +23,26 @@ class UnauthorizedError extends Error {
             data: this.data,
         };
     }
+
+    /**
+     * Convert any error raised during an authorization, so that no internal detail is provided to the client.
+     *
+     * @param {Error|String|Object} error
+     * @param {String} message the message for the client (by default, the message of the code in the catalog)
+     * @returns {UnauthorizedError}
+     */
+    static from(error, message) {
+        if (error instanceof UnauthorizedError) {
+            return error;
+        }
+        const clientError = errorCatalog.toClientError(error, 'unknown');
+        return new UnauthorizedError(clientError.code, {message: message || clientError.message});
+    }
+}
+
+function getCatalogMessage(code) {
+    const error = errorCatalog.getError(code);
+    return error ? error.message : errorCatalog.getError('unknown').message;
 }
 
 module.exports = UnauthorizedError;
@@ -1,26 +1,382 @@
-
-const jwt = require('jsonwebtoken');
+const _ = require('lodash');
+const UUID = require('uuid');
+const zlog = require('zimit-zlog');
 const blackListService = require('../token-blacklist.service');
+const userSessionService = require('../user-session.service');
+const securityEventService = require('../security-event.service');
+const apiKeyService = require('../api-key.service');
 
+const Keyring = require('./keyring');
 const UnauthorizedError = require('./UnauthorizedError');
 
-async function verifyJwtToken(token, options) {
-    if (!options.secret) {
-        throw new UnauthorizedError('invalid_secret', {message: 'Secret is not provided'});
+const logger = zlog.getLogger('zerv/core/authorize');
+
+const CLIENT_TOKEN_TYPE = 'client';
+const API_KEY_TOKEN_TYPE = 'api_key';
+// the audience (aud) distinguishes the access tokens from the single-use tokens signed with the same keys,
+// so that the backends verifying the tokens with the jwks can reject the single-use tokens.
+const ACCESS_TOKEN_AUDIENCE = 'zerv:access';
+const SINGLE_USE_TOKEN_AUDIENCE_PREFIX = 'zerv:once:';
+
+const DEFAULT_HTTP_TOKEN_SOURCES = ['header', 'bearer', 'cookie', 'query'];
+
+/**
+ * Verify the token provided by a client, which is a jwt token or an api key.
+ *
+ * @param {String} token
+ * @param {Object} options check verifyJwtToken and verifyApiKey
+ * @returns {Promise<Object>} the decoded token or the payload of the api key
+ */
+async function verifyAccessToken(token, options) {
+    if (apiKeyService.isApiKey(token)) {
+        return verifyApiKey(token, options);
+    }
+    const decodedToken = await verifyJwtToken(token, options);
+    if (isSingleUseToken(decodedToken) || !isAccessTokenAudience(decodedToken.aud, options)) {
+        throw new UnauthorizedError('invalid_token', {message: 'Token is invalid'});
     }
+    return decodedToken;
+}
+
+function isAccessTokenAudience(audience, options) {
+    // tokens without audience were signed by a previous version or by a custom authorization function.
+    // A custom audience (options.audience) is already checked by the jwt verification.
+    return _.isNil(audience) || audience === ACCESS_TOKEN_AUDIENCE || !_.isNil(options.audience);
+}
+
+/**
+ * Verify an api key and resolve its payload.
+ *
+ * @param {String} key
+ * @param {Object} options
+ * @param {Function} options.resolveApiKey this function receives the api key {id, name, scope, data} and returns the payload (ex: the user the integration acts for).
+ *                                         Api keys are not accepted if not provided.
+ * @returns {Promise<Object>} the payload of the api key, which contains the api key id and scope
+ */
+async function verifyApiKey(key, options) {
+    const apiKey = _.isFunction(options.resolveApiKey) ? await apiKeyService.verifyApiKey(key) : null;
+    const payload = apiKey ? await options.resolveApiKey(apiKey) : null;
+    if (!payload) {
+        throw new UnauthorizedError('invalid_api_key', {message: 'Api key is invalid'});
+    }
+    return _.assign({}, payload, {typ: API_KEY_TOKEN_TYPE, api_key_id: apiKey.id, scope: apiKey.scope});
+}
+
+/**
+ * Verify a token and make sure it was not revoked, individually or with all tokens of the user issued before a given time.
+ *
+ * @param {String} token
+ * @param {Object} options the zerv options providing the keyring or the secret (check jsonwebtoken verify function for other options)
+ * @param {Boolean} options.tokenReuseDetection when true, the presentation of a revoked token revokes all the tokens of its family
+ *                                              and logs out its user session.
+ * @returns {Promise<Object>} the decoded token
+ */
+async function verifyJwtToken(token, options) {
+    const keyring = getKeyring(options);
     let decodedToken;
     try {
-        decodedToken = jwt.verify(token, options.secret, options);
+        decodedToken = keyring.verify(token, options);
     } catch (err) {
         throw new UnauthorizedError('invalid_token', {message: 'Token is invalid'});
     }
     // Revoked token cannot be re-used.
     if (await blackListService.isTokenRevoked(token)) {
+        if (options.tokenReuseDetection && decodedToken.fam) {
+            await revokeReusedTokenFamily(decodedToken);
+        }
         throw new UnauthorizedError('revoked_token', {message: 'Token was revoked'});
     }
+    if (options.tokenReuseDetection && decodedToken.fam && await blackListService.isTokenFamilyRevoked(decodedToken.fam)) {
+        throw new UnauthorizedError('revoked_token_family', {message: 'Token was revoked'});
+    }
+    if (!_.isNil(decodedToken.id)) {
+        const notBefore = await blackListService.getUserTokensNotBefore(decodedToken.id);
+        if (notBefore && blackListService.isIssuedBefore(decodedToken, notBefore)) {
+            throw new UnauthorizedError('revoked_user_tokens', {message: 'Token was revoked'});
+        }
+    }
+    return decodedToken;
+}
+
+/**
+ * A revoked token was replaced by a new token of the same family.
+ * If it is presented again, someone might have stolen it before its rotation:
+ * the legitimate user or the attacker might hold the current token of the family.
+ * All the tokens of the family are revoked and the user session is logged out.
+ *
+ * @param {Object} decodedToken
+ */
+async function revokeReusedTokenFamily(decodedToken) {
+    await blackListService.revokeTokenFamily(decodedToken.fam, decodedToken.exp);
+    const origin = await blackListService.getTokenFamilyOrigin(decodedToken.fam);
+    if (origin) {
+        await userSessionService.logout(origin, 'token_reuse_detected');
+    }
+    securityEventService.notifySecurityEvent('TOKEN_REUSE_DETECTED', {
+        userId: decodedToken.id,
+        tokenFamilyId: decodedToken.fam,
+        origin
+    });
+}
+
+/**
+ * Sign a payload with the current key of the keyring
+ *
+ * Each token is identified by a unique token id (tid), added to the payload if not provided.
+ * The token is an access token (aud) unless another audience is provided.
+ *
+ * @param {Object} payload
+ * @param {Object} options the zerv options providing the keyring or the secret
+ * @param {Object} signOptions check jsonwebtoken sign function options
+ * @returns {String} the token
+ */
+function signJwtToken(payload, options, signOptions = {}) {
+    if (_.isNil(payload.tid) || _.isNil(payload.iat) || (_.isNil(payload.aud) && _.isNil(signOptions.audience))) {
+        const claims = {tid: UUID.v4(), aud: ACCESS_TOKEN_AUDIENCE};
+        if (_.isNil(payload.iat)) {
+            // the issue time in milliseconds (ims) is compared to the revocation time of the user tokens, iat is truncated to the second.
+            const now = Date.now();
+            claims.iat = Math.floor(now / 1000);
+            claims.ims = now;
+        }
+        // the payload is only modified if requested
+        payload = _.defaults(signOptions.mutatePayload ? payload : _.clone(payload), claims);
+    }
+    return getKeyring(options).sign(payload, signOptions);
+}
+
+/**
+ * Sign a single-use token (ex: password reset link), which is never accepted as an access token.
+ * Its audience is specific to its type.
+ *
+ * @param {String} type the purpose of the token, checked when the token is used
+ * @param {Object} payload
+ * @param {Object} options the zerv options providing the keyring or the secret
+ * @param {Number} expiresInMins
+ * @returns {String} the token
+ */
+function signSingleUseToken(type, payload, options, expiresInMins) {
+    return signJwtToken(_.assign({}, payload, {typ: type, once: true, aud: SINGLE_USE_TOKEN_AUDIENCE_PREFIX + type}), options, {expiresIn: expiresInMins * 60});
+}
+
+/**
+ * Verify a single-use token of the provided type.
+ * The token must then be consumed (see blackListService.consumeToken) so that it cannot be used again, even by a concurrent request.
+ *
+ * @param {String} type
+ * @param {String} token
+ * @param {Object} options the zerv options providing the keyring or the secret
+ * @returns {Promise<Object>} the decoded token
+ */
+async function verifySingleUseToken(type, token, options) {
+    const decodedToken = await verifyJwtToken(token, _.assign({}, options, {audience: SINGLE_USE_TOKEN_AUDIENCE_PREFIX + type}));
+    if (!isSingleUseToken(decodedToken) || decodedToken.typ !== type) {
+        throw new UnauthorizedError('invalid_token', {message: 'Token is invalid'});
+    }
     return decodedToken;
 }
 
+function isSingleUseToken(decodedToken) {
+    return decodedToken.once === true;
+}
+
+/**
+ * Provide the keyring to sign and verify tokens.
+ *
+ * options.keyring takes precedence, otherwise a keyring is made of the options.secret
+ *
+ * @param {Object} options
+ * @param {Keyring} options.keyring
+ * @param {String} options.secret
+ * @returns {Keyring}
+ */
+function getKeyring(options) {
+    if (options.keyring) {
+        return options.keyring;
+    }
+    if (!options.secret) {
+        throw new UnauthorizedError('invalid_secret', {message: 'Secret is not provided'});
+    }
+    return new Keyring([{secret: options.secret}]);
+}
+
+/**
+ * Generate a new token from the payload of a valid token.
+ *
+ * The refresh counter (jti) is increased and the expiration is recomputed
+ * based on the tenant maximum active session timeout.
+ * All tokens refreshed from the same auth code belong to the same family (fam).
+ *
+ * @param {Object} oldPayload the decoded payload of the token to refresh
+ * @param {Object} options the zerv options providing the keyring and tokenRefreshIntervalInMins
+ * @param {String} origin the origin of the user session to log out if the token can no longer be refreshed
+ * @param {String} tenantId
+ * @returns {Array} [refreshedToken, newPayload]
+ */
+function refreshJwtToken(oldPayload, options, origin, tenantId) {
+    const newPayload = _.clone(oldPayload);
+    // this tracks how many times a token was refreshed
+    newPayload.jti = newPayload.jti || 0;
+    newPayload.jti += 1;
+    newPayload.fam = newPayload.fam || UUID.v4();
+    // the refreshed token is a new token
+    newPayload.tid = UUID.v4();
+    // the issue time (iat) is kept when the expiration does not change, this is when the token was refreshed.
+    newPayload.rat = Math.floor(Date.now() / 1000);
+
+    let refreshedToken;
+    // this will be used by the client to figure out when to refresh
+    newPayload.dur = options.tokenRefreshIntervalInMins * 60;
+
+    const currentExpirationInSeconds = newPayload.exp - newPayload.iat;
+    const configExpirationInSeconds = userSessionService.getTenantMaximumActiveSessionTimeoutInMins(tenantId) * 60;
+    if (currentExpirationInSeconds !== configExpirationInSeconds) {
+        // the expiration needs recalculating based on the current duration and time
+        delete newPayload.exp;
+        // update iat, exp field of the payload (mutate is true)
+        refreshedToken = signJwtToken(newPayload, options, { expiresIn: configExpirationInSeconds, mutatePayload: true });
+    } else {
+        refreshedToken = signJwtToken(newPayload, options);
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (now > newPayload.exp) {
+        // this could happen if the session timeout was decreased and a session was already opened
+        logger.info('Token for User %s : refreshed %s time(s), created %s secs ago, but expired at %s, %s secs ago.', newPayload.display || newPayload.id, newPayload.jti, now - newPayload.iat, new Date(newPayload.exp * 1000), newPayload.exp - now);
+        if (origin) {
+            userSessionService.logout(origin, 'active_session_duration_decreased');
+        }
+        throw new Error('active_session_duration_decreased');
+    } else {
+        logger.info('Token for User %s : refreshed %s time(s), created %s secs ago, expire at %s in %s secs.', newPayload.display || newPayload.id, newPayload.jti, now - newPayload.iat, new Date(newPayload.exp * 1000), newPayload.exp - now);
+    }
+    return [refreshedToken, newPayload];
+}
+
+/**
+ * A client token is a machine token issued to a service via the client_credentials grant.
+ * It is not related to a user session, and it is not refreshed.
+ *
+ * @param {Object} decodedToken
+ * @returns {Boolean}
+ */
+function isClientToken(decodedToken) {
+    return decodedToken.typ === CLIENT_TOKEN_TYPE;
+}
+
+function isApiKeyToken(decodedToken) {
+    return decodedToken.typ === API_KEY_TOKEN_TYPE;
+}
+
+/**
+ * Client tokens and api keys are used by services or integrations, they are never tied to a user session and never refreshed.
+ *
+ * @param {Object} decodedToken
+ * @returns {Boolean}
+ */
+function isSessionlessToken(decodedToken) {
+    return isClientToken(decodedToken) || isApiKeyToken(decodedToken);
+}
+
+function isAuthCodeToken(decodedToken) {
+    // the first token created should always be an auth code
+    // which is a token with a short life span
+    return !(decodedToken.jti >= 1);
+}
+
+async function checkForValidUserSession(origin) {
+    if (!await userSessionService.isUserSessionActive(origin)) {
+        userSessionService.logout(origin, 'inactive_session_timeout_or_session_not_found');
+        // User session has already expired due to inactivity
+        throw new Error('inactive_session_timeout_or_session_not_found');
+    }
+}
+
+async function getTenantId(decodedToken, getTenantIdFn) {
+    const tenantId = await getTenantIdFn(decodedToken);
+    if (!tenantId) {
+        throw new Error('unknown_tenant');
+    }
+    return tenantId;
+}
+
+/**
+ * Extract the token from a http request.
+ *
+ * The token sources are checked in the order of options.tokenSources:
+ * - header: the access-token header
+ * - bearer: the Authorization: Bearer header
+ * - cookie: the cookie named options.tokenCookieName (only if the name is provided)
+ * - query: the query parameter named options.tokenQueryParam (only if the name is provided), ex: for download links
+ *
+ * @param {Object} options
+ * @param {Array<String>} options.tokenSources allowed sources by precedence, by default all of them
+ * @param {String} options.tokenCookieName
+ * @param {String} options.tokenQueryParam
+ * @param {Object} req the http request
+ * @returns {Object} {token, source} or an empty object when no token was found
+ */
+function getRequestToken(options, req) {
+    for (const source of options.tokenSources || DEFAULT_HTTP_TOKEN_SOURCES) {
+        const token = getTokenFromSource(source, options, req);
+        if (!_.isEmpty(token)) {
+            logger.debug('Token provided by %b to access %b', source, req.url);
+            return {token, source};
+        }
+    }
+    return {};
+}
+
+function getTokenFromSource(source, options, req) {
+    const headers = req.headers || {};
+    switch (source) {
+    case 'header':
+        return headers['access-token'];
+    case 'bearer': {
+        const match = /^Bearer\s+(\S+)$/i.exec(headers.authorization || '');
+        return match ? match[1] : null;
+    }
+    case 'cookie':
+        if (!options.tokenCookieName) {
+            return null;
+        }
+        return req.cookies ? req.cookies[options.tokenCookieName] : parseCookies(headers.cookie)[options.tokenCookieName];
+    case 'query':
+        if (!options.tokenQueryParam) {
+            return null;
+        }
+        return req.query ? req.query[options.tokenQueryParam] : new URL(req.url, 'http://localhost').searchParams.get(options.tokenQueryParam);
+    default:
+        throw new Error('Unknown token source ' + source);
+    }
+}
+
+function parseCookies(cookieHeader) {
+    const cookies = {};
+    _.forEach(_.split(cookieHeader || '', ';'), (cookie) => {
+        const index = cookie.indexOf('=');
+        if (index > 0) {
+            cookies[cookie.substr(0, index).trim()] = decodeURIComponent(cookie.substr(index + 1).trim());
+        }
+    });
+    return cookies;
+}
+
 module.exports = {
-    verifyJwtToken
+    verifyAccessToken,
+    verifyJwtToken,
+    getRequestToken,
+    signJwtToken,
+    signSingleUseToken,
+    verifySingleUseToken,
+    getKeyring,
+    refreshJwtToken,
+    isAuthCodeToken,
+    isClientToken,
+    isApiKeyToken,
+    isSessionlessToken,
+    checkForValidUserSession,
+    getTenantId,
+    CLIENT_TOKEN_TYPE,
+    ACCESS_TOKEN_AUDIENCE
 };
@@ -0,0 +1,53 @@
+const _ = require('lodash');
+const httpAuthorize = require('./http-authorize');
+const errorCatalog = require('../error-catalog');
+const userSessionService = require('../user-session.service');
+
+/**
+ * Provide an express/connect middleware checking the authorization of the http requests.
+ *
+ * On success, the request is provided the zerv data
+ *    req.zerv = {payload, tenantId, userSession}
+ * and the refreshed token is provided in the access-token response header.
+ *
+ * Otherwise the response has the status of the error code in the catalog (usually 401) with the unauthorized error as body.
+ * An error raised while looking up the user session is passed to next.
+ *
+ * @param {Object} options the httpAuthorize options
+ * @param {Function} options.getTenantId this function receives the payload and returns the tenantId of the user
+ * @returns {Function} the middleware
+ */
+function httpAuthorizeMiddleware(options) {
+    return async function(req, res, next) {
+        let result;
+        try {
+            result = await httpAuthorize(options, req);
+        } catch (error) {
+            const catalogError = errorCatalog.getError(_.get(error, 'data.code'));
+            // only rely on the node response api to support express and connect.
+            res.statusCode = catalogError ? catalogError.status : 401;
+            res.setHeader('Content-Type', 'application/json');
+            res.end(JSON.stringify(error.toJSON()));
+            return;
+        }
+        let userSession;
+        try {
+            userSession = result.origin ? await userSessionService.findUserSession(result.origin) : null;
+        } catch (err) {
+            next(err);
+            return;
+        }
+        req.zerv = {
+            payload: result.payload,
+            tenantId: result.tenantId,
+            userSession
+        };
+        if (result.newToken) {
+            // an api key or a client token is never sent back in the response
+            res.setHeader('access-token', result.newToken);
+        }
+        next();
+    };
+}
+
+module.exports = httpAuthorizeMiddleware;
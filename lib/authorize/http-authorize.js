@@ -1,34 +1,151 @@
+const _ = require('lodash');
+const UUID = require('uuid');
 const zlog = require('zimit-zlog');
-const {verifyJwtToken} = require('./authorize.helper');
+const blackListService = require('../token-blacklist.service');
+const userSessionService = require('../user-session.service');
+const {verifyAccessToken, getRequestToken, refreshJwtToken, isAuthCodeToken, isSessionlessToken, getTenantId} = require('./authorize.helper');
+const UnauthorizedError = require('./UnauthorizedError');
 const logger = zlog.getLogger('zerv/core/http-authorize');
 
+const DEFAULT_REFRESH_GRACE_PERIOD_IN_SECS = 30;
+
 /**
  * Check Authorization of a http request.
  *
  * Reuse the socket authorize implementation for now.
  *
+ * The token is refreshed the same way as the socket token, only once its refresh interval (dur) is over,
+ * otherwise the token of the request is returned as is. An auth code is always refreshed.
+ * Once refreshed, the token provided in the request is revoked after a grace period,
+ * so that the concurrent requests sent with the same token still succeed.
+ * The client must use the new token for its next requests.
+ * A client token (client_credentials grant) or an api key is neither refreshed nor related to a user session.
+ *
+ * The user session of a refreshed token is found via its token family, it must still be active and the request is a user activity.
+ * When an auth code is exchanged, the user session is created at the request origin (or a new origin if not provided),
+ * so that clients only using http are subject to the session timeouts.
+ *
  * @param {Object} options (check jsonwebtoken verify function for other options)
- * @param {string} options.secret  the secret value to compute the jwt (mandatory)
- * 
+ * @param {string} options.secret  the secret value to compute the jwt (mandatory if no keyring is provided)
+ * @param {Keyring} options.keyring  the keyring to verify the jwt
+ * @param {Number} options.tokenRefreshIntervalInMins this is max duration of a token before it is refreshed (by default 1 day)
+ * @param {Number} options.tokenRefreshGracePeriodInSecs this is how long the token of the request remains valid once refreshed (by default 30 secs)
+ * @param {Function} options.getTenantId this function receives the payload and returns the tenantId of the user
+ * @param {Function} options.resolveApiKey this function receives an api key {id, name, scope, data} and returns its payload. Api keys are only accepted if provided.
+ * @param {Array<String>} options.tokenSources the request token sources by precedence: header, bearer, cookie and query (by default all of them)
+ * @param {String} options.tokenCookieName the name of the (HttpOnly) cookie that could contain the token
+ * @param {String} options.tokenQueryParam the name of the query parameter that could contain the token (ex: for download links)
+ *
  * @param {Object} req usually represents the HTTP request provided by the express framework
  *                     The following properties are exploited and mandatory:
- * @param {Map<string>} req.headers which should contain a string value for access-token key
+ * @param {Map<string>} req.headers which should contain a string value for access-token key (or Authorization: Bearer, or the token is in a cookie or the query)
+ *                                  and could contain the origin of the user session for access-origin key,
+ *                                  which is only used when exchanging an auth code or for tokens without token family.
  * @param {string} req.url which contains the request url value
- * 
+ *
  * @returns {Promise<Object, string} which resolves with the following object on success
- *    { payload,newToken}
+ *    { payload, newToken, tenantId, origin}
+ *    newToken is null for the credentials without session (api keys and client tokens), which must not be sent back to the client.
  */
 async function httpAuthorize(options, req) {
     try {
-        const token = req.headers['access-token'];
-        const decodedToken = await verifyJwtToken(token, options);
+        const {token} = getRequestToken(options, req);
+        const decodedToken = await verifyAccessToken(token, options);
+
+        let tenantId;
+        if (_.isFunction(options.getTenantId)) {
+            tenantId = await getTenantId(decodedToken, options.getTenantId);
+        }
+        if (isSessionlessToken(decodedToken)) {
+            return {
+                payload: decodedToken,
+                newToken: null,
+                tenantId,
+                origin: null
+            };
+        }
+        let origin;
+        if (isAuthCodeToken(decodedToken)) {
+            origin = req.headers['access-origin'] || UUID.v4();
+            await userSessionService.openHttpUserSession(origin, decodedToken, tenantId);
+        } else {
+            origin = await getUserSessionOrigin(req, decodedToken);
+            if (origin) {
+                await checkForActiveUserSession(origin);
+            }
+        }
+
+        const refreshOptions = _.assign({}, options, {
+            tokenRefreshIntervalInMins: options.tokenRefreshIntervalInMins || (24 * 60)
+        });
+        if (!isTokenRefreshDue(decodedToken, refreshOptions.tokenRefreshIntervalInMins)) {
+            return {
+                payload: decodedToken,
+                newToken: token,
+                tenantId,
+                origin
+            };
+        }
+        const [newToken, payload] = refreshJwtToken(decodedToken, refreshOptions, origin, tenantId);
+        if (isAuthCodeToken(decodedToken)) {
+            await blackListService.trackTokenFamily(payload.fam, origin, payload.exp);
+        }
+        // the client is provided the new token, the old one must not be reused once the concurrent requests are completed.
+        await blackListService.revokeToken(token, decodedToken.exp, {
+            gracePeriodInSecs: options.tokenRefreshGracePeriodInSecs || DEFAULT_REFRESH_GRACE_PERIOD_IN_SECS
+        });
         return {
-            payload: decodedToken,
-            newToken: 'not implemented'
+            payload,
+            newToken,
+            tenantId,
+            origin
         };
     } catch (error) {
         logger.info('Unauthorized access %b to %b', error.message, req.url);
-        throw error;
+        throw UnauthorizedError.from(error, 'Http authorization error');
+    }
+}
+
+/**
+ * Refreshing the token on every request would revoke a token per request (cache writes and revocations published to all servers),
+ * and any client reusing the token later (ex: parallel requests, download links) would be considered as reusing a revoked token.
+ *
+ * @param {Object} decodedToken
+ * @param {Number} tokenRefreshIntervalInMins used when the token does not provide its refresh interval (dur)
+ * @returns {Boolean} true if the token is an auth code or its refresh interval is over
+ */
+function isTokenRefreshDue(decodedToken, tokenRefreshIntervalInMins) {
+    if (isAuthCodeToken(decodedToken)) {
+        return true;
+    }
+    const refreshedAt = decodedToken.rat || decodedToken.iat;
+    const refreshInterval = decodedToken.dur || tokenRefreshIntervalInMins * 60;
+    return Math.floor(Date.now() / 1000) - refreshedAt >= refreshInterval;
+}
+
+/**
+ * The origin of a refreshed token is the one of its token family, the access-origin header is only used for tokens without family.
+ * Like for the http logout, the header is only trusted if its session belongs to the user of the token.
+ */
+async function getUserSessionOrigin(req, decodedToken) {
+    const familyOrigin = decodedToken.fam ? await blackListService.getTokenFamilyOrigin(decodedToken.fam) : null;
+    if (familyOrigin) {
+        return familyOrigin;
+    }
+    const origin = req.headers['access-origin'];
+    if (!_.isString(origin) || _.isEmpty(origin)) {
+        return null;
+    }
+    const userSession = await userSessionService.findUserSession(origin);
+    return userSession && String(userSession.userId) === String(decodedToken.id) ? origin : null;
+}
+
+async function checkForActiveUserSession(origin) {
+    if (!await userSessionService.notifyHttpUserSessionActivity(origin)) {
+        userSessionService.logout(origin, 'inactive_session_timeout_or_session_not_found')
+            .catch((err) => logger.error('Failed to log out the user session %b', origin, err));
+        // User session has already expired due to inactivity
+        throw new Error('inactive_session_timeout_or_session_not_found');
     }
 }
 
@@ -0,0 +1,227 @@
+const _ = require('lodash');
+const assert = require('assert');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const EC_CURVES_BY_COORDINATE_LENGTH = {32: 'P-256', 48: 'P-384', 66: 'P-521'};
+
+/**
+ * A keyring holds the keys used to sign and verify jwt tokens.
+ *
+ * Only the current key signs new tokens. Other keys remain valid to verify the tokens they signed until they are retired.
+ * This allows rotating keys without logging out all users:
+ * - rotate to a new key, new tokens are signed with it
+ * - retire the old key once all tokens it signed have expired (or were refreshed)
+ *
+ * With asymmetric algorithms (RS256, ES256...), services that only verify tokens can use a keyring
+ * made of the public keys and will never hold the signing keys.
+ *
+ * A key is defined with the following properties:
+ * - kid: the key id, added to the header of the tokens the key signs (mandatory with asymmetric algorithms)
+ * - algorithm: by default HS256 when a secret is provided, otherwise RS256
+ * - secret: the shared secret of a symmetric key (HS256)
+ * - privateKey: the PEM private key of an asymmetric key, necessary to sign
+ * - publicKey: the PEM public key of an asymmetric key. It is computed from the private key if not provided.
+ * - current: true if the key is used for signing. By default, the first key that can sign is the current one.
+ *
+ * Tokens signed without kid (ex: with the options.secret before using a keyring) are verified with the key defined without kid.
+ */
+class Keyring {
+    constructor(keys = []) {
+        this.keys = [];
+        this.currentKey = null;
+        _.forEach(keys, (key) => this.addKey(key));
+    }
+
+    addKey(keyDefinition) {
+        const key = normalizeKey(keyDefinition);
+        assert(!_.some(this.keys, {kid: key.kid}), `Key ${key.kid || 'without kid'} is already in the keyring.`);
+        this.keys.push(key);
+        if (keyDefinition.current || (!this.currentKey && isSigningKey(key))) {
+            this.setCurrentKey(key.kid);
+        }
+        return this;
+    }
+
+    /**
+     * Add a new key which becomes the current key.
+     * The previous keys can still verify the tokens they signed.
+     *
+     * @param {Object} keyDefinition
+     * @returns {Keyring}
+     */
+    rotate(keyDefinition) {
+        return this.addKey(_.assign({}, keyDefinition, {current: true}));
+    }
+
+    setCurrentKey(kid) {
+        const key = this.getKey(kid);
+        assert(key, `Key ${kid} is not in the keyring.`);
+        assert(isSigningKey(key), `Key ${kid} cannot be used for signing without private key.`);
+        this.currentKey = key;
+    }
+
+    /**
+     * Remove a key from the keyring. The tokens signed by this key will no longer be valid.
+     *
+     * @param {String} kid
+     */
+    retireKey(kid) {
+        const key = this.getKey(kid);
+        assert(key !== this.currentKey || this.keys.length === 1, `Current key ${kid} cannot be retired before rotating to another key.`);
+        _.pull(this.keys, key);
+        if (key === this.currentKey) {
+            this.currentKey = null;
+        }
+    }
+
+    getKey(kid) {
+        return _.find(this.keys, (key) => key.kid === kid);
+    }
+
+    getCurrentKey() {
+        return this.currentKey;
+    }
+
+    getKeys() {
+        return _.clone(this.keys);
+    }
+
+    /**
+     * Provide the public keys of the keyring as a JSON Web Key Set (RFC 7517).
+     * Secrets of symmetric keys are never exposed.
+     *
+     * @returns {Object} the key set {keys}
+     */
+    getJwks() {
+        const keys = _.filter(this.keys, (key) => !_.isNil(key.publicKey));
+        return {
+            keys: _.map(keys, (key) => _.assign(
+                toJwk(key.publicKey),
+                {kid: key.kid, alg: key.algorithm, use: 'sig'}
+            ))
+        };
+    }
+
+    /**
+     * sign a payload with the current key.
+     *
+     * @param {Object} payload
+     * @param {Object} signOptions check jsonwebtoken sign function options
+     * @returns {String} the token
+     */
+    sign(payload, signOptions = {}) {
+        const key = this.getCurrentKey();
+        if (!key) {
+            throw new Error('No signing key in the keyring');
+        }
+        const options = _.assign({}, signOptions, {algorithm: key.algorithm});
+        if (key.kid) {
+            options.keyid = key.kid;
+        }
+        return jwt.sign(payload, key.privateKey || key.secret, options);
+    }
+
+    /**
+     * verify a token with the key that signed it (based on the kid of the token header)
+     *
+     * @param {String} token
+     * @param {Object} verifyOptions check jsonwebtoken verify function options
+     * @returns {Object} the decoded token payload
+     */
+    verify(token, verifyOptions = {}) {
+        const decoded = jwt.decode(token, {complete: true});
+        if (!decoded) {
+            throw new jwt.JsonWebTokenError('jwt malformed');
+        }
+        const key = this.getKey(decoded.header.kid);
+        if (!key) {
+            throw new jwt.JsonWebTokenError('jwt signed with an unknown key');
+        }
+        return jwt.verify(token, key.publicKey || key.secret, _.assign({}, verifyOptions, {algorithms: [key.algorithm]}));
+    }
+}
+
+function isSigningKey(key) {
+    return !_.isNil(key.privateKey || key.secret);
+}
+
+function normalizeKey(keyDefinition) {
+    const key = _.pick(keyDefinition, ['kid', 'algorithm', 'secret', 'privateKey', 'publicKey']);
+    if (key.secret) {
+        key.algorithm = key.algorithm || 'HS256';
+        assert(key.algorithm.startsWith('HS'), `Key ${key.kid} with a secret must use a HMAC algorithm.`);
+        return key;
+    }
+    key.algorithm = key.algorithm || 'RS256';
+    assert(key.kid, 'An asymmetric key requires a kid.');
+    assert(key.privateKey || key.publicKey, `Key ${key.kid} requires a private or public key.`);
+    if (!key.publicKey) {
+        key.publicKey = crypto.createPublicKey(key.privateKey).export({type: 'spki', format: 'pem'});
+    }
+    return key;
+}
+
+// the jwk export of KeyObject is not available before node 15.9, the jwk is built from the DER encoding.
+function toJwk(publicKey) {
+    const keyObject = crypto.createPublicKey(publicKey);
+    switch (keyObject.asymmetricKeyType) {
+    case 'rsa': {
+        // RSAPublicKey ::= SEQUENCE { modulus INTEGER, publicExponent INTEGER }
+        const sequence = readDerElement(keyObject.export({type: 'pkcs1', format: 'der'}), 0);
+        const modulus = readDerElement(sequence.content, 0);
+        const exponent = readDerElement(sequence.content, modulus.end);
+        return {kty: 'RSA', n: toBase64Url(trimLeadingZeros(modulus.content)), e: toBase64Url(trimLeadingZeros(exponent.content))};
+    }
+    case 'ec': {
+        // SubjectPublicKeyInfo ::= SEQUENCE { algorithm SEQUENCE, subjectPublicKey BIT STRING }
+        const sequence = readDerElement(keyObject.export({type: 'spki', format: 'der'}), 0);
+        const algorithm = readDerElement(sequence.content, 0);
+        // the bit string starts with the number of unused bits, then the uncompressed point 0x04 || x || y
+        const point = readDerElement(sequence.content, algorithm.end).content.slice(2);
+        const coordinateLength = point.length / 2;
+        const curve = EC_CURVES_BY_COORDINATE_LENGTH[coordinateLength];
+        assert(curve, 'Unsupported elliptic curve');
+        return {
+            kty: 'EC',
+            crv: curve,
+            x: toBase64Url(point.slice(0, coordinateLength)),
+            y: toBase64Url(point.slice(coordinateLength))
+        };
+    }
+    default:
+        throw new Error('Unsupported key type ' + keyObject.asymmetricKeyType);
+    }
+}
+
+function readDerElement(buffer, offset) {
+    let length = buffer[offset + 1];
+    let contentOffset = offset + 2;
+    if (length & 0x80) {
+        const lengthBytes = length & 0x7f;
+        length = 0;
+        for (let i = 0; i < lengthBytes; i++) {
+            length = length * 256 + buffer[contentOffset + i];
+        }
+        contentOffset += lengthBytes;
+    }
+    return {
+        content: buffer.slice(contentOffset, contentOffset + length),
+        end: contentOffset + length
+    };
+}
+
+// a DER integer is prefixed with a 0 when its first bit is set, which is not part of the jwk value.
+function trimLeadingZeros(buffer) {
+    let start = 0;
+    while (start < buffer.length - 1 && buffer[start] === 0) {
+        start++;
+    }
+    return buffer.slice(start);
+}
+
+function toBase64Url(buffer) {
+    return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+module.exports = Keyring;
@@ -2,8 +2,7 @@ const _ = require('lodash');
 const zlog = require('zimit-zlog');
 const blackListService = require('../token-blacklist.service');
 const userSessionService = require('../user-session.service.js');
-const jwt = require('jsonwebtoken');
-const { verifyJwtToken } = require('./authorize.helper');
+const { verifyAccessToken, refreshJwtToken, isAuthCodeToken, isSessionlessToken, checkForValidUserSession, getTenantId } = require('./authorize.helper');
 const UnauthorizedError = require('./UnauthorizedError');
 
 const logger = zlog.getLogger('zerv/core/socket-authorize');
@@ -17,6 +16,11 @@ const logger = zlog.getLogger('zerv/core/socket-authorize');
  *
  * @param {Object} options
  * @property {Number} options.timeout this is max duration in ms to provide a token after a socket connection
+ * @property {Boolean} options.tokenReuseDetection when true, the reuse of a revoked token revokes all tokens refreshed from the same auth code
+ *                                                 and logs out the user session.
+ * @property {Boolean} options.handshakeAuthentication when true, the token is provided and verified during the socket handshake
+ *                                                     instead of being emitted via the authenticate event after the connection.
+ *                                                     The refreshed token is then emitted via the token_refreshed event.
  * @property {Number} options.tokenRefreshIntervalInMins this is max duration of a token before it is refreshed
  * @property {Number} options.inactiveLocalUserSessionTimeoutInMins this is max socket disconnection duration before all resources
  *                                                            (such as removing of all subscription states, calling of onLocalUserSessionDestroy, etc)
@@ -35,28 +39,37 @@ function socketAuthorize(authOptions, io, coreModule) {
     });
     userSessionService.init(coreModule, io, options.inactiveLocalUserSessionTimeoutInMins);
     logger.info('Web socket middleware initialized  - token refresh interval: %s mins, socket authentication timeout: %s millisecs, inactive local user session timeout: %s mins', options.tokenRefreshIntervalInMins, options.timeout, options.inactiveLocalUserSessionTimeoutInMins);
+    if (options.handshakeAuthentication) {
+        logger.info('Web socket authentication during handshake enabled');
+        io.use(authorizeHandshake);
+    }
+    blackListService.onTokensRevoked(disconnectRevokedSockets);
     return onNewSocket;
 
 
     function onNewSocket(socket) {
-        const authTimeout = setAuthorizationTimeout(socket, options.timeout);
-        // ..................................
-        // The authentication logic is currently based on a similar old logic used
-        // in the socketio-jwt lib (it could be another reason for deprecating this lib).
-        //
-        // This could be improved by not using authenticate event.
-        // -> currently, the socket client (the browser app) must connect the socket, then authenticate by passing the token.
-        //
-        // The client should be re-implemented to send the token via the request header instead - which is encrypted by https.
-        // The backend would directly process the token during socket initialization to avoid a round trip via authenticate.
-        // A new event/logic would also need to be created to handle the token refresh for the client to obtain it.
-        //
-        // This could not only simply the code on front end and backend but also avoid extra communication and complexity/reliability during reconnection process.
-        // ..................................
-        socket.on('authenticate', function(data) {
-            clearTimeout(authTimeout);
-            authenticateSocket(socket, data);
-        });
+        let authTimeout;
+        if (options.handshakeAuthentication) {
+            // the socket was already authorized by the handshake middleware before the connection was established.
+            completeHandshakeAuthorization(socket);
+            socket.on('refresh_token', function(data) {
+                authenticateSocket(socket, data, 'token_refreshed');
+            });
+        } else {
+            authTimeout = setAuthorizationTimeout(socket, options.timeout);
+            // ..................................
+            // The authentication logic is currently based on a similar old logic used
+            // in the socketio-jwt lib (it could be another reason for deprecating this lib).
+            //
+            // The client must connect the socket, then authenticate by passing the token.
+            // The handshakeAuthentication option provides the alternative where the token is sent during the socket handshake
+            // (processed by authorizeHandshake) to avoid a round trip via authenticate.
+            // ..................................
+            socket.on('authenticate', function(data) {
+                clearTimeout(authTimeout);
+                authenticateSocket(socket, data, 'authenticated');
+            });
+        }
 
         // let's listen on logout
         socket.on('logout', function(token) {
@@ -81,20 +94,87 @@ function socketAuthorize(authOptions, io, coreModule) {
 
         // When then user is active on the UI, the backend is notified.
         socket.on('activity', (logMsg) => {
+            if (!socket.origin) {
+                // no user session (ex: client token)
+                return;
+            }
             userSessionService.notifyUserSessionActivity(socket.origin, logMsg);
         });
     }
 
+    /**
+     * This socket.io middleware authorizes the socket during the handshake, before the connection is established.
+     *
+     * The client provides the token (and its origin) in the handshake auth data:
+     *   io.connect(url, {auth: {token, origin}})
+     * or via the access-token (and access-origin) request headers.
+     *
+     * If the token is invalid, the connection is refused and the client receives a connect_error
+     * whose data contains the unauthorized code.
+     *
+     * @param {Object} socket
+     * @param {Function} next
+     */
+    async function authorizeHandshake(socket, next) {
+        try {
+            const auth = socket.handshake.auth || {};
+            const connData = {
+                token: auth.token || socket.handshake.headers['access-token'],
+                origin: auth.origin || socket.handshake.headers['access-origin']
+            };
+            connData.decodedToken = await verifyAccessToken(connData.token, options);
+            if (isSessionlessToken(connData.decodedToken)) {
+                socket.handshakeAuthorization = await authorizeSessionlessConnection(socket, connData);
+            } else {
+                socket.handshakeAuthorization = await authorizeNewConnection(socket, connData);
+            }
+            next();
+        } catch (error) {
+            next(toUnauthorizedError(error));
+        }
+    }
+
+    /**
+     * This function is called when the connection of a socket authorized during its handshake is established.
+     *
+     * the refreshed token is delivered via the token_refreshed event,
+     * only if the client did not connect with a session token.
+     *
+     * @param {Object} socket
+     */
+    async function completeHandshakeAuthorization(socket) {
+        const {newToken, oldToken, oldTokenExp} = socket.handshakeAuthorization;
+        delete socket.handshakeAuthorization;
+        try {
+            if (oldToken) {
+                emitToken(socket, 'token_refreshed', newToken, oldToken, oldTokenExp);
+            }
+            if (!socket.sessionless) {
+                await userSessionService.connectUser(socket);
+            }
+        } catch (error) {
+            logger.info('Connection initialization error - %s', error.message);
+            emitUnauthorizedError(socket, UnauthorizedError.from(error, 'Connection initialization error'));
+        }
+    }
+
     /**
      * This function is called each time the client attempts to authenticate on the currently open socket.
      *
      * @param {Object} socket
-     * @param {Object} connData
+     * @param {Object} data
+     * @param {String} tokenEvent the event used to emit the refreshed token to the client
      */
-    async function authenticateSocket(socket, data) {
+    async function authenticateSocket(socket, data, tokenEvent) {
         try {
             const connData = _.clone(data);
-            connData.decodedToken = await verifyJwtToken(connData.token, options);
+            connData.decodedToken = await verifyAccessToken(connData.token, options);
+            if (socket.sessionless || isSessionlessToken(connData.decodedToken)) {
+                const event = socket.sessionless ? tokenEvent : 'authenticated';
+                const {newToken} = await authorizeSessionlessConnection(socket, connData);
+                emitToken(socket, event, newToken);
+                return;
+            }
             // a new socket might be created when browser reconnects after period of inactivity (ex: phone went to stand by and connect at times in the background)
             if (!socket.userId) {
                 await initNewConnectionAuthorization(socket, connData);
@@ -105,7 +185,7 @@ function socketAuthorize(authOptions, io, coreModule) {
                 // make sure a token created for a different user session is not used to maintain another user session
                 throw new UnauthorizedError('unauthorized_token', { message: 'Unauthorized use of a token with this socket' });
             }
-            await maintainExistingConnectionAuthorization(socket, connData);
+            await maintainExistingConnectionAuthorization(socket, connData, tokenEvent);
         } catch (error) {
             emitUnauthorizedError(socket, error);
         }
@@ -120,6 +200,36 @@ function socketAuthorize(authOptions, io, coreModule) {
      * @return {Promise<UserSession>}
      */
     async function initNewConnectionAuthorization(currentSocket, connData) {
+        let authorization;
+        try {
+            authorization = await authorizeNewConnection(currentSocket, connData);
+        } catch (error) {
+            if (error.data.code === 'too_many_sessions') {
+                // the socket must not remain connected, even without a token it would still reach the server.
+                emitUnauthorizedError(currentSocket, error);
+                currentSocket.disconnect(true);
+                return null;
+            }
+            throw error;
+        }
+        const {newToken, oldToken, oldTokenExp} = authorization;
+        emitToken(currentSocket, 'authenticated', newToken, oldToken, oldTokenExp);
+        return userSessionService.connectUser(currentSocket);
+    }
+
+    /**
+     * This function authorizes a socket which is not connected to a user session yet
+     * and sets up the socket with the user data and the token to provide to the client.
+     *
+     * If the authorization fails, the socket is reset so that it holds neither the user data nor a token.
+     *
+     * @param {Object} currentSocket
+     * @param {Object} connData
+     * @return {Promise<Object>} the token refresh {newToken, oldToken, oldTokenExp}, oldToken is null when the token was not refreshed.
+     */
+    async function authorizeNewConnection(currentSocket, connData) {
+        let oldTokenExp, newToken, payload;
+        const oldToken = connData.token;
         try {
             currentSocket.userId = connData.decodedToken.id;
             if (connData.origin) {
@@ -128,14 +238,11 @@ function socketAuthorize(authOptions, io, coreModule) {
             if (_.isFunction(options.getTenantId) && _.isNil(currentSocket.tenantId)) {
                 currentSocket.tenantId = await getTenantId(connData.decodedToken, options.getTenantId);
             }
-
-            let oldTokenExp, newToken, payload;
-            const oldToken = connData.token;
             // if it is not a new login
             if (isAuthCodeToken(connData.decodedToken)) {
                 oldTokenExp = connData.decodedToken.exp;
                 // the first token (jti = 0 ) must always be refreshed, since it is usually an auth code with a short life span
-                [newToken, payload] = refreshToken(connData.decodedToken, connData.origin, currentSocket.tenantId);
+                [newToken, payload] = refreshJwtToken(connData.decodedToken, options, connData.origin, currentSocket.tenantId);
             } else {
                 await checkForValidUserSession(connData.origin);
                 // No need to refresh the token, it is just a new connection from a network loss or an additional browser tab
@@ -153,17 +260,77 @@ function socketAuthorize(authOptions, io, coreModule) {
             // This is useful for knowing:
             // - the number of browser tabs are opened by a user
             // - Being able to log out all of them when the user logs out.
-            currentSocket.origin = connData.origin || newToken;
+            // without origin, the session is at the token itself (a new session when the auth code gets refreshed).
+            const origin = connData.origin || newToken;
+            // the session limits are checked before the token is provided to the client,
+            // a rejected client must not get a valid token (the refreshed token is revoked below).
+            await userSessionService.enforceConcurrentSessionPolicy({
+                userId: currentSocket.userId,
+                tenantId: currentSocket.tenantId,
+                origin
+            });
+            currentSocket.origin = origin;
             currentSocket.token = newToken;
             currentSocket.payload = payload;
             currentSocket.creation = new Date();
 
-            emitToken(currentSocket, newToken, oldToken === newToken ? null : oldToken, oldTokenExp);
-            return userSessionService.connectUser(currentSocket);
+            if (oldToken !== newToken) {
+                // a new token family has just been created, it belongs to this origin
+                await blackListService.trackTokenFamily(payload.fam, currentSocket.origin, payload.exp);
+            }
+            return {
+                newToken,
+                oldToken: oldToken === newToken ? null : oldToken,
+                oldTokenExp
+            };
         } catch (error) {
             logger.info('Connection initialization error - %s', error.message);
-            throw new UnauthorizedError(error.message, { message: 'Connection initialization error' });
+            resetSocketAuthorization(currentSocket);
+            if (newToken && newToken !== oldToken) {
+                // the refreshed token was never provided to the client
+                blackListService.revokeToken(newToken, payload.exp);
+            }
+            throw UnauthorizedError.from(error, 'Connection initialization error');
+        }
+    }
+
+    function resetSocketAuthorization(socket) {
+        socket.userId = null;
+        socket.origin = null;
+        socket.token = null;
+        socket.payload = null;
+    }
+
+    /**
+     * This function authorizes a socket connected by a service with a client token (client_credentials grant)
+     * or by an integration with an api key.
+     *
+     * Such socket is not related to any user session: it is not subject to the session inactivity timeout
+     * and its token is not refreshed. A service authenticates again with a new client token before the current one expires.
+     *
+     * @param {Object} currentSocket
+     * @param {Object} connData
+     * @return {Promise<Object>} {newToken, oldToken}, the token is never refreshed so oldToken is null.
+     */
+    async function authorizeSessionlessConnection(currentSocket, connData) {
+        const payload = connData.decodedToken;
+        // the client id or the api key id
+        const credentialId = payload.client_id || payload.api_key_id;
+        if (!isSessionlessToken(payload) || currentSocket.userId || (currentSocket.sessionless && currentSocket.credentialId !== credentialId)) {
+            throw new UnauthorizedError('unauthorized_token', { message: 'Unauthorized use of a token with this socket' });
+        }
+        if (_.isFunction(options.getTenantId) && _.isNil(currentSocket.tenantId)) {
+            currentSocket.tenantId = await getTenantId(payload, options.getTenantId);
         }
+        currentSocket.sessionless = true;
+        currentSocket.credentialId = credentialId;
+        currentSocket.token = connData.token;
+        currentSocket.payload = payload;
+        currentSocket.creation = currentSocket.creation || new Date();
+        return {
+            newToken: connData.token,
+            oldToken: null
+        };
     }
 
     /**
@@ -171,8 +338,9 @@ function socketAuthorize(authOptions, io, coreModule) {
      *
      * @param {*} currentSocket
      * @param {*} connData
+     * @param {String} tokenEvent
      */
-    async function maintainExistingConnectionAuthorization(currentSocket, connData) {
+    async function maintainExistingConnectionAuthorization(currentSocket, connData, tokenEvent) {
         try {
             if (!currentSocket.origin) {
                 // This would happen if the initNewConnection initated by a reconnection has not completed
@@ -182,7 +350,7 @@ function socketAuthorize(authOptions, io, coreModule) {
             }
             await checkForValidUserSession(currentSocket.origin);
 
-            const [newToken, payload] = refreshToken(connData.decodedToken, connData.origin, currentSocket.tenantId);
+            const [newToken, payload] = refreshJwtToken(connData.decodedToken, options, connData.origin || currentSocket.origin, currentSocket.tenantId);
             // every socket that is using the same token (comming from the same browser origin with multiple tabs opened), is now updated.
             currentSocket.server.sockets.sockets.forEach((socket) => {
                 if (socket.origin === currentSocket.origin) {
@@ -190,11 +358,11 @@ function socketAuthorize(authOptions, io, coreModule) {
                     socket.token = newToken;
                 }
             });
-            emitToken(currentSocket, newToken, connData.token, connData.decodedToken.exp);
+            emitToken(currentSocket, tokenEvent, newToken, connData.token, connData.decodedToken.exp);
         } catch (error) {
             // Not display an error but rather info as this can happen during the life of the connection
             logger.info('Connection refresh error - %s', error.message);
-            throw new UnauthorizedError(error.message, { message: 'Connection refresh error' });
+            throw UnauthorizedError.from(error, 'Connection refresh error');
         }
     }
 
@@ -213,42 +381,42 @@ function socketAuthorize(authOptions, io, coreModule) {
         });
     }
 
-    function refreshToken(oldPayload, socketOrigin, tenantId) {
-        const newPayload = _.clone(oldPayload);
-        // this tracks how many times a token was refreshed
-        newPayload.jti = newPayload.jti || 0;
-        newPayload.jti += 1;
-
-        let refreshedToken;
-        // this will be used by the client to figure out when to refresh
-        newPayload.dur = options.tokenRefreshIntervalInMins * 60;
-
-        const currentExpirationInSeconds = newPayload.exp - newPayload.iat;
-        const configExpirationInSeconds = userSessionService.getTenantMaximumActiveSessionTimeoutInMins(tenantId) * 60;
-        if (currentExpirationInSeconds !== configExpirationInSeconds) {
-            // the expiration needs recalculating based on the current duration and time
-            delete newPayload.exp;
-            // update iat, exp field of the payload (mutate is true)
-            refreshedToken = jwt.sign(newPayload, options.secret, { expiresIn: configExpirationInSeconds, mutatePayload: true });
-        } else {
-            refreshedToken = jwt.sign(newPayload, options.secret);
-        }
-
-        const now = Math.floor(Date.now() / 1000);
-        if (now > newPayload.exp) {
-            // this could happen if the session timeout was decreased and a session was already opened
-            logger.info('Token for User %s : refreshed %s time(s), created %s secs ago, but expired at %s, %s secs ago.', newPayload.display || newPayload.id, newPayload.jti, now - newPayload.iat, new Date(newPayload.exp * 1000), newPayload.exp - now);
-            userSessionService.logout(socketOrigin, 'active_session_duration_decreased');
-            throw new Error('active_session_duration_decreased');
-        } else {
-            logger.info('Token for User %s : refreshed %s time(s), created %s secs ago, expire at %s in %s secs.', newPayload.display || newPayload.id, newPayload.jti, now - newPayload.iat, new Date(newPayload.exp * 1000), newPayload.exp - now);
+    /**
+     * A token might be revoked by any server of the cluster (ex: admin kill session),
+     * the local sockets still connected with a revoked token are disconnected right away
+     * instead of waiting for the next token refresh.
+     *
+     * @param {Object} revocation published by the token blacklist service
+     */
+    function disconnectRevokedSockets(revocation) {
+        if (!revocation.disconnectSockets) {
+            return;
         }
-        return [refreshedToken, newPayload];
+        io.sockets.sockets.forEach((socket) => {
+            if (!socket.token) {
+                // not authenticated yet
+                return;
+            }
+            let code;
+            if (revocation.tokenId && blackListService.getTokenId(socket.token) === revocation.tokenId) {
+                code = 'revoked_token';
+            } else if (revocation.apiKeyId && socket.payload.api_key_id === revocation.apiKeyId) {
+                code = 'revoked_api_key';
+            } else if (revocation.userId && String(socket.userId) === String(revocation.userId) && blackListService.isIssuedBefore(socket.payload, revocation.notBefore)) {
+                code = 'revoked_user_tokens';
+            } else {
+                return;
+            }
+            logger.info('Disconnect socket of user %b, its token was revoked', socket.userId);
+            socket.emit('unauthorized', new UnauthorizedError(code, {message: 'Token was revoked'}));
+            socket.disconnect(true);
+        });
     }
 
-    function emitToken(socket, newToken, oldToken, oldTokenExp) {
-        logger.debug('Emit token %b%s.', newToken.substr(-10), oldToken ? ' to refresh ' + oldToken.substr(-10) : '');
-        socket.emit('authenticated', newToken, (status) => {
+    function emitToken(socket, event, newToken, oldToken, oldTokenExp) {
+        // only the token ids are logged, never the tokens.
+        logger.debug('Emit token %b%s.', blackListService.getTokenId(newToken), oldToken ? ' to refresh ' + blackListService.getTokenId(oldToken) : '');
+        socket.emit(event, newToken, (status) => {
             // the old token is still valid for a little time
             // Prevent anyone from reusing it to gain a valid access.
             // Be aware:
@@ -263,46 +431,26 @@ function socketAuthorize(authOptions, io, coreModule) {
     }
 
     function emitUnauthorizedError(socket, error) {
-        if (!error instanceof UnauthorizedError) {
-            const code = 'unknown';
-            error = new UnauthorizedError(code, {
-                message: (Object.prototype.toString.call(error) === '[object Object]' && error.message) ? error.message : error
-            });
-        }
+        error = toUnauthorizedError(error);
         socket.emit('unauthorized', error, function() {
             // this seems to never happen.. to investigate later on
             socket.disconnect('unauthorized');
         });
     }
 
+    function toUnauthorizedError(error) {
+        if (!(error instanceof UnauthorizedError)) {
+            logger.info('Unauthorized socket - %s', _.get(error, 'message', error));
+        }
+        return UnauthorizedError.from(error);
+    }
+
     function setAuthorizationTimeout(socket, timeout) {
         return setTimeout(
             () => socket.disconnect('unauthorized'),
             timeout
         );
     }
-
-    function isAuthCodeToken(decodedToken) {
-    // the first token created should always be an auth code
-    // which is a token with a short life span
-        return !(decodedToken.jti >= 1);
-    }
-
-    async function checkForValidUserSession(origin) {
-        if (!await userSessionService.isUserSessionActive(origin)) {
-            userSessionService.logout(origin, 'inactive_session_timeout_or_session_not_found');
-            // User session has already expired due to inactivity
-            throw new Error('inactive_session_timeout_or_session_not_found');
-        }
-    }
-
-    async function getTenantId(decodedToken, getTenantIdFn) {
-        const tenantId = await getTenantIdFn(decodedToken);
-        if (!tenantId) {
-            throw new Error('unknown_tenant');
-        }
-        return tenantId;
-    }
 }
 
 module.exports = socketAuthorize;
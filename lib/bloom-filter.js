@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+
+/**
+ * A Bloom filter is a compact set which tells if a value was probably added or definitely not added.
+ *
+ * Values cannot be removed, the filter must be rebuilt instead.
+ * The false positive rate increases when more values than expected are added.
+ */
+class BloomFilter {
+    /**
+     * @param {Object} options
+     * @param {Number} options.expectedItems the number of values the filter is sized for (by default 100000)
+     * @param {Number} options.falsePositiveRate the expected false positive rate (by default 0.01)
+     */
+    constructor(options = {}) {
+        const expectedItems = options.expectedItems || 100000;
+        const falsePositiveRate = options.falsePositiveRate || 0.01;
+        this.size = Math.ceil(-expectedItems * Math.log(falsePositiveRate) / (Math.LN2 * Math.LN2));
+        this.hashCount = Math.max(1, Math.round(this.size / expectedItems * Math.LN2));
+        // zero filled
+        this.bits = Buffer.alloc(Math.ceil(this.size / 8));
+        this.count = 0;
+    }
+
+    add(value) {
+        for (const position of this.getPositions(value)) {
+            this.bits[position >> 3] |= 1 << (position & 7);
+        }
+        this.count++;
+    }
+
+    mightContain(value) {
+        for (const position of this.getPositions(value)) {
+            if ((this.bits[position >> 3] & (1 << (position & 7))) === 0) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    // double hashing: the positions are derived from 2 hashes of the value.
+    getPositions(value) {
+        const digest = crypto.createHash('sha256').update(String(value)).digest();
+        const hash1 = digest.readUInt32BE(0);
+        const hash2 = digest.readUInt32BE(4);
+        const positions = [];
+        for (let i = 0; i < this.hashCount; i++) {
+            positions.push((hash1 + i * hash2) % this.size);
+        }
+        return positions;
+    }
+}
+
+module.exports = BloomFilter;
@@ -5,13 +5,17 @@ const fs = require('fs');
 const path = require('path');
 const _ = require('lodash');
 const IoRedis = require('ioredis');
+const UUID = require('uuid');
 const {Readable} = require('stream');
 const moment = require('moment');
 const zlog = require('zimit-zlog');
 const logger = zlog.getLogger('zerv/core/cacheService');
 
 let redisClient;
+let redisSubscriber;
 let localCache;
+// subscriptions by channel, each with its listeners by id
+let channelSubscriptions = {};
 
 /**
  * this service provides access to a persisted cache implementation:
@@ -27,6 +31,7 @@ const service = {
     isClusterCacheEnabled,
 
     cacheData,
+    cacheDataIfAbsent,
     removeCachedData,
     getCachedData,
     getCachedBooleanValue,
@@ -35,9 +40,16 @@ const service = {
     getCachedKeys,
     getCachedObjects,
     getCachedObjectsWithKeyNameBeginning,
+    addCachedSetMember,
+    removeCachedSetMember,
+    getCachedSetMembers,
+
+    publishMessage,
+    subscribeToChannel,
 
     _createIoRedis,
     _clearIoRedisInstance,
+    _clearChannelSubscriptions,
     _getCacheImpl,
     _clearLocalCache,
     _getLocalCachePersistenceImpl,
@@ -89,6 +101,7 @@ function _createIoRedis() {
 
 function _clearIoRedisInstance() {
     redisClient = null;
+    redisSubscriber = null;
 }
 
 function onError(error) {
@@ -119,15 +132,28 @@ class LocalCache {
         this.data[key] = {val: value, exp: getExpirationDate(exp)};
         this.persistCache();
     }
-    set(key, value) {
-        // similar behavior as redis, set maintain the exp set earlier
+    set(key, value, ...options) {
+        // similar behavior as redis, supports the EX (expiration in secs) and NX (only set if the key does not exist) options
         const oldData = this.data[key];
-        this.data[key] = {val: value, exp: oldData ? oldData.exp : null};
+        if (_.includes(options, 'NX') && oldData && !isExpired(oldData)) {
+            return null;
+        }
+        const expIndex = _.indexOf(options, 'EX');
+        let exp = oldData ? oldData.exp : null;
+        if (expIndex !== -1) {
+            exp = getExpirationDate(options[expIndex + 1]);
+        }
+        // without EX, set maintain the exp set earlier
+        this.data[key] = {val: value, exp};
         this.persistCache();
+        return 'OK';
     }
     del(key) {
+        // similar behavior as redis, returns the number of removed keys
+        const removedCount = _.has(this.data, key) ? 1 : 0;
         delete this.data[key];
         this.persistCache();
+        return removedCount;
     }
     get(key) {
         return Promise.resolve(_.get(this.data[key], 'val', null));
@@ -136,6 +162,38 @@ class LocalCache {
         // could return undefined values if not found
         return Promise.resolve(_.map(keys, (key) => _.get(this.data[key], 'val')));
     }
+    sadd(key, member) {
+        // the set members are stored in an array to remain persistable in json
+        const oldData = this.data[key];
+        const members = oldData ? oldData.val : [];
+        this.data[key] = {val: _.union(members, [member]), exp: oldData ? oldData.exp : null};
+        this.persistCache();
+        return members.length === this.data[key].val.length ? 0 : 1;
+    }
+    srem(key, member) {
+        const oldData = this.data[key];
+        if (!oldData || !_.includes(oldData.val, member)) {
+            return 0;
+        }
+        oldData.val = _.without(oldData.val, member);
+        if (!oldData.val.length) {
+            // similar behavior as redis, an empty set no longer exists
+            delete this.data[key];
+        }
+        this.persistCache();
+        return 1;
+    }
+    smembers(key) {
+        return Promise.resolve(_.get(this.data[key], 'val', []));
+    }
+    expire(key, exp) {
+        if (!this.data[key]) {
+            return 0;
+        }
+        this.data[key].exp = getExpirationDate(exp);
+        this.persistCache();
+        return 1;
+    }
     scanStream(options) {
         // this is a simple mock implementation of redis scanStream which only supports the match option with *
         const match = options.match.substr(0, options.match.length - 1);
@@ -156,7 +214,7 @@ class LocalCache {
         const data = this.data;
         _.forEach(_.keys(data), (key) => {
             const obj = data[key];
-            if (obj.exp && moment().isAfter(obj.exp)) {
+            if (isExpired(obj)) {
                 logger.debug('Remove key %b expired on %s.', key, moment(obj.exp));
                 delete data[key];
             }
@@ -198,6 +256,10 @@ function _getLocalCachePersistenceImpl(localCache, enablePersistence) {
     };
 }
 
+function isExpired(obj) {
+    return obj.exp && moment().isAfter(obj.exp);
+}
+
 function getExpirationDate(expirationInSecs) {
     if (_.isNil(expirationInSecs)) {
         return null;
@@ -232,8 +294,36 @@ async function cacheData(key, value, options = {}) {
     }
 }
 
+/**
+ * Cache the data only if the key is not in the cache yet (ex: a marker that only one of concurrent requests can set).
+ *
+ * @param {String} key
+ * @param {Object} value
+ * @param {Object} options
+ * @param {String} options.prefix
+ * @param {Number} options.expirationInMins
+ * @returns {Promise<Boolean>} true if the data was cached. Only one of concurrent calls with the same key gets true.
+ */
+async function cacheDataIfAbsent(key, value, options = {}) {
+    const data = JSON.stringify(value);
+    let result;
+    if (_.isNumber(options.expirationInMins)) {
+        result = await service._getCacheImpl().set(formatKeyName(key, options.prefix), data, 'EX', options.expirationInMins * 60, 'NX');
+    } else {
+        result = await service._getCacheImpl().set(formatKeyName(key, options.prefix), data, 'NX');
+    }
+    return result === 'OK';
+}
+
+/**
+ * @param {String} key
+ * @param {Object} options
+ * @param {String} options.prefix
+ * @returns {Promise<Boolean>} true if the data was in the cache. Only one of concurrent removals of the same key gets true.
+ */
 async function removeCachedData(key, options = {}) {
-    await service._getCacheImpl().del(formatKeyName(key, options.prefix));
+    const removedCount = await service._getCacheImpl().del(formatKeyName(key, options.prefix));
+    return removedCount > 0;
 }
 
 async function getCachedData(key, options = {}) {
@@ -286,6 +376,45 @@ async function getCachedObjectsWithKeyNameBeginning(keyNameBeginningToMatch, opt
     return service.getCachedObjects(keys);
 }
 
+/**
+ * Add a member to a set (ex: an index of keys), the set is created if it does not exist.
+ *
+ * Unlike the keys found with getCachedKeys, the members of a set are read without scanning the whole cache.
+ *
+ * @param {String} key
+ * @param {String} member
+ * @param {Object} options
+ * @param {String} options.prefix
+ * @param {Number} options.expirationInMins the set expires after this duration from the last addition
+ */
+async function addCachedSetMember(key, member, options = {}) {
+    const keyName = formatKeyName(key, options.prefix);
+    await service._getCacheImpl().sadd(keyName, member);
+    if (_.isNumber(options.expirationInMins)) {
+        await service._getCacheImpl().expire(keyName, options.expirationInMins * 60);
+    }
+}
+
+/**
+ * @param {String} key
+ * @param {String} member
+ * @param {Object} options
+ * @param {String} options.prefix
+ */
+async function removeCachedSetMember(key, member, options = {}) {
+    await service._getCacheImpl().srem(formatKeyName(key, options.prefix), member);
+}
+
+/**
+ * @param {String} key
+ * @param {Object} options
+ * @param {String} options.prefix
+ * @returns {Promise<Array<String>>} the members of the set, empty if the set does not exist
+ */
+async function getCachedSetMembers(key, options = {}) {
+    return service._getCacheImpl().smembers(formatKeyName(key, options.prefix));
+}
+
 async function getCachedKeys(keyNameBeginningToMatch, options = {}) {
     const result = await new Promise((resolve, reject) => {
         const keys = [];
@@ -322,3 +451,116 @@ async function getCachedKeys(keyNameBeginningToMatch, options = {}) {
 function formatKeyName(key, prefix) {
     return !_.isEmpty(prefix) ? prefix + key : key; ;
 }
+
+/**
+ * Publish a message to all the servers subscribing to the channel (including this one).
+ * With redis, the message is published via redis pub/sub, otherwise it is only dispatched locally.
+ *
+ * @param {String} channel
+ * @param {Object} message which must be serializable in JSON
+ * @returns {Promise} resolves when the message is published
+ */
+async function publishMessage(channel, message) {
+    const data = JSON.stringify(message);
+    if (isClusterCacheEnabled()) {
+        await service.getRedisClient().publish(channel, data);
+    } else {
+        // dispatch asynchronously as redis would do.
+        setImmediate(() => dispatchMessage(channel, data));
+    }
+}
+
+/**
+ * Subscribe to the messages published to a channel.
+ *
+ * A redis connection in subscriber mode cannot run other commands, so a dedicated connection is used for all subscriptions.
+ * Messages published while the subscriber is disconnected are lost. ioredis subscribes again on reconnection,
+ * the onSubscribed callback lets the subscriber resynchronize its state each time the subscription is (re)established.
+ *
+ * @param {String} channel
+ * @param {Function} callback receives the message
+ * @param {Function} onSubscribed optional callback called when the subscription is effective and after each reconnection
+ * @returns {Function} the function to unsubscribe
+ */
+function subscribeToChannel(channel, callback, onSubscribed = _.noop) {
+    const listenerId = UUID.v4();
+    const listener = {callback, onSubscribed};
+    let subscription = channelSubscriptions[channel];
+    if (!subscription) {
+        subscription = channelSubscriptions[channel] = {listeners: {}, subscribed: false};
+        subscription.listeners[listenerId] = listener;
+        subscribe(channel)
+            .then(() => {
+                subscription.subscribed = true;
+                _.forEach(subscription.listeners, notifySubscribed);
+            })
+            .catch((err) => logger.error('Error subscribing to channel %b', channel, err));
+    } else {
+        subscription.listeners[listenerId] = listener;
+        if (subscription.subscribed) {
+            setImmediate(() => notifySubscribed(subscription.listeners[listenerId]));
+        }
+    }
+    return () => {
+        delete subscription.listeners[listenerId];
+        if (_.isEmpty(subscription.listeners) && channelSubscriptions[channel] === subscription) {
+            delete channelSubscriptions[channel];
+            if (isClusterCacheEnabled()) {
+                getRedisSubscriber().unsubscribe(channel);
+            }
+        }
+    };
+}
+
+async function subscribe(channel) {
+    if (isClusterCacheEnabled()) {
+        await getRedisSubscriber().subscribe(channel);
+    }
+}
+
+function getRedisSubscriber() {
+    if (!redisSubscriber) {
+        const subscriber = redisSubscriber = service._createIoRedis();
+        let connectedOnce = false;
+        subscriber.on('message', dispatchMessage);
+        subscriber.on('ready', () => {
+            if (connectedOnce) {
+                // ioredis subscribed again to the channels, but messages might have been missed during the disconnection.
+                _.forEach(channelSubscriptions, (subscription) => _.forEach(subscription.listeners, notifySubscribed));
+            }
+            connectedOnce = true;
+        });
+    }
+    return redisSubscriber;
+}
+
+function notifySubscribed(listener) {
+    if (listener) {
+        listener.onSubscribed();
+    }
+}
+
+function dispatchMessage(channel, data) {
+    const subscription = channelSubscriptions[channel];
+    if (!subscription) {
+        return;
+    }
+    let message;
+    try {
+        message = JSON.parse(data);
+    } catch (err) {
+        logger.error('Invalid message received on channel %b', channel, err);
+        return;
+    }
+    _.forEach(subscription.listeners, (listener) => {
+        try {
+            listener.callback(message);
+        } catch (err) {
+            logger.error('Error processing message received on channel %b', channel, err);
+        }
+    });
+}
+
+function _clearChannelSubscriptions() {
+    channelSubscriptions = {};
+}
@@ -0,0 +1,118 @@
+const _ = require('lodash');
+
+// a code is a short identifier, not a message which might contain internal details
+const CODE_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+
+/**
+ * The errors returned to the clients by the http routes, the socket unauthorized events and the api router.
+ *
+ * Each code is stable (clients rely on it) and comes with its http status and a message safe to show to the client.
+ */
+const ERRORS = {
+    // login and registration
+    'INVALID_TYPE': {status: 400, message: 'Invalid grant type'},
+    'INVALID_CREDENTIALS': {status: 401, message: 'Invalid credentials'},
+    'TOO_MANY_ATTEMPTS': {status: 429, message: 'Too many attempts, retry later'},
+    'INVALID_CHALLENGE': {status: 401, message: 'The challenge is invalid or expired'},
+    'INVALID_SECOND_FACTOR': {status: 401, message: 'The second factor is invalid'},
+    'INVALID_TOKEN': {status: 400, message: 'The token is invalid or expired'},
+    'LOGIN_FAILED': {status: 401, message: 'Login failed'},
+    'REGISTRATION_FAILED': {status: 400, message: 'Registration failed'},
+    'EMAIL_VERIFICATION_FAILED': {status: 400, message: 'Email verification failed'},
+    'PASSWORD_RESET_FAILED': {status: 400, message: 'Password reset failed'},
+
+    // api router
+    'UNAUTHORIZED': {status: 401, message: 'Access requires authentication'},
+    'API-UNKNOWN': {status: 404, message: 'Unknown API call'},
+    'INVALID_DATA_FORMAT': {status: 400, message: 'Incorrect data format'},
+    'SERVER_UNAVAILABLE': {status: 503, message: 'Server is unavailable'},
+    'SERVER_ERROR': {status: 500, message: 'Backend error'},
+
+    // token authorization (UnauthorizedError)
+    'invalid_token': {status: 401, message: 'Token is invalid'},
+    'invalid_api_key': {status: 401, message: 'Api key is invalid'},
+    'invalid_secret': {status: 500, message: 'Secret is not provided'},
+    'revoked_token': {status: 401, message: 'Token was revoked'},
+    'revoked_token_family': {status: 401, message: 'Token was revoked'},
+    'revoked_user_tokens': {status: 401, message: 'Token was revoked'},
+    'revoked_api_key': {status: 401, message: 'Token was revoked'},
+    'unauthorized_token': {status: 401, message: 'Unauthorized use of a token with this socket'},
+    'active_session_duration_decreased': {status: 401, message: 'Session expired'},
+    'inactive_session_timeout_or_session_not_found': {status: 401, message: 'Session expired'},
+    'too_many_sessions': {status: 401, message: 'Maximum number of concurrent sessions reached'},
+    'unknown_tenant': {status: 401, message: 'Unknown tenant'},
+    'unknown': {status: 401, message: 'Unauthorized'},
+};
+
+const errorCatalog = {
+    getError,
+    isKnownCode,
+    isValidCode,
+    toClientError,
+};
+
+module.exports = errorCatalog;
+
+/**
+ * @param {String} code
+ * @returns {Object} {code, status, message} or null if the code is not in the catalog
+ */
+function getError(code) {
+    return isKnownCode(code) ? _.assign({code}, ERRORS[code]) : null;
+}
+
+function isKnownCode(code) {
+    return _.isString(code) && _.has(ERRORS, code);
+}
+
+/**
+ * @param {String} code
+ * @returns {Boolean} true if the code is a short identifier (ex: 'ORDER_LOCKED'), which does not contain any message.
+ */
+function isValidCode(code) {
+    return _.isString(code) && CODE_PATTERN.test(code);
+}
+
+/**
+ * Convert any error into an error safe to return to the client.
+ *
+ * - a code of the catalog is returned with its status and message.
+ * - a code rejected on purpose by the application (ex: findUserByCredentials rejects 'USER_INVALID') is returned
+ *   with the status and message of the fallback.
+ * - any other error (ex: an Error with internal details) is replaced with the fallback.
+ *
+ * The caller should log the original error, which is never sent to the client.
+ *
+ * @param {String|Error|Object} err a code, an error, an UnauthorizedError or an object {code, description}
+ * @param {String} fallbackCode a code of the catalog
+ * @returns {Object} {code, status, message}
+ */
+function toClientError(err, fallbackCode) {
+    const fallback = getError(fallbackCode) || getError('SERVER_ERROR');
+    const code = getErrorCode(err);
+    if (isKnownCode(code)) {
+        return getError(code);
+    }
+    // errors (with a stack) are never trusted, their code might come from any library (ex: ECONNREFUSED)
+    if (!(err instanceof Error) && isValidCode(code)) {
+        return _.assign({}, fallback, {code});
+    }
+    return fallback;
+}
+
+function getErrorCode(err) {
+    if (_.isString(err)) {
+        return err;
+    }
+    if (_.isNil(err)) {
+        return null;
+    }
+    if (err.data && err.data.type === 'UnauthorizedError') {
+        return err.data.code;
+    }
+    if (err instanceof Error) {
+        // internal code thrown as message (ex: new Error('unknown_tenant'))
+        return isKnownCode(err.message) ? err.message : err.code;
+    }
+    return _.isString(err.code) ? err.code : null;
+}
@@ -0,0 +1,73 @@
+const _ = require('lodash');
+
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 10;
+
+// a field is sensitive when its name contains one of these (case insensitive)
+const DEFAULT_SENSITIVE_FIELDS = ['password', 'token', 'secret', 'otp', 'recovery_code', 'code_verifier', 'authorization', 'cookie', 'api_key', 'apikey'];
+
+let sensitiveFields = DEFAULT_SENSITIVE_FIELDS;
+
+/**
+ * This redacts the sensitive data (passwords, tokens...) of the objects to log,
+ * so that the logs can be shipped to third-party tools.
+ */
+const service = {
+    redact,
+    format,
+    setSensitiveFields,
+    REDACTED,
+};
+
+module.exports = service;
+
+/**
+ * @param {*} value any value to log (ex: the body of a request)
+ * @returns {*} a copy of the value whose sensitive fields are replaced with [REDACTED]
+ */
+function redact(value) {
+    return redactValue(value, [], 0);
+}
+
+/**
+ * @param {*} value
+ * @returns {String} the string to log, the json of the redacted value if not a string
+ */
+function format(value) {
+    return _.isString(value) ? value : JSON.stringify(service.redact(value));
+}
+
+/**
+ * Define additional sensitive fields, the default ones are always redacted.
+ *
+ * @param {Array<String>} fields a field name (ex: 'ssn') is redacted at any depth when the field name contains it.
+ *                               a path (ex: 'user.birthDate') is only redacted at this exact path.
+ */
+function setSensitiveFields(fields) {
+    sensitiveFields = _.uniq(_.concat(DEFAULT_SENSITIVE_FIELDS, _.map(fields, _.toLower)));
+}
+
+function redactValue(value, path, depth) {
+    if (!_.isObject(value) || _.isFunction(value) || _.isDate(value)) {
+        return value;
+    }
+    if (depth >= MAX_DEPTH) {
+        return '[...]';
+    }
+    if (_.isArray(value)) {
+        return _.map(value, (item) => redactValue(item, path, depth + 1));
+    }
+    if (value instanceof Error) {
+        return {message: value.message, code: value.code};
+    }
+    return _.mapValues(value, (fieldValue, field) => {
+        const fieldPath = _.concat(path, field);
+        return isSensitive(fieldPath) ? REDACTED : redactValue(fieldValue, fieldPath, depth + 1);
+    });
+}
+
+function isSensitive(fieldPath) {
+    const field = _.toLower(_.last(fieldPath));
+    const path = _.toLower(fieldPath.join('.'));
+    return _.some(sensitiveFields, (sensitiveField) => _.includes(sensitiveField, '.') ? sensitiveField === path : _.includes(field, sensitiveField));
+}
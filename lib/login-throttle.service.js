@@ -0,0 +1,113 @@
+const _ = require('lodash');
+const zlog = require('zimit-zlog');
+const cacheService = require('./cache.service');
+
+const logger = zlog.getLogger('zerv/core/loginThrottle');
+
+const REDIS_LOGIN_FAILURES_PREFIX = 'LOGIN_FAIL_';
+
+const DEFAULT_SETTINGS = {
+    maxAttemptsPerUsername: 5,
+    maxAttemptsPerIp: 50,
+    windowInMins: 15,
+    backoffBaseInSecs: 1,
+    maxBackoffInSecs: 60,
+    lockoutInMins: 15
+};
+
+/**
+ * This service protects the login against brute force attacks.
+ *
+ * Login failures are counted per ip and per username in the cache, so that the limits apply across the cluster.
+ * After each failure, the next attempt is delayed (exponential backoff),
+ * then the ip or username is locked out for a while once the maximum number of failures is reached.
+ * A successful login resets the failures of the username.
+ *
+ * Note: the counters are not incremented atomically, concurrent failures on different servers might be counted once.
+ */
+const service = {
+    TOO_MANY_ATTEMPTS: 'TOO_MANY_ATTEMPTS',
+    getRetryAfterInSecs,
+    recordLoginFailure,
+    recordLoginSuccess,
+};
+
+module.exports = service;
+
+/**
+ * @param {Object} attempt {ip, username}
+ * @param {Object} settings check DEFAULT_SETTINGS
+ * @returns {Promise<Number>} the number of seconds to wait before attempting to log in again, 0 if the attempt is allowed.
+ */
+async function getRetryAfterInSecs(attempt, settings) {
+    settings = _.defaults({}, settings, DEFAULT_SETTINGS);
+    const now = Date.now();
+    let retryAfterInSecs = 0;
+    for (const counter of getCounters(attempt, settings)) {
+        const failures = await cacheService.getCachedObject(counter.key, {prefix: REDIS_LOGIN_FAILURES_PREFIX});
+        if (!failures) {
+            continue;
+        }
+        const allowedAt = Math.max(failures.lockedUntil || 0, failures.lastFailure + getBackoffInSecs(failures.count, settings) * 1000);
+        if (allowedAt > now) {
+            retryAfterInSecs = Math.max(retryAfterInSecs, Math.ceil((allowedAt - now) / 1000));
+        }
+    }
+    return retryAfterInSecs;
+}
+
+/**
+ * @param {Object} attempt {ip, username}
+ * @param {Object} settings check DEFAULT_SETTINGS
+ * @returns {Promise<Object>} {failures, lockouts} failures is the number of failures of the username (or ip if no username),
+ *                            lockouts contains the lockouts {type, value, lockedUntil} triggered by this failure.
+ */
+async function recordLoginFailure(attempt, settings) {
+    settings = _.defaults({}, settings, DEFAULT_SETTINGS);
+    const now = Date.now();
+    const result = {failures: 0, lockouts: []};
+    for (const counter of getCounters(attempt, settings)) {
+        const failures = await cacheService.getCachedObject(counter.key, {prefix: REDIS_LOGIN_FAILURES_PREFIX}) || {count: 0};
+        failures.count++;
+        failures.lastFailure = now;
+        let expirationInMins = settings.windowInMins;
+        if (failures.count >= counter.maxAttempts) {
+            failures.lockedUntil = now + settings.lockoutInMins * 60000;
+            expirationInMins += settings.lockoutInMins;
+            logger.warn('Login of %s %b locked out until %s after %s failures', counter.type, counter.value, new Date(failures.lockedUntil), failures.count);
+            result.lockouts.push({type: counter.type, value: counter.value, lockedUntil: new Date(failures.lockedUntil)});
+        }
+        await cacheService.cacheData(counter.key, failures, {prefix: REDIS_LOGIN_FAILURES_PREFIX, expirationInMins});
+        result.failures = failures.count;
+    }
+    return result;
+}
+
+/**
+ * @param {Object} attempt {ip, username}
+ */
+async function recordLoginSuccess(attempt) {
+    if (!_.isEmpty(attempt.username)) {
+        await cacheService.removeCachedData(getUsernameKey(attempt.username), {prefix: REDIS_LOGIN_FAILURES_PREFIX});
+    }
+}
+
+function getCounters(attempt, settings) {
+    const counters = [];
+    if (!_.isEmpty(attempt.ip)) {
+        counters.push({type: 'ip', value: attempt.ip, key: 'IP_' + attempt.ip, maxAttempts: settings.maxAttemptsPerIp});
+    }
+    // the username counter comes last, it provides the number of failures of the user.
+    if (!_.isEmpty(attempt.username)) {
+        counters.push({type: 'username', value: attempt.username, key: getUsernameKey(attempt.username), maxAttempts: settings.maxAttemptsPerUsername});
+    }
+    return counters;
+}
+
+function getUsernameKey(username) {
+    return 'USER_' + String(username).toLowerCase();
+}
+
+function getBackoffInSecs(failureCount, settings) {
+    return Math.min(settings.backoffBaseInSecs * Math.pow(2, failureCount - 1), settings.maxBackoffInSecs);
+}
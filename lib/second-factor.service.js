@@ -0,0 +1,149 @@
+const _ = require('lodash');
+const crypto = require('crypto');
+const zlog = require('zimit-zlog');
+const cacheService = require('./cache.service');
+const totp = require('./totp');
+
+const logger = zlog.getLogger('zerv/core/secondFactor');
+
+const REDIS_CHALLENGE_PREFIX = 'MFA_CHALLENGE_';
+const REDIS_USED_TOTP_PREFIX = 'MFA_TOTP_';
+const MAX_CHALLENGE_ATTEMPTS = 5;
+
+/**
+ * This service manages the second step of the login (multi-factor authentication).
+ *
+ * Once the credentials are checked, the user gets a short-lived challenge token instead of the auth code.
+ * The challenge is exchanged for the auth code with a one-time password (TOTP) or a recovery code.
+ * Only the hash of the challenge token and of the recovery codes are stored.
+ */
+const service = {
+    createChallenge,
+    getChallenge,
+    recordFailedChallengeAttempt,
+    removeChallenge,
+    verifySecondFactor,
+    generateRecoveryCodes,
+    hashRecoveryCode,
+};
+
+module.exports = service;
+
+/**
+ * @param {Object} challenge the data to complete the login once the second factor is verified (ex: {userId, grantType})
+ * @param {Number} expiresInSecs
+ * @returns {Promise<String>} the challenge token
+ */
+async function createChallenge(challenge, expiresInSecs) {
+    const token = crypto.randomBytes(32).toString('hex');
+    await cacheService.cacheData(
+        hash(token),
+        _.assign({}, challenge, {exp: Date.now() + expiresInSecs * 1000, attempts: 0}),
+        {prefix: REDIS_CHALLENGE_PREFIX, expirationInMins: Math.ceil(expiresInSecs / 60)}
+    );
+    return token;
+}
+
+/**
+ * @param {String} token
+ * @returns {Promise<Object>} the challenge or null if the token is unknown, expired or was attempted too many times.
+ */
+async function getChallenge(token) {
+    if (!_.isString(token)) {
+        return null;
+    }
+    const challenge = await cacheService.getCachedObject(hash(token), {prefix: REDIS_CHALLENGE_PREFIX});
+    if (!challenge || challenge.exp < Date.now() || challenge.attempts >= MAX_CHALLENGE_ATTEMPTS) {
+        return null;
+    }
+    return challenge;
+}
+
+/**
+ * A challenge can only be attempted a few times, so that the one-time password cannot be guessed.
+ *
+ * @param {String} token
+ * @param {Object} challenge
+ */
+async function recordFailedChallengeAttempt(token, challenge) {
+    challenge.attempts++;
+    if (challenge.attempts >= MAX_CHALLENGE_ATTEMPTS) {
+        logger.info('Second factor challenge attempted too many times');
+        return service.removeChallenge(token);
+    }
+    const expirationInMins = Math.max(1, Math.ceil((challenge.exp - Date.now()) / 60000));
+    await cacheService.cacheData(hash(token), challenge, {prefix: REDIS_CHALLENGE_PREFIX, expirationInMins});
+}
+
+/**
+ * @param {String} token
+ */
+async function removeChallenge(token) {
+    await cacheService.removeCachedData(hash(token), {prefix: REDIS_CHALLENGE_PREFIX});
+}
+
+/**
+ * Check the one-time password or the recovery code provided by the user.
+ * A one-time password cannot be reused.
+ *
+ * @param {Object} secondFactor the second factor of the user
+ * @param {String} secondFactor.totpSecret the base32 totp secret of the user
+ * @param {Array<String>} secondFactor.recoveryCodes the hashes of the unused recovery codes of the user
+ * @param {Object} params
+ * @param {String} params.otp the one-time password
+ * @param {String} params.recoveryCode the recovery code
+ * @returns {Promise<Object>} {method: 'totp'} or {method: 'recovery_code', recoveryCode: hash of the used code} or null if invalid
+ */
+async function verifySecondFactor(secondFactor, params) {
+    if (!secondFactor) {
+        return null;
+    }
+    if (params.otp && secondFactor.totpSecret) {
+        const step = totp.verifyCode(secondFactor.totpSecret, params.otp);
+        if (step === -1) {
+            return null;
+        }
+        const usedKey = hash(secondFactor.totpSecret + ':' + step);
+        if (await cacheService.getCachedData(usedKey, {prefix: REDIS_USED_TOTP_PREFIX})) {
+            logger.info('One-time password already used');
+            return null;
+        }
+        // a code is valid during (2 * window + 1) steps
+        await cacheService.cacheData(usedKey, true, {prefix: REDIS_USED_TOTP_PREFIX, expirationInMins: 2});
+        return {method: 'totp'};
+    }
+    if (params.recoveryCode && !_.isEmpty(secondFactor.recoveryCodes)) {
+        const recoveryCode = service.hashRecoveryCode(params.recoveryCode);
+        if (_.includes(secondFactor.recoveryCodes, recoveryCode)) {
+            return {method: 'recovery_code', recoveryCode};
+        }
+    }
+    return null;
+}
+
+/**
+ * @param {Number} count (by default 10)
+ * @returns {Object} {codes, hashes} the codes are provided to the user once, only the hashes must be stored.
+ */
+function generateRecoveryCodes(count = 10) {
+    const codes = _.times(count, () => {
+        const value = crypto.randomBytes(5).toString('hex');
+        return value.substring(0, 5) + '-' + value.substring(5);
+    });
+    return {
+        codes,
+        hashes: _.map(codes, service.hashRecoveryCode)
+    };
+}
+
+/**
+ * @param {String} code
+ * @returns {String} the hash of the recovery code, regardless of its case and separators
+ */
+function hashRecoveryCode(code) {
+    return hash(String(code).toLowerCase().replace(/[\s-]/g, ''));
+}
+
+function hash(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
@@ -0,0 +1,47 @@
+const _ = require('lodash');
+const UUID = require('uuid');
+const zlog = require('zimit-zlog');
+
+const logger = zlog.getLogger('zerv/core/securityEvent');
+
+let securityEventListeners = {};
+
+/**
+ * This service notifies security events (ex: reuse of a revoked token) to the listeners
+ * so that the application can audit them or alert.
+ */
+const service = {
+    onSecurityEvent,
+    notifySecurityEvent,
+    _clearSecurityEventListeners
+};
+
+module.exports = service;
+
+/**
+ * Add a listener to the security events
+ *
+ * @param {Function} callback which receives the event {type, timestamp, ...details}
+ * @returns {Function} to remove the listener
+ */
+function onSecurityEvent(callback) {
+    const listenerId = UUID.v4();
+    securityEventListeners[listenerId] = callback;
+    return () => delete securityEventListeners[listenerId];
+}
+
+function notifySecurityEvent(type, details) {
+    const event = _.assign({type, timestamp: new Date()}, details);
+    logger.warn('Security event %b - %s', type, JSON.stringify(details));
+    _.forEach(securityEventListeners, (listener) => {
+        try {
+            listener(event);
+        } catch (err) {
+            logger.error('Security event listener failure', err);
+        }
+    });
+}
+
+function _clearSecurityEventListeners() {
+    securityEventListeners = {};
+}
@@ -1,21 +1,82 @@
+const _ = require('lodash');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
 const zlog = require('zimit-zlog');
 const cacheService = require('./cache.service');
+const BloomFilter = require('./bloom-filter');
 
 const logger = zlog.getLogger('zerv/core/tokenBlackList');
 
-const REDIS_REVOKED_TOKEN_PREFIX = 'REVOK_TOK_';
+const REDIS_REVOKED_TOKEN_ID_PREFIX = 'REVOK_TID_';
+// Previous format which stored the whole token. Tokens revoked with this format will disappear from the cache when they expire.
+const REDIS_LEGACY_REVOKED_TOKEN_PREFIX = 'REVOK_TOK_';
+const REDIS_REVOKED_TOKEN_FAMILY_PREFIX = 'REVOK_FAM_';
+const REDIS_TOKEN_FAMILY_PREFIX = 'TOK_FAM_';
+const REDIS_USER_TOKENS_NOT_BEFORE_PREFIX = 'USER_NBF_';
+// the expiration of a token is based on the maximum active session timeout of its tenant, which cannot exceed this value.
+// The revocation of the tokens of a user is kept that long, until all the tokens it covers have expired.
+const MAX_TOKEN_LIFE_IN_MINS = 90 * 24 * 60;
+const REVOKED_TOKENS_CHANNEL = 'ZERV_REVOKED_TOKENS';
+
+let localRevocationCache = null;
 
 const service = {
     revokeToken,
+    consumeToken,
+    releaseToken,
     isTokenRevoked,
+    getTokenId,
+    trackTokenFamily,
+    getTokenFamilyOrigin,
+    revokeTokenFamily,
+    isTokenFamilyRevoked,
+    revokeUserTokens,
+    getUserTokensNotBefore,
+    isIssuedBefore,
+    getMaximumTokenLifeInMins,
+    onTokensRevoked,
+    notifyRevocation,
+    enableLocalRevocationCache,
+    disableLocalRevocationCache,
 };
 
 module.exports = service;
 
 
 async function isTokenRevoked(token) {
-    return await cacheService.getCachedBooleanValue(token, {prefix: REDIS_REVOKED_TOKEN_PREFIX});
+    const tokenId = service.getTokenId(token);
+    const revokedTokens = localRevocationCache && localRevocationCache.revokedTokens;
+    if (revokedTokens && !revokedTokens.mightContain(tokenId)) {
+        return false;
+    }
+    // the legacy key is checked in the same round trip, so that tokens revoked before the token id was introduced remain revoked.
+    const values = await cacheService.getCachedObjects([
+        REDIS_REVOKED_TOKEN_ID_PREFIX + tokenId,
+        REDIS_LEGACY_REVOKED_TOKEN_PREFIX + token
+    ]);
+    const revoked = _.some(values, (value) => value === true || (_.isNumber(value) && value <= Date.now()));
+    if (!revoked && revokedTokens && !_.some(values, _.isNumber)) {
+        // the revocation has expired
+        revokedTokens.remove(tokenId);
+    }
+    return revoked;
 };
+
+/**
+ * Provide the value identifying a token in the black list.
+ * This avoids storing bearer tokens in the cache.
+ *
+ * @param {String} token
+ * @returns {String} the unique token id (tid) found in the token payload or the hash of the token if it does not have any.
+ */
+function getTokenId(token) {
+    const payload = jwt.decode(token);
+    if (payload && _.isString(payload.tid)) {
+        return payload.tid;
+    }
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
 /**
  * Revoke token to prevent re-use
  *
@@ -23,17 +84,352 @@ async function isTokenRevoked(token) {
  * if someone gains access to it, a new session could be started
  * When a user logs out (manually or on session timeout), the token is still valid and could be reused.
  *
+ * The revocation is published to all servers.
+ *
  * @param {String} token
- * @param {Number} tokenExp coming from the payload exp calculated by jsonwebtoken during token generation
+ * @param {Number} tokenExp coming from the payload exp calculated by jsonwebtoken during token generation, decoded from the token if not provided
+ * @param {Object} options
+ * @param {Boolean} options.disconnectSockets when true, the sockets still connected with the token are disconnected (ex: admin kill session)
+ * @param {Number} options.gracePeriodInSecs when provided, the token remains valid during this period (ex: concurrent http requests sent with the token being refreshed).
+ *                                           The grace period of a token already revoked is not extended.
  * @returns {Promise} complete when done.
  */
-async function revokeToken(token, tokenExp) {
-    const expOn = new Date(tokenExp * 1000);
-    let remainingLifeInMins = Math.ceil((expOn.getTime() - Date.now()) / 60000);
-    logger.debug('Revoke token %b with remaining life %s mins', token.substr(-10), remainingLifeInMins);
-    remainingLifeInMins = remainingLifeInMins < 0 ? 0 : remainingLifeInMins;
+async function revokeToken(token, tokenExp, options = {}) {
+    if (_.isNil(tokenExp)) {
+        tokenExp = _.get(jwt.decode(token), 'exp');
+    }
+    const remainingLifeInMins = getRemainingLifeInMins(tokenExp);
+    const tokenId = service.getTokenId(token);
+    logger.debug('Revoke token %b with remaining life %s mins', tokenId, remainingLifeInMins);
     if (remainingLifeInMins > 0) {
+        let revocation = true;
+        if (options.gracePeriodInSecs) {
+            if (!_.isNil(await cacheService.getCachedObject(tokenId, {prefix: REDIS_REVOKED_TOKEN_ID_PREFIX}))) {
+                return;
+            }
+            // the time the revocation takes effect
+            revocation = Date.now() + options.gracePeriodInSecs * 1000;
+        }
         // the token will auto expires and be removed from the black list
-        await cacheService.cacheData(token, true, {prefix: REDIS_REVOKED_TOKEN_PREFIX, expirationInMins: remainingLifeInMins});
+        await cacheService.cacheData(tokenId, revocation, {prefix: REDIS_REVOKED_TOKEN_ID_PREFIX, expirationInMins: remainingLifeInMins});
+        addToLocalRevocationCache({tokenId});
+        await cacheService.publishMessage(REVOKED_TOKENS_CHANNEL, {tokenId, exp: tokenExp, disconnectSockets: options.disconnectSockets === true});
+    }
+}
+
+/**
+ * Revoke a single-use token (ex: password reset link) when it is used.
+ * The token is only revoked if it is not revoked yet, so when the same token is used concurrently,
+ * only one of the requests consumes it and the others must be rejected.
+ *
+ * @param {String} token
+ * @param {Number} tokenExp coming from the payload exp, decoded from the token if not provided
+ * @returns {Promise<Boolean>} true if the token was consumed by this call.
+ */
+async function consumeToken(token, tokenExp) {
+    if (_.isNil(tokenExp)) {
+        tokenExp = _.get(jwt.decode(token), 'exp');
+    }
+    const remainingLifeInMins = getRemainingLifeInMins(tokenExp);
+    const tokenId = service.getTokenId(token);
+    if (remainingLifeInMins <= 0) {
+        return false;
     }
+    if (!await cacheService.cacheDataIfAbsent(tokenId, true, {prefix: REDIS_REVOKED_TOKEN_ID_PREFIX, expirationInMins: remainingLifeInMins})) {
+        logger.info('Token %b already used', tokenId);
+        return false;
+    }
+    addToLocalRevocationCache({tokenId});
+    await cacheService.publishMessage(REVOKED_TOKENS_CHANNEL, {tokenId, exp: tokenExp, disconnectSockets: false});
+    return true;
+}
+
+/**
+ * Make a consumed token usable again, when the request which consumed it failed (ex: the new password is rejected).
+ *
+ * @param {String} token
+ * @returns {Promise} complete when done.
+ */
+async function releaseToken(token) {
+    const tokenId = service.getTokenId(token);
+    logger.debug('Release token %b', tokenId);
+    await cacheService.removeCachedData(tokenId, {prefix: REDIS_REVOKED_TOKEN_ID_PREFIX});
+}
+
+/**
+ * A token family is the chain of tokens refreshed from the same auth code.
+ * Keep track of the origin (user session) the family belongs to.
+ *
+ * @param {String} familyId
+ * @param {String} origin
+ * @param {Number} tokenExp
+ */
+async function trackTokenFamily(familyId, origin, tokenExp) {
+    const remainingLifeInMins = getRemainingLifeInMins(tokenExp);
+    if (remainingLifeInMins > 0) {
+        await cacheService.cacheData(familyId, {origin}, {prefix: REDIS_TOKEN_FAMILY_PREFIX, expirationInMins: remainingLifeInMins});
+    }
+}
+
+async function getTokenFamilyOrigin(familyId) {
+    const family = await cacheService.getCachedObject(familyId, {prefix: REDIS_TOKEN_FAMILY_PREFIX});
+    return family ? family.origin : null;
+}
+
+/**
+ * Revoke all tokens of a family, which might have been compromised.
+ *
+ * @param {String} familyId
+ * @param {Number} tokenExp the expiration of the family tokens
+ */
+async function revokeTokenFamily(familyId, tokenExp) {
+    const remainingLifeInMins = getRemainingLifeInMins(tokenExp);
+    logger.debug('Revoke token family %b with remaining life %s mins', familyId, remainingLifeInMins);
+    if (remainingLifeInMins > 0) {
+        await cacheService.cacheData(familyId, true, {prefix: REDIS_REVOKED_TOKEN_FAMILY_PREFIX, expirationInMins: remainingLifeInMins});
+        addToLocalRevocationCache({familyId});
+        await cacheService.publishMessage(REVOKED_TOKENS_CHANNEL, {familyId, exp: tokenExp, disconnectSockets: false});
+    }
+}
+
+async function isTokenFamilyRevoked(familyId) {
+    const revokedTokens = localRevocationCache && localRevocationCache.revokedTokens;
+    const entry = getFamilyEntry(familyId);
+    if (revokedTokens && !revokedTokens.mightContain(entry)) {
+        return false;
+    }
+    const revoked = await cacheService.getCachedBooleanValue(familyId, {prefix: REDIS_REVOKED_TOKEN_FAMILY_PREFIX});
+    if (!revoked && revokedTokens) {
+        // the revocation has expired
+        revokedTokens.remove(entry);
+    }
+    return revoked;
+}
+
+/**
+ * Revoke all tokens of a user issued before a given time
+ * (ex: password change, account disablement or incident response)
+ *
+ * Tokens keep the issue time (iat) of the auth code they were refreshed from,
+ * so all the user sessions started before that time are revoked.
+ *
+ * The time is kept with the millisecond precision (as a decimal number of seconds) and compared to the issue time
+ * in milliseconds of the token (ims), so that a user logging in again within the same second (ex: after a password reset) is not revoked.
+ * The tokens without ims were issued by a previous version, their issue time is truncated to the second (iat):
+ * such a token issued within the same second as the revocation is revoked, even if it was issued right after.
+ *
+ * @param {String} userId
+ * @param {Object} options
+ * @param {Date} options.before tokens issued before this time are revoked, by default now.
+ * @returns {Promise<Number>} the time (in seconds, with decimals) before which tokens are revoked (see isIssuedBefore)
+ */
+async function revokeUserTokens(userId, options = {}) {
+    let notBefore = (options.before ? new Date(options.before) : new Date()).getTime() / 1000;
+    // the local revocation cache might not be up to date yet.
+    const currentNotBefore = await cacheService.getCachedObject(userId, {prefix: REDIS_USER_TOKENS_NOT_BEFORE_PREFIX});
+    if (currentNotBefore > notBefore) {
+        // a previous revocation already covers this one.
+        notBefore = currentNotBefore;
+    }
+    logger.info('Revoke tokens of user %b issued before %s', userId, new Date(notBefore * 1000));
+    await cacheService.cacheData(userId, notBefore, {prefix: REDIS_USER_TOKENS_NOT_BEFORE_PREFIX, expirationInMins: MAX_TOKEN_LIFE_IN_MINS});
+    addToLocalRevocationCache({userId, notBefore});
+    await cacheService.publishMessage(REVOKED_TOKENS_CHANNEL, {userId, notBefore, disconnectSockets: true});
+    return notBefore;
+}
+
+/**
+ * @param {Object} payload the decoded token
+ * @param {Number} notBefore the time in seconds (with decimals) provided by revokeUserTokens
+ * @returns {Boolean} true if the token was issued before that time
+ */
+function isIssuedBefore(payload, notBefore) {
+    const issueTime = _.isNumber(payload.ims) ? payload.ims / 1000 : payload.iat;
+    return issueTime < notBefore;
+}
+
+/**
+ * @param {String} userId
+ * @returns {Promise<Number>} the time (in seconds, with decimals) before which the tokens of the user are revoked, or null
+ */
+async function getUserTokensNotBefore(userId) {
+    if (localRevocationCache && localRevocationCache.userTokensNotBefore) {
+        // the local cache has all the user revocations, which are never reduced.
+        return localRevocationCache.userTokensNotBefore.get(String(userId)) || null;
+    }
+    return await cacheService.getCachedObject(userId, {prefix: REDIS_USER_TOKENS_NOT_BEFORE_PREFIX});
+}
+
+/**
+ * @returns {Number} the longest time a token can live, which is the highest maximum active session timeout a tenant can have.
+ */
+function getMaximumTokenLifeInMins() {
+    return MAX_TOKEN_LIFE_IN_MINS;
+}
+
+/**
+ * Publish a revocation to all servers, when the credential is not managed by this service (ex: api key)
+ *
+ * @param {Object} revocation
+ */
+async function notifyRevocation(revocation) {
+    await cacheService.publishMessage(REVOKED_TOKENS_CHANNEL, revocation);
+}
+
+/**
+ * Listen to the revocations published by all servers.
+ *
+ * The callback receives the revocation of a token {tokenId, exp, disconnectSockets},
+ * of a token family {familyId, exp, disconnectSockets},
+ * of the tokens of a user issued before a time {userId, notBefore, disconnectSockets}
+ * or of an api key {apiKeyId, disconnectSockets}.
+ *
+ * @param {Function} callback
+ * @returns {Function} the function to stop listening
+ */
+function onTokensRevoked(callback) {
+    return cacheService.subscribeToChannel(REVOKED_TOKENS_CHANNEL, callback);
+}
+
+class RevokedTokenSet {
+    constructor(bloomFilterOptions) {
+        if (bloomFilterOptions) {
+            this.bloomFilter = new BloomFilter(bloomFilterOptions);
+        } else {
+            this.tokenIds = {};
+        }
+    }
+
+    get size() {
+        return this.bloomFilter ? this.bloomFilter.count : _.size(this.tokenIds);
+    }
+
+    add(tokenId) {
+        if (this.bloomFilter) {
+            this.bloomFilter.add(tokenId);
+        } else {
+            this.tokenIds[tokenId] = true;
+        }
+    }
+
+    mightContain(tokenId) {
+        return this.bloomFilter ? this.bloomFilter.mightContain(tokenId) : _.has(this.tokenIds, tokenId);
+    }
+
+    remove(tokenId) {
+        // values cannot be removed from a bloom filter, it is rebuilt on reload.
+        if (!this.bloomFilter) {
+            delete this.tokenIds[tokenId];
+        }
+    }
+}
+
+/**
+ * Keep the revoked tokens in memory, so that verifying a token which is not revoked does not need a round trip to the cache
+ * (ex: during mass reconnections after a deployment).
+ * This includes the revoked token families and the time before which the tokens of each user are revoked.
+ *
+ * The servers of the cluster are kept in sync via the cache pub/sub when tokens are revoked.
+ * The cache is still checked on a possible hit of a token or family, since the revocation might have expired or the bloom filter returned a false positive.
+ * The cache is also checked until the revocations are loaded.
+ *
+ * @param {Object} options
+ * @param {Object} options.bloomFilter when provided, a bloom filter {expectedItems, falsePositiveRate} is used instead of a set to use less memory.
+ * @param {Number} options.reloadIntervalInMins how often the revoked tokens are reloaded from the cache to drop the expired ones (by default 60)
+ */
+function enableLocalRevocationCache(options = {}) {
+    if (localRevocationCache) {
+        return;
+    }
+    const cache = localRevocationCache = {
+        options,
+        revokedTokens: null,
+        userTokensNotBefore: null,
+        // revocations being loaded, which must also receive the revocations published in the meantime
+        loadingRevocations: []
+    };
+    // revocations are loaded once subscribed and after each reconnection, as revocations might have been missed.
+    cache.unsubscribe = cacheService.subscribeToChannel(REVOKED_TOKENS_CHANNEL, (message) => addToLocalRevocationCache(message), () => loadRevokedTokens(cache));
+    cache.reloadInterval = setInterval(() => loadRevokedTokens(cache), (options.reloadIntervalInMins || 60) * 60000);
+}
+
+function disableLocalRevocationCache() {
+    if (!localRevocationCache) {
+        return;
+    }
+    localRevocationCache.unsubscribe();
+    clearInterval(localRevocationCache.reloadInterval);
+    localRevocationCache = null;
+}
+
+async function loadRevokedTokens(cache) {
+    const revocations = {
+        revokedTokens: new RevokedTokenSet(cache.options.bloomFilter),
+        userTokensNotBefore: new Map()
+    };
+    cache.loadingRevocations.push(revocations);
+    try {
+        const tokenIds = await cacheService.getCachedKeys('', {prefix: REDIS_REVOKED_TOKEN_ID_PREFIX});
+        const legacyRevokedTokens = await cacheService.getCachedKeys('', {prefix: REDIS_LEGACY_REVOKED_TOKEN_PREFIX});
+        const familyIds = await cacheService.getCachedKeys('', {prefix: REDIS_REVOKED_TOKEN_FAMILY_PREFIX});
+        const userIds = await cacheService.getCachedKeys('', {prefix: REDIS_USER_TOKENS_NOT_BEFORE_PREFIX});
+        const notBefores = await Promise.all(_.map(userIds, (userId) => cacheService.getCachedObject(userId, {prefix: REDIS_USER_TOKENS_NOT_BEFORE_PREFIX})));
+        _.forEach(tokenIds, (tokenId) => addRevocation(revocations, {tokenId}));
+        _.forEach(legacyRevokedTokens, (token) => addRevocation(revocations, {tokenId: service.getTokenId(token)}));
+        _.forEach(familyIds, (familyId) => addRevocation(revocations, {familyId}));
+        // a revocation might have expired since the keys were listed.
+        _.forEach(userIds, (userId, index) => addRevocation(revocations, {userId, notBefore: notBefores[index]}));
+        cache.revokedTokens = revocations.revokedTokens;
+        cache.userTokensNotBefore = revocations.userTokensNotBefore;
+        logger.info('Local revocation cache loaded with %s revoked tokens and families, %s users with revoked tokens', revocations.revokedTokens.size, revocations.userTokensNotBefore.size);
+    } catch (err) {
+        logger.error('Error loading the local revocation cache', err);
+    } finally {
+        _.pull(cache.loadingRevocations, revocations);
+    }
+}
+
+/**
+ * @param {Object} revocation published to all servers {tokenId}, {familyId} or {userId, notBefore}
+ */
+function addToLocalRevocationCache(revocation) {
+    if (!localRevocationCache) {
+        return;
+    }
+    if (localRevocationCache.revokedTokens) {
+        addRevocation(localRevocationCache, revocation);
+    }
+    localRevocationCache.loadingRevocations.forEach((revocations) => addRevocation(revocations, revocation));
+}
+
+function addRevocation(revocations, revocation) {
+    if (!_.isNil(revocation.tokenId)) {
+        revocations.revokedTokens.add(revocation.tokenId);
+    }
+    if (!_.isNil(revocation.familyId)) {
+        revocations.revokedTokens.add(getFamilyEntry(revocation.familyId));
+    }
+    if (!_.isNil(revocation.userId) && _.isNumber(revocation.notBefore)) {
+        const userId = String(revocation.userId);
+        const currentNotBefore = revocations.userTokensNotBefore.get(userId);
+        if (!(currentNotBefore > revocation.notBefore)) {
+            revocations.userTokensNotBefore.set(userId, revocation.notBefore);
+        }
+    }
+}
+
+/**
+ * Families are kept in the same set as the revoked tokens, with a prefix to distinguish them from the token ids.
+ *
+ * @param {String} familyId
+ * @returns {String}
+ */
+function getFamilyEntry(familyId) {
+    return REDIS_REVOKED_TOKEN_FAMILY_PREFIX + familyId;
+}
+
+function getRemainingLifeInMins(tokenExp) {
+    const expOn = new Date(tokenExp * 1000);
+    const remainingLifeInMins = Math.ceil((expOn.getTime() - Date.now()) / 60000);
+    return remainingLifeInMins < 0 ? 0 : remainingLifeInMins;
 }
@@ -0,0 +1,135 @@
+const _ = require('lodash');
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DEFAULT_SETTINGS = {
+    digits: 6,
+    stepInSecs: 30,
+    // number of steps accepted before and after the current one to tolerate clock drift
+    window: 1
+};
+
+/**
+ * Time-based one-time passwords (RFC 6238), compatible with the usual authenticator apps (HMAC-SHA1).
+ *
+ * The secret is base32 encoded, the format expected by authenticator apps.
+ */
+const totp = {
+    generateSecret,
+    generateCode,
+    verifyCode,
+    getProvisioningUri,
+};
+
+module.exports = totp;
+
+/**
+ * @param {Number} sizeInBytes (by default 20 bytes as recommended by RFC 4226)
+ * @returns {String} a random base32 encoded secret
+ */
+function generateSecret(sizeInBytes = 20) {
+    return encodeBase32(crypto.randomBytes(sizeInBytes));
+}
+
+/**
+ * @param {String} secret base32 encoded secret
+ * @param {Number} time in ms (by default now)
+ * @param {Object} settings {digits, stepInSecs}
+ * @returns {String} the code of the time step
+ */
+function generateCode(secret, time = Date.now(), settings) {
+    settings = _.defaults({}, settings, DEFAULT_SETTINGS);
+    return generateCodeOfStep(decodeBase32(secret), getStep(time, settings), settings.digits);
+}
+
+/**
+ * @param {String} secret base32 encoded secret
+ * @param {String} code the code provided by the user
+ * @param {Object} settings {digits, stepInSecs, window, time}
+ * @returns {Number} the time step matching the code, or -1 if the code is invalid.
+ */
+function verifyCode(secret, code, settings) {
+    settings = _.defaults({}, settings, DEFAULT_SETTINGS);
+    code = _.isNil(code) ? '' : String(code).replace(/\s/g, '');
+    if (code.length !== settings.digits || !/^\d+$/.test(code)) {
+        return -1;
+    }
+    const key = decodeBase32(secret);
+    const currentStep = getStep(settings.time || Date.now(), settings);
+    const provided = Buffer.from(code);
+    for (let step = currentStep - settings.window; step <= currentStep + settings.window; step++) {
+        if (crypto.timingSafeEqual(Buffer.from(generateCodeOfStep(key, step, settings.digits)), provided)) {
+            return step;
+        }
+    }
+    return -1;
+}
+
+/**
+ * @param {String} secret base32 encoded secret
+ * @param {Object} account
+ * @param {String} account.issuer the name of the application
+ * @param {String} account.name the name of the user account (ex: email)
+ * @returns {String} the otpauth uri to display as a QR code to enroll the user in an authenticator app
+ */
+function getProvisioningUri(secret, account) {
+    const label = encodeURIComponent(account.issuer) + ':' + encodeURIComponent(account.name);
+    return 'otpauth://totp/' + label +
+        '?secret=' + secret +
+        '&issuer=' + encodeURIComponent(account.issuer) +
+        '&algorithm=SHA1&digits=' + DEFAULT_SETTINGS.digits +
+        '&period=' + DEFAULT_SETTINGS.stepInSecs;
+}
+
+function getStep(time, settings) {
+    return Math.floor(time / 1000 / settings.stepInSecs);
+}
+
+// RFC 4226 HOTP with dynamic truncation
+function generateCodeOfStep(key, step, digits) {
+    const counter = Buffer.alloc(8);
+    counter.writeUInt32BE(Math.floor(step / 0x100000000), 0);
+    counter.writeUInt32BE(step % 0x100000000, 4);
+    const hmac = crypto.createHmac('sha1', key).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % Math.pow(10, digits);
+    return _.padStart(String(binary), digits, '0');
+}
+
+function encodeBase32(buffer) {
+    let bits = 0;
+    let value = 0;
+    let encoded = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            encoded += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        encoded += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return encoded;
+}
+
+function decodeBase32(encoded) {
+    const chars = String(encoded).toUpperCase().replace(/[\s=]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of chars) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 secret');
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
@@ -11,14 +11,24 @@ const logger = zlog.getLogger('zerv/core/userSession');
 
 const zervServerId = UUID.v4();
 const REDIS_SESSION_PREFIX = 'SESSION_';
-const DEFAULT_MAX_ACTIVE_SESSION_TIMEOUT_IN_MINS = 90 * 24 *60;
+// the origins of the cluster user sessions of each user and each tenant
+const REDIS_USER_SESSIONS_PREFIX = 'USER_SESSIONS_';
+const REDIS_TENANT_SESSIONS_PREFIX = 'TENANT_SESSIONS_';
+// set once the sessions created before the indexes existed are indexed
+const REDIS_SESSION_INDEXES_MIGRATED_KEY = 'ZERV_SESSION_INDEXES_MIGRATED';
+// the revocations of user tokens must outlive the tokens, which cannot live longer than this.
+const DEFAULT_MAX_ACTIVE_SESSION_TIMEOUT_IN_MINS = tokenBlacklistService.getMaximumTokenLifeInMins();
 const DEFAULT_MAX_INACTIVE_SESSION_TIMEOUT_IN_MINS = 12 *60;
+// the activity of http requests is recorded at most once per minute to limit the cache writes
+const HTTP_ACTIVITY_MIN_INTERVAL_IN_MS = 60000;
 
 let localUserSessions = {};
 let localUserSessionDestroyListeners = {};
 let tenantMaximumActiveSessionTimeouts = {};
 let tenantMaximumInactiveSessionTimeouts = {};
+let tenantConcurrentSessionPolicies = {};
 let _clearOldUserSessionsIntervalHandle;
+let clusterUserSessionIndexesMigration = null;
 let zerv, socketServer;
 
 class LocalUserSession {
@@ -71,10 +81,15 @@ const service = {
     setTenantMaximumInactiveSessionTimeout,
     getTenantMaximumInactiveSessionTimeoutInMins,
 
+    setTenantConcurrentSessionPolicy,
+    getTenantConcurrentSessionPolicy,
+
     connectUser,
     disconnectUser,
     isUserSessionActive,
     notifyUserSessionActivity,
+    openHttpUserSession,
+    notifyHttpUserSessionActivity,
 
     onLocalUserSessionDestroy,
     isLocalUserSession,
@@ -82,8 +97,13 @@ const service = {
     isUserSessionServerOrigin,
     getLocalUserSessions,
     getLocalUserSession,
+    findUserSession,
     getServerInstanceId,
     logout,
+    listUserSessions,
+    logoutUser,
+    logoutTenant,
+    enforceConcurrentSessionPolicy,
 
     _scheduleAutoLogout,
     _getClusterUserSession,
@@ -95,6 +115,11 @@ const service = {
     _handleLogoutNotification,
     _notifyLocalUserSessionDestroy,
     _findClusterUserSession,
+    _findClusterUserSessions,
+    _findClusterUserSessionsOfUser,
+    _findClusterUserSessionsOfTenant,
+    _migrateClusterUserSessionIndexes,
+    _clearClusterUserSessionIndexesMigration,
     _updateLocalUserSession,
     _clearLocalUserSessions
 };
@@ -179,6 +204,7 @@ function init(coreModule, io, inactiveLocalUserSessionTimeoutInMins) {
     localUserSessionDestroyListeners = {};
     tenantMaximumActiveSessionTimeouts = {};
     tenantMaximumInactiveSessionTimeouts = {};
+    tenantConcurrentSessionPolicies = {};
 
     zerv = coreModule;
     socketServer = io;
@@ -295,6 +321,16 @@ function getLocalUserSession(origin) {
     return localUserSessions[origin];
 }
 
+/**
+ * Find the user session at the provided origin,
+ * the local user session if it exists on this server, otherwise the cluster user session.
+ *
+ * @param {String} origin
+ * @returns {Promise<Object>} the user session or null
+ */
+async function findUserSession(origin) {
+    return service.getLocalUserSession(origin) || await service._findClusterUserSession(origin);
+}
 
 // DO NOT REMOVE NOTES YET:
 // user goes to credentials
@@ -377,10 +413,47 @@ async function isUserSessionActive(origin) {
         // this session no longer exist if ever existed.
         return false;
     }
+    return isClusterUserSessionActive(existingSession);
+}
+
+function isClusterUserSessionActive(clusterUserSession) {
     // check if the session is inactive for long or even expired
-    const timeSinceLastActivity = Date.now() - new Date(existingSession.lastUserActivity).getTime();
-    const result = timeSinceLastActivity < (service.getTenantMaximumInactiveSessionTimeoutInMins(existingSession.tenantId) * 60 * 1000);
-    return result;
+    const timeSinceLastActivity = Date.now() - new Date(clusterUserSession.lastUserActivity).getTime();
+    return timeSinceLastActivity < (service.getTenantMaximumInactiveSessionTimeoutInMins(clusterUserSession.tenantId) * 60 * 1000);
+}
+
+/**
+ * A client which only uses http (no socket connection) has no local user session,
+ * its cluster user session is created when its auth code is exchanged for a token.
+ *
+ * @param {String} origin
+ * @param {Object} payload the payload of the auth code
+ * @param {String} tenantId
+ * @returns {Promise<Object>} the cluster user session
+ */
+async function openHttpUserSession(origin, payload, tenantId) {
+    await service.enforceConcurrentSessionPolicy({userId: payload.id, tenantId, origin});
+    const userSession = new LocalUserSession({userId: payload.id, origin, tenantId, payload});
+    return service._getClusterUserSession(userSession);
+}
+
+/**
+ * An authorized http request is a user activity of its session.
+ *
+ * @param {String} origin
+ * @returns {Promise<Boolean>} false if the session does not exist or has been inactive for too long
+ */
+async function notifyHttpUserSessionActivity(origin) {
+    const clusterUserSession = await service._findClusterUserSession(origin);
+    if (!clusterUserSession || !isClusterUserSessionActive(clusterUserSession)) {
+        return false;
+    }
+    if (Date.now() - new Date(clusterUserSession.lastUserActivity).getTime() >= HTTP_ACTIVITY_MIN_INTERVAL_IN_MS) {
+        clusterUserSession.lastUserActivity = new Date();
+        clusterUserSession.lastUserActivityStatus = 'http request';
+        await upsertClusterUserSession(clusterUserSession);
+    }
+    return true;
 }
 
 async function notifyUserSessionActivity(origin, logMsg) {
@@ -470,6 +543,65 @@ async function _getClusterUserSession(localUserSession) {
     return clusterUserSession;
 }
 
+/**
+ * Check the concurrent session policy of the tenant before a new session is created at the origin,
+ * either rejecting the new session or logging out the oldest sessions on all servers.
+ *
+ * It must be called before any token is issued for the new session (ex: the auth code is refreshed),
+ * so that a rejected client never gets a valid token.
+ * There is nothing to check when the session of the user already exists at this origin (ex: reconnection or another browser tab), the user ids are compared as strings.
+ *
+ * Only the active sessions are counted (the sessions inactive for longer than the tenant inactive timeout are ignored).
+ * Note: the sessions are not counted atomically, concurrent logins on different servers might exceed the limit.
+ *
+ * @param {Object} userSession the session about to be created
+ * @param {String} userSession.userId
+ * @param {String} userSession.tenantId
+ * @param {String} userSession.origin
+ * @throws {Error} too_many_sessions when the policy rejects the new session
+ */
+async function enforceConcurrentSessionPolicy({userId, tenantId, origin}) {
+    const policy = service.getTenantConcurrentSessionPolicy(tenantId);
+    if (!policy) {
+        return;
+    }
+    const existingSession = origin ? await service._findClusterUserSession(origin) : null;
+    if (existingSession && String(existingSession.userId) === String(userId)) {
+        return;
+    }
+    const limits = [];
+    if (!_.isNil(policy.maxSessionsPerUser)) {
+        const userSessions = await service._findClusterUserSessionsOfUser(userId);
+        limits.push({
+            max: policy.maxSessionsPerUser,
+            sessions: _.filter(userSessions, (clusterUserSession) => String(clusterUserSession.tenantId) === String(tenantId) && isClusterUserSessionActive(clusterUserSession))
+        });
+    }
+    if (!_.isNil(policy.maxSessionsPerTenant)) {
+        const tenantSessions = await service._findClusterUserSessionsOfTenant(tenantId);
+        limits.push({
+            max: policy.maxSessionsPerTenant,
+            sessions: _.filter(tenantSessions, isClusterUserSessionActive)
+        });
+    }
+    for (const limit of limits) {
+        if (limit.sessions.length < limit.max) {
+            continue;
+        }
+        if (policy.onLimitReached !== 'evict_oldest') {
+            logger.info('Reject new session of user %b, %s concurrent session(s) out of %s', userId, limit.sessions.length, limit.max);
+            throw new Error('too_many_sessions');
+        }
+        const oldestSessions = _.take(_.sortBy(limit.sessions, (session) => new Date(session.clusterCreation).getTime()), limit.sessions.length - limit.max + 1);
+        for (const oldestSession of oldestSessions) {
+            logger.info('Evict session %s to create a new session of user %b', oldestSession.origin.substr(-8), userId);
+            await service.logout(oldestSession.origin, 'too_many_sessions');
+            // the evicted session is no longer counted by the other limit
+            _.forEach(limits, (otherLimit) => _.remove(otherLimit.sessions, {origin: oldestSession.origin}));
+        }
+    }
+}
+
 function _scheduleAutoLogout(userSession) {
     const remainingTime = userSession. getRemainingTimeInSecs() / 60;
     const maximumSessionTime = userSession.getMaximumSessionTime();
@@ -487,28 +619,44 @@ function _scheduleAutoLogout(userSession) {
     );
 }
 
+/**
+ * Log out the user session at the provided origin on all servers.
+ *
+ * When this server has no local session (ex: the logout is received while the client is getting authorized
+ * on a server it was never connected to, or via http), the cluster session is still removed
+ * and all servers are notified, so that the session does not remain alive on other servers.
+ * Servers are only notified if this server was initialized with zerv (ex: socketServe was called).
+ *
+ * @param {String} origin
+ * @param {String} reason
+ * @returns {Promise<Object>} the local user session, or the cluster user session if there is no local one, or null if no session exists.
+ */
 async function logout(origin, reason) {
-    const userSession = service.getLocalUserSession(origin);
-    if (!userSession) {
-        // this handles the very rare edge case where the logout is received on the socket while
-        // the client is in the process of getting authorized (maybe after a loss of connection) on a server that
-        // was never connected (local session is about to be created asynchronously).
-        // The open door for hacking is very very tight - Potentially other servers will not get logged out
-        // until zerv purges the inactive sessions by itself.
-        // So this could be optimized, for ie:
-        // Make more secure in the future by looking in the shared cache in a cluster session exists at the origin and notify all servers
-        // to make sure all servers log out (resource release) and related active tokens are revoked properly right away.
-        return null;
+    let userSession = service.getLocalUserSession(origin);
+    let zervServerId;
+    if (userSession) {
+        await service._logoutLocally(userSession, reason);
+        zervServerId = userSession.zervServerId;
+    } else {
+        userSession = await service._findClusterUserSession(origin);
+        if (!userSession) {
+            return null;
+        }
+        logger.info('Logging out cluster session %s with no local session on this server - %s', origin.substr(-8), reason);
+        await deleteClusterUserSession(userSession);
+        // no server initiated the local logout, all servers must handle the notification,
+        // including this one in case its local session was being created in the meantime.
+        zervServerId = null;
     }
-    await service._logoutLocally(userSession, reason);
-    if (zerv.publish) {
+    // a process only authorizing http requests might not have initialized the service with zerv (no socket server).
+    if (zerv && zerv.publish) {
         zerv.notifyCreation(
             userSession.tenantId, 'USER_SESSION_LOGGED_OUT',
             {
                 id: Date.now(), // zerv notif requires id but not revision
                 origin,
                 logoutReason: reason,
-                zervServerId: userSession.zervServerId
+                zervServerId
             },
             // let's not optimized for now this rare event and broadcast all servers.
             {allServers: true}
@@ -517,6 +665,59 @@ async function logout(origin, reason) {
     return userSession;
 }
 
+/**
+ * Ids are compared as strings, the user id of the token payload might be a number
+ * while the session stored in the cache might have been created from a string (or the opposite).
+ *
+ * @param {String|Number} userId
+ * @returns {Promise<Array<Object>>} the cluster user sessions of the user on all servers
+ */
+async function listUserSessions(userId) {
+    return service._findClusterUserSessionsOfUser(userId);
+}
+
+/**
+ * Log out all sessions of the user on all servers (ex: the account is compromised).
+ * Like in listUserSessions, user ids are compared as strings.
+ *
+ * The tokens that are not used by a session (ex: http access without origin) remain valid,
+ * they can be revoked with tokenBlacklistService.revokeUserTokens.
+ *
+ * @param {String|Number} userId
+ * @param {String} reason
+ * @returns {Promise<Array<Object>>} the logged out sessions
+ */
+async function logoutUser(userId, reason = 'user_logged_out') {
+    const userSessions = await service.listUserSessions(userId);
+    logger.info('Logging out %s session(s) of user %b - %s', userSessions.length, userId, reason);
+    return logoutClusterUserSessions(userSessions, reason);
+}
+
+/**
+ * Log out all sessions of the tenant on all servers.
+ * Like user ids, tenant ids are compared as strings.
+ *
+ * @param {String|Number} tenantId
+ * @param {String} reason
+ * @returns {Promise<Array<Object>>} the logged out sessions
+ */
+async function logoutTenant(tenantId, reason = 'tenant_logged_out') {
+    const userSessions = await service._findClusterUserSessionsOfTenant(tenantId);
+    logger.info('Logging out %s session(s) of tenant %b - %s', userSessions.length, tenantId, reason);
+    return logoutClusterUserSessions(userSessions, reason);
+}
+
+async function logoutClusterUserSessions(clusterUserSessions, reason) {
+    const loggedOutSessions = [];
+    for (const clusterUserSession of clusterUserSessions) {
+        const userSession = await service.logout(clusterUserSession.origin, reason);
+        if (userSession) {
+            loggedOutSessions.push(userSession);
+        }
+    }
+    return loggedOutSessions;
+}
+
 async function _logoutLocally(userSession, reason) {
     logger.info('Logging out %s - %s', userSession, reason);
     userSession.active = false;
@@ -532,7 +733,7 @@ async function _logoutLocally(userSession, reason) {
     // FYI: another server might already have deleted the cluster user session from the cluster
     // All servers that particate in this session would  timeout at about the same time.
     // if (cacheService.isClusterCacheEnabled()) {
-    deleteClusterUserSession(userSession.origin);
+    deleteClusterUserSession(userSession);
     // }
     return userSession;
 }
@@ -577,22 +778,141 @@ function getTenantMaximumInactiveSessionTimeoutInMins(tenantId) {
     return valueInMins;
 }
 
+/**
+ * Define the maximum number of concurrent sessions (origins) of the tenant.
+ *
+ * @param {String} tenantId
+ * @param {Object} policy or null to remove the limits
+ * @param {Number} policy.maxSessionsPerUser the maximum number of sessions of each user of the tenant
+ * @param {Number} policy.maxSessionsPerTenant the maximum number of sessions of all users of the tenant (ex: licensed seats)
+ * @param {String} policy.onLimitReached reject (default) rejects the new session with too_many_sessions,
+ *                                       evict_oldest logs out the oldest sessions on all servers.
+ */
+function setTenantConcurrentSessionPolicy(tenantId, policy) {
+    if (_.isNil(policy)) {
+        delete tenantConcurrentSessionPolicies[tenantId];
+        return;
+    }
+    assert(_.includes([undefined, 'reject', 'evict_oldest'], policy.onLimitReached), 'onLimitReached must be reject or evict_oldest');
+    tenantConcurrentSessionPolicies[tenantId] = _.pick(policy, ['maxSessionsPerUser', 'maxSessionsPerTenant', 'onLimitReached']);
+}
+
+/**
+ * @param {String} tenantId
+ * @returns {Object} the concurrent session policy of the tenant or null if the sessions are not limited.
+ */
+function getTenantConcurrentSessionPolicy(tenantId) {
+    return tenantConcurrentSessionPolicies[tenantId] || null;
+}
+
 async function _findClusterUserSession(origin) {
     return cacheService.getCachedObject(origin, {prefix: REDIS_SESSION_PREFIX});
 }
 
+async function _findClusterUserSessions() {
+    return cacheService.getCachedObjectsWithKeyNameBeginning('', {prefix: REDIS_SESSION_PREFIX});
+}
+
+async function _findClusterUserSessionsOfUser(userId) {
+    return findIndexedClusterUserSessions(REDIS_USER_SESSIONS_PREFIX, 'userId', userId);
+}
+
+async function _findClusterUserSessionsOfTenant(tenantId) {
+    return findIndexedClusterUserSessions(REDIS_TENANT_SESSIONS_PREFIX, 'tenantId', tenantId);
+}
+
+/**
+ * The cluster user sessions are indexed by user and by tenant, so that they are found without scanning all sessions of the cluster.
+ *
+ * The index is not updated when a session expires, nor when its origin is reused by another user,
+ * such entries are removed from the index when it is read.
+ * The sessions created before the indexes existed are indexed before the first read (see _migrateClusterUserSessionIndexes).
+ *
+ * @param {String} indexPrefix
+ * @param {String} property the indexed property of the session (userId or tenantId)
+ * @param {String|Number} id compared as a string
+ * @returns {Promise<Array<Object>>} the cluster user sessions
+ */
+async function findIndexedClusterUserSessions(indexPrefix, property, id) {
+    await migrateClusterUserSessionIndexesOnce();
+    const origins = await cacheService.getCachedSetMembers(String(id), {prefix: indexPrefix});
+    const clusterUserSessions = _.filter(
+        await cacheService.getCachedObjects(origins, {prefix: REDIS_SESSION_PREFIX}),
+        (clusterUserSession) => String(clusterUserSession[property]) === String(id)
+    );
+    for (const origin of _.difference(origins, _.map(clusterUserSessions, 'origin'))) {
+        await cacheService.removeCachedSetMember(String(id), origin, {prefix: indexPrefix});
+    }
+    return clusterUserSessions;
+}
+
+/**
+ * The migration runs once per server, and is attempted again if it failed.
+ *
+ * @returns {Promise} complete when the sessions created before the indexes are indexed
+ */
+function migrateClusterUserSessionIndexesOnce() {
+    if (!clusterUserSessionIndexesMigration) {
+        clusterUserSessionIndexesMigration = service._migrateClusterUserSessionIndexes().catch((err) => {
+            clusterUserSessionIndexesMigration = null;
+            throw err;
+        });
+    }
+    return clusterUserSessionIndexesMigration;
+}
+
+/**
+ * Index the cluster user sessions created before the user and tenant indexes existed (ex: by a previous version),
+ * so that they are still listed, logged out and counted by the concurrent session policy.
+ * All the sessions of the cluster are scanned only once, by the first server reading an index.
+ *
+ * Note: the sessions created later by servers still running a previous version (ex: during a rolling upgrade) are not indexed.
+ */
+async function _migrateClusterUserSessionIndexes() {
+    if (await cacheService.getCachedBooleanValue(REDIS_SESSION_INDEXES_MIGRATED_KEY)) {
+        return;
+    }
+    const clusterUserSessions = await service._findClusterUserSessions();
+    logger.info('Index %s cluster user session(s) created before the session indexes', clusterUserSessions.length);
+    for (const clusterUserSession of clusterUserSessions) {
+        await indexClusterUserSession(clusterUserSession);
+    }
+    await cacheService.cacheData(REDIS_SESSION_INDEXES_MIGRATED_KEY, true);
+}
+
+function _clearClusterUserSessionIndexesMigration() {
+    clusterUserSessionIndexesMigration = null;
+}
+
+async function indexClusterUserSession(clusterUserSession) {
+    // the index must outlive any session it contains
+    const options = {expirationInMins: DEFAULT_MAX_ACTIVE_SESSION_TIMEOUT_IN_MINS};
+    await cacheService.addCachedSetMember(String(clusterUserSession.userId), clusterUserSession.origin, _.assign({prefix: REDIS_USER_SESSIONS_PREFIX}, options));
+    if (!_.isNil(clusterUserSession.tenantId)) {
+        await cacheService.addCachedSetMember(String(clusterUserSession.tenantId), clusterUserSession.origin, _.assign({prefix: REDIS_TENANT_SESSIONS_PREFIX}, options));
+    }
+}
+
 async function upsertClusterUserSession(clusterUserSession) {
+    const isNewSession = clusterUserSession.lastUserActivityStatus === 'NEW SESSION';
     await cacheService.cacheData(
         clusterUserSession.origin,
         clusterUserSession,
         {
             prefix: REDIS_SESSION_PREFIX,
             // if it is an update, theire is not need to modify the expiration time
-            expirationInMins: clusterUserSession.lastUserActivityStatus === 'NEW SESSION' ? clusterUserSession.maxActiveDuration : null
+            expirationInMins: isNewSession ? clusterUserSession.maxActiveDuration : null
         }
     );
+    if (isNewSession) {
+        await indexClusterUserSession(clusterUserSession);
+    }
 }
 
-async function deleteClusterUserSession(origin) {
-    await cacheService.removeCachedData(origin, {prefix: REDIS_SESSION_PREFIX});
+async function deleteClusterUserSession(userSession) {
+    await cacheService.removeCachedData(userSession.origin, {prefix: REDIS_SESSION_PREFIX});
+    await cacheService.removeCachedSetMember(String(userSession.userId), userSession.origin, {prefix: REDIS_USER_SESSIONS_PREFIX});
+    if (!_.isNil(userSession.tenantId)) {
+        await cacheService.removeCachedSetMember(String(userSession.tenantId), userSession.origin, {prefix: REDIS_TENANT_SESSIONS_PREFIX});
+    }
 }
@@ -7,12 +7,20 @@ const assert = require('assert'),
 
 const socketAuthorize = require('./authorize/socket-authorize');
 const httpAuthorize = require('./authorize/http-authorize');
+const httpAuthorizeMiddleware = require('./authorize/http-authorize-middleware');
+const Keyring = require('./authorize/keyring');
 const apiAccess = require('./api-access');
 const ApiRouter = require('./api-router');
 const transactionService = require('./transaction.service');
 const userSessionService = require('./user-session.service');
 const cacheService = require('./cache.service');
 const serverActivityService = require('./server-activity.service');
+const securityEventService = require('./security-event.service');
+const blackListService = require('./token-blacklist.service');
+const apiKeyService = require('./api-key.service');
+const secondFactorService = require('./second-factor.service');
+const totp = require('./totp');
+const logRedaction = require('./log-redaction');
 
 
 const logger = zlog.getLogger('zerv/core');
@@ -29,29 +37,58 @@ const coreModule = {
     infraServe,
     infrastructure,
     httpAuthorize,
+    httpAuthorizeMiddleware,
+    Keyring,
     transport,
 
     // cache api
     getRedisClient: cacheService.getRedisClient,
     isClusterEnabled: cacheService.isClusterCacheEnabled,
     cacheData: cacheService.cacheData,
+    cacheDataIfAbsent: cacheService.cacheDataIfAbsent,
     removeCachedData: cacheService.removeCachedData,
     getCachedData: cacheService.getCachedData,
     getCachedBooleanValue: cacheService.getCachedData,
     getCachedObject: cacheService.getCachedObject,
     getCachedKeys: cacheService.getCachedKeys,
     getCachedObjectsWithKeyNameBeginning: cacheService.getCachedObjectsWithKeyNameBeginning,
+    addCachedSetMember: cacheService.addCachedSetMember,
+    removeCachedSetMember: cacheService.removeCachedSetMember,
+    getCachedSetMembers: cacheService.getCachedSetMembers,
+    publishMessage: cacheService.publishMessage,
+    subscribeToChannel: cacheService.subscribeToChannel,
 
     // user session api
     isLocalUserSession: userSessionService.isLocalUserSession,
     countLocalSessionsByUserId: userSessionService.countLocalSessionsByUserId,
     isUserSessionServerOrigin: userSessionService.isLocalUserSession,
     getLocalUserSessions: userSessionService.getLocalUserSessions,
+    listUserSessions: userSessionService.listUserSessions,
+    logoutUser: userSessionService.logoutUser,
+    logoutTenant: userSessionService.logoutTenant,
     onLocalUserSessionDestroy: userSessionService.onLocalUserSessionDestroy,
     setTenantMaximumActiveSessionTimeout: userSessionService.setTenantMaximumActiveSessionTimeout,
     getTenantMaximumActiveSessionTimeoutInMins: userSessionService.getTenantMaximumActiveSessionTimeoutInMins,
     setTenantMaximumInactiveSessionTimeout: userSessionService.setTenantMaximumInactiveSessionTimeout,
     getTenantMaximumInactiveSessionTimeoutInMins: userSessionService.getTenantMaximumInactiveSessionTimeoutInMins,
+    setTenantConcurrentSessionPolicy: userSessionService.setTenantConcurrentSessionPolicy,
+    getTenantConcurrentSessionPolicy: userSessionService.getTenantConcurrentSessionPolicy,
+
+    setLogSensitiveFields: logRedaction.setSensitiveFields,
+    onSecurityEvent: securityEventService.onSecurityEvent,
+    revokeToken,
+    revokeUserTokens: blackListService.revokeUserTokens,
+
+    // api key api
+    createApiKey: apiKeyService.createApiKey,
+    listApiKeys: apiKeyService.listApiKeys,
+    revokeApiKey: apiKeyService.revokeApiKey,
+
+    // second factor api
+    generateTotpSecret: totp.generateSecret,
+    getTotpProvisioningUri: totp.getProvisioningUri,
+    verifyTotpCode: totp.verifyCode,
+    generateRecoveryCodes: secondFactorService.generateRecoveryCodes,
 
     isServerShutDownInProgress: serverActivityService.isServerPaused,
     shutdown,
@@ -69,6 +106,14 @@ function addModule(name, module) {
     _.assign(coreModule, module);
 }
 
+/**
+ * Revoke a token. The sockets connected with this token on any server are disconnected.
+ * @param {String} token
+ */
+async function revokeToken(token) {
+    await blackListService.revokeToken(token, null, {disconnectSockets: true});
+}
+
 /**
  * Stop the local server from creating new activities
  * @param {Number} delayInSecs before not accepting new activities
@@ -103,9 +148,15 @@ async function shutdown(delayBeforeShuttingdown = 5, exitDelay = 5) {
  *                                                               if a valid token is used, the local session will be recreated
  * @param {Function} options.claim this function receives a user object and generates the content of the token payload
  * @param {String} options.secret this is the secret phrase to sign and verify a token
+ * @param {Keyring} options.keyring this is the keyring to sign and verify a token, when provided the secret is not used
  * @param {Number} options.maxHttpBufferSize how many bytes or characters a message can be, before closing the session (to avoid DoS).
  * @param {Function} options.refresh this function receives a payload object and generates the token. By default a function is provided which uses JWT sign.
  * @param {Function} options.getTenantId this function receives a payload object and uses its data (such as user Id) to figure out the tenantId. TenantId should never be stored in a token.
+ * @param {Boolean} options.tokenReuseDetection when true, the reuse of a revoked token revokes its token family and logs out its user session.
+ * @param {Boolean} options.handshakeAuthentication when true, the token is verified during the socket handshake instead of waiting for the authenticate event.
+ * @param {Function} options.resolveApiKey this function receives an api key {id, name, scope, data} and returns its payload. Api keys are only accepted if provided.
+ * @param {Boolean|Object} options.localRevocationCache when set, revoked tokens are kept in memory to avoid a cache round trip when verifying a token.
+ *                                                      Check blackListService.enableLocalRevocationCache for the options.
  *
  * @returns {SocketIoServer} a new instance of the socketIo server
  *
@@ -115,6 +166,9 @@ function socketServe(server, options) {
     assert.notStrictEqual(options.findUserByCredentials, undefined);
 
     options.tokenRefreshIntervalInMins = options.tokenRefreshIntervalInMins ? Number(options.tokenRefreshIntervalInMins) : 5;
+    if (options.localRevocationCache) {
+        blackListService.enableLocalRevocationCache(_.isObject(options.localRevocationCache) ? options.localRevocationCache : {});
+    }
 
     // socketio 2.X used to be 100mgb (default)
     const maxHttpBufferSize = parseInt(options.maxHttpBufferSize) || (100 * 1000 * 1024);
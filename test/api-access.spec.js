@@ -0,0 +1,783 @@
+const crypto = require('crypto');
+const express = require('express');
+const http = require('http');
+const enableDestroy = require('server-destroy');
+const bodyParser = require('body-parser');
+const request = require('request');
+const jwt = require('jsonwebtoken');
+
+const apiAccess = require('../lib/api-access');
+const Keyring = require('../lib/authorize/keyring');
+const cacheService = require('../lib/cache.service');
+const secondFactorService = require('../lib/second-factor.service');
+const loginThrottleService = require('../lib/login-throttle.service');
+const blackListService = require('../lib/token-blacklist.service');
+const userSessionService = require('../lib/user-session.service');
+const {signJwtToken, signSingleUseToken} = require('../lib/authorize/authorize.helper');
+const totp = require('../lib/totp');
+
+describe('api-access', () => {
+    let server, options, keyring, secondFactor, recoveryCodes, sentMails;
+
+    beforeAll((done) => {
+        const rsaKeys = crypto.generateKeyPairSync('rsa', {
+            modulusLength: 2048,
+            publicKeyEncoding: {type: 'spki', format: 'pem'},
+            privateKeyEncoding: {type: 'pkcs8', format: 'pem'}
+        });
+        keyring = new Keyring([
+            {secret: 'aaafoo super sercret'},
+            {kid: 'rsa1', privateKey: rsaKeys.privateKey, current: true}
+        ]);
+        recoveryCodes = secondFactorService.generateRecoveryCodes(2);
+        secondFactor = {totpSecret: totp.generateSecret(), recoveryCodes: recoveryCodes.hashes};
+        options = {
+            claim: (user) => user,
+            keyring,
+            discovery: {
+                issuer: 'https://auth.zerv.test/'
+            },
+            findUserByCredentials: (credentials) => {
+                if (credentials.password !== 'Pa123') {
+                    return Promise.reject('USER_INVALID');
+                }
+                if (credentials.username === 'mfa') {
+                    return Promise.resolve({id: 456, email: 'mfa@doe.com', mfa: true});
+                }
+                return Promise.resolve({id: 123, email: 'john@doe.com'});
+            },
+            requiresSecondFactor: (user) => user.mfa === true,
+            findUserById: (id) => Promise.resolve(id === 456 ? {id, email: 'mfa@doe.com', mfa: true} : null),
+            findSecondFactor: () => Promise.resolve(secondFactor),
+            onRecoveryCodeUsed: jasmine.createSpy('onRecoveryCodeUsed'),
+            register: (data) => Promise.resolve({id: 789, email: data.email}),
+            verifyEmail: (userId) => Promise.resolve({id: userId, email: 'new@doe.com'}),
+            findUserByEmail: (email) => Promise.resolve(email === 'john@doe.com' || email === 'mfa@doe.com' ? {id: email === 'john@doe.com' ? 123 : 456, email} : null),
+            allowMagicLink: (user) => user.id === 123,
+            resetPassword: (userId, password) => password.length < 8 ? Promise.reject('PASSWORD_TOO_WEAK') : Promise.resolve(),
+            sendMail: (mail) => {
+                sentMails.push(mail);
+                return Promise.resolve();
+            },
+            findClientById: (clientId) => Promise.resolve(clientId === 'spa' ? {clientId, redirectUris: ['https://app.zerv.test/callback']} : null),
+            tokenIntrospection: true,
+            findClientByCredentials: (clientId, clientSecret) => {
+                if (clientId !== 'nightlyJob' || clientSecret !== 'jobSecret') {
+                    return Promise.reject('CLIENT_INVALID');
+                }
+                return Promise.resolve({clientId, name: 'Nightly job', scope: 'reports'});
+            }
+        };
+        cacheService._disableLocalCacheFilePersistence();
+
+        const app = express();
+        app.use(bodyParser.json());
+        apiAccess(app, options);
+        server = http.createServer(app);
+        server.listen(9000, done);
+        enableDestroy(server);
+    });
+
+    afterAll((done) => {
+        server.destroy(done);
+    });
+
+    beforeEach(() => {
+        cacheService._clearLocalCache();
+        sentMails = [];
+    });
+
+    describe('discovery', () => {
+        it('should provide the public keys of the keyring', (done) => {
+            request.get({url: 'http://localhost:9000/.well-known/jwks.json', json: true}, (err, resp, body) => {
+                expect(err).toBeNull();
+                expect(resp.statusCode).toBe(200);
+                expect(body.keys.length).toBe(1);
+                expect(body.keys[0]).toEqual(jasmine.objectContaining({kid: 'rsa1', alg: 'RS256', use: 'sig', kty: 'RSA'}));
+                // no secret or private information
+                expect(body.keys[0].d).toBeUndefined();
+                done();
+            });
+        });
+
+        it('should provide the openid configuration', (done) => {
+            request.get({url: 'http://localhost:9000/.well-known/openid-configuration', json: true}, (err, resp, body) => {
+                expect(err).toBeNull();
+                expect(resp.statusCode).toBe(200);
+                expect(body).toEqual(jasmine.objectContaining({
+                    issuer: 'https://auth.zerv.test',
+                    authorization_endpoint: 'https://auth.zerv.test/authorize',
+                    jwks_uri: 'https://auth.zerv.test/.well-known/jwks.json',
+                    id_token_signing_alg_values_supported: ['HS256', 'RS256'],
+                    token_endpoint: 'https://auth.zerv.test/token',
+                    response_types_supported: ['token', 'code'],
+                    code_challenge_methods_supported: ['S256'],
+                    grant_types_supported: ['authorization_code', 'client_credentials'],
+                    introspection_endpoint: 'https://auth.zerv.test/introspect',
+                    revocation_endpoint: 'https://auth.zerv.test/revoke'
+                }));
+                done();
+            });
+        });
+
+        it('should issue tokens verifiable with the published keys', (done) => {
+            request.post({
+                url: 'http://localhost:9000/authorize',
+                body: {username: 'jose', password: 'Pa123', grant_type: 'rest'},
+                json: true
+            }, (err, resp, body) => {
+                expect(err).toBeNull();
+                const token = body.access_token;
+                const header = jwt.decode(token, {complete: true}).header;
+                request.get({url: 'http://localhost:9000/.well-known/jwks.json', json: true}, (err2, resp2, jwks) => {
+                    const jwk = jwks.keys.find((key) => key.kid === header.kid);
+                    // the conversion of the jwk is covered by the keyring specs
+                    expect(jwk).toEqual(keyring.getJwks().keys[0]);
+                    const publicKey = keyring.getKey(jwk.kid).publicKey;
+                    const payload = jwt.verify(token, publicKey, {algorithms: [jwk.alg], issuer: 'https://auth.zerv.test'});
+                    expect(payload.id).toBe(123);
+                    done();
+                });
+            });
+        });
+    });
+
+    describe('OAuth2 authorization code flow', () => {
+        let codeVerifier, authorizationRequest;
+
+        beforeEach(() => {
+            codeVerifier = crypto.randomBytes(32).toString('hex');
+            authorizationRequest = {
+                response_type: 'code',
+                client_id: 'spa',
+                redirect_uri: 'https://app.zerv.test/callback',
+                code_challenge: crypto.createHash('sha256').update(codeVerifier).digest('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, ''),
+                code_challenge_method: 'S256',
+                state: 'xyz',
+                username: 'jose',
+                password: 'Pa123'
+            };
+        });
+
+        it('should redirect with a code which is exchanged for a token once', async () => {
+            const location = await authorize(authorizationRequest);
+            expect(location.origin + location.pathname).toBe('https://app.zerv.test/callback');
+            expect(location.searchParams.get('state')).toBe('xyz');
+            const code = location.searchParams.get('code');
+            const tokenRequest = {grant_type: 'authorization_code', code, client_id: 'spa', redirect_uri: 'https://app.zerv.test/callback', code_verifier: codeVerifier};
+
+            let resp = await post('/token', tokenRequest);
+            expect(resp.statusCode).toBe(200);
+            expect(resp.headers['cache-control']).toBe('no-store');
+            expect(resp.body.token_type).toBe('Bearer');
+            expect(keyring.verify(resp.body.access_token).id).toBe(123);
+
+            resp = await post('/token', tokenRequest);
+            expect(resp.statusCode).toBe(400);
+            expect(resp.body).toEqual({error: 'invalid_grant', error_description: 'Invalid authorization code'});
+        });
+
+        it('should not exchange a code without the matching code verifier', async () => {
+            const code = (await authorize(authorizationRequest)).searchParams.get('code');
+            const resp = await post('/token', {grant_type: 'authorization_code', code, client_id: 'spa', redirect_uri: 'https://app.zerv.test/callback', code_verifier: 'a'.repeat(43)});
+            expect(resp.statusCode).toBe(400);
+            expect(resp.body).toEqual({error: 'invalid_grant', error_description: 'Invalid code_verifier'});
+        });
+
+        it('should not redirect to an unregistered redirect uri', async () => {
+            authorizationRequest.redirect_uri = 'https://evil.test/callback';
+            const resp = await post('/authorize', authorizationRequest);
+            expect(resp.statusCode).toBe(400);
+            expect(resp.body).toEqual({error: 'invalid_request', error_description: 'Invalid redirect_uri'});
+        });
+
+        it('should reject an unknown client', async () => {
+            authorizationRequest.client_id = 'unknown';
+            const resp = await post('/authorize', authorizationRequest);
+            expect(resp.statusCode).toBe(400);
+            expect(resp.body.error).toBe('invalid_client');
+        });
+
+        it('should require a code challenge', async () => {
+            delete authorizationRequest.code_challenge;
+            const location = await authorize(authorizationRequest);
+            expect(location.searchParams.get('error')).toBe('invalid_request');
+            expect(location.searchParams.get('code')).toBeNull();
+        });
+
+        it('should redirect with an error when the credentials are invalid', async () => {
+            authorizationRequest.password = 'wrong';
+            const location = await authorize(authorizationRequest);
+            expect(location.searchParams.get('error')).toBe('access_denied');
+            expect(location.searchParams.get('state')).toBe('xyz');
+        });
+
+        async function authorize(body) {
+            const resp = await post('/authorize', body);
+            expect(resp.statusCode).toBe(302);
+            return new URL(resp.headers.location);
+        }
+    });
+
+    describe('error responses', () => {
+        let findUserByCredentials, register;
+
+        beforeEach(() => {
+            findUserByCredentials = options.findUserByCredentials;
+            register = options.register;
+        });
+
+        afterEach(() => {
+            options.findUserByCredentials = findUserByCredentials;
+            options.register = register;
+        });
+
+        it('should not provide the details of an internal login error', async () => {
+            options.findUserByCredentials = () => Promise.reject(new Error('connect ECONNREFUSED db.internal:5432'));
+            const resp = await post('/authorize', {username: 'jose', password: 'Pa123', grant_type: 'rest'});
+            expect(resp.statusCode).toBe(401);
+            expect(resp.body).toEqual({code: 'INVALID_CREDENTIALS', message: 'Invalid credentials'});
+        });
+
+        it('should not provide the details of an internal registration error', async () => {
+            options.register = () => Promise.reject(new Error('duplicate key value violates unique constraint "users_email"'));
+            const resp = await post('/register', {email: 'new@doe.com'});
+            expect(resp.statusCode).toBe(400);
+            expect(resp.body).toEqual({code: 'REGISTRATION_FAILED', message: 'Registration failed'});
+        });
+
+        it('should provide the code rejected by the registration', async () => {
+            options.register = () => Promise.reject('EMAIL_ALREADY_USED');
+            const resp = await post('/register', {email: 'new@doe.com'});
+            expect(resp.statusCode).toBe(400);
+            expect(resp.body).toEqual({code: 'EMAIL_ALREADY_USED', message: 'Registration failed'});
+        });
+
+        it('should respond with the status of the code', async () => {
+            const resp = await post('/authorize', {username: 'jose', password: 'Pa123', grant_type: 'other'});
+            expect(resp.statusCode).toBe(400);
+            expect(resp.body).toEqual({code: 'INVALID_TYPE', message: 'Invalid grant type'});
+        });
+    });
+
+    describe('login throttling', () => {
+        beforeEach(() => {
+            options.loginThrottle = {maxAttemptsPerUsername: 2, backoffBaseInSecs: 0};
+            options.onLoginFailed = jasmine.createSpy('onLoginFailed');
+            options.onLockout = jasmine.createSpy('onLockout');
+        });
+
+        afterEach(() => {
+            delete options.loginThrottle;
+            delete options.onLoginFailed;
+            delete options.onLockout;
+        });
+
+        it('should notify each failed login', async () => {
+            const resp = await post('/authorize', {username: 'jose', password: 'wrong', grant_type: 'rest'});
+            expect(resp.statusCode).toBe(401);
+            expect(resp.body).toEqual({code: 'USER_INVALID', message: 'Invalid credentials'});
+            expect(options.onLoginFailed).toHaveBeenCalledWith(jasmine.objectContaining({username: 'jose', failures: 1, error: 'USER_INVALID'}));
+            expect(options.onLockout).not.toHaveBeenCalled();
+        });
+
+        it('should lock out the username after too many failures', async () => {
+            await post('/authorize', {username: 'jose', password: 'wrong', grant_type: 'rest'});
+            await post('/authorize', {username: 'jose', password: 'wrong', grant_type: 'rest'});
+            expect(options.onLockout).toHaveBeenCalledWith(jasmine.objectContaining({type: 'username', value: 'jose'}));
+
+            const resp = await post('/authorize', {username: 'jose', password: 'Pa123', grant_type: 'rest'});
+            expect(resp.statusCode).toBe(429);
+            expect(resp.body).toEqual({code: 'TOO_MANY_ATTEMPTS', message: 'Too many attempts, retry later', retryAfter: 15 * 60});
+            expect(resp.headers['retry-after']).toBe(String(15 * 60));
+        });
+
+        it('should respond with an error when the login attempts cannot be checked', async () => {
+            spyOn(loginThrottleService, 'getRetryAfterInSecs').and.callFake(() => Promise.reject(new Error('redis is down')));
+            const resp = await post('/authorize', {username: 'jose', password: 'Pa123', grant_type: 'rest'});
+            expect(resp.statusCode).toBe(401);
+            expect(resp.body).toEqual({code: 'LOGIN_FAILED', message: 'Login failed'});
+        });
+
+        it('should reset the failures after a successful login', async () => {
+            await post('/authorize', {username: 'jose', password: 'wrong', grant_type: 'rest'});
+            const resp = await post('/authorize', {username: 'jose', password: 'Pa123', grant_type: 'rest'});
+            expect(resp.statusCode).toBe(200);
+            await post('/authorize', {username: 'jose', password: 'wrong', grant_type: 'rest'});
+            expect(options.onLockout).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('second factor', () => {
+        it('should not require a second factor from users without one', async () => {
+            const resp = await post('/authorize', {username: 'jose', password: 'Pa123', grant_type: 'rest'});
+            expect(resp.statusCode).toBe(200);
+            expect(resp.body.access_token).toBeDefined();
+        });
+
+        it('should return a challenge instead of the auth code', async () => {
+            const resp = await post('/authorize', {username: 'mfa', password: 'Pa123', grant_type: 'rest'});
+            expect(resp.statusCode).toBe(200);
+            expect(resp.body).toEqual({second_factor_required: true, challenge_token: jasmine.any(String), expires_in: 300});
+            expect(resp.body.access_token).toBeUndefined();
+        });
+
+        it('should exchange the challenge and a one-time password for the auth code', async () => {
+            const challengeToken = await getChallengeToken();
+            const resp = await post('/authorize/verify', {challenge_token: challengeToken, otp: totp.generateCode(secondFactor.totpSecret)});
+            expect(resp.statusCode).toBe(200);
+            expect(keyring.verify(resp.body.access_token).id).toBe(456);
+        });
+
+        it('should only keep the user id with the challenge', async () => {
+            spyOn(cacheService, 'cacheData').and.callThrough();
+            await getChallengeToken();
+            const challenge = cacheService.cacheData.calls.mostRecent().args[1];
+            expect(challenge).toEqual(jasmine.objectContaining({userId: 456, username: 'mfa'}));
+            expect(challenge.user).toBeUndefined();
+        });
+
+        it('should reject the challenge of a user who can no longer be found', async () => {
+            const challengeToken = await getChallengeToken();
+            spyOn(options, 'findUserById').and.returnValue(Promise.resolve(null));
+            const resp = await post('/authorize/verify', {challenge_token: challengeToken, otp: totp.generateCode(secondFactor.totpSecret)});
+            expect(options.findUserById).toHaveBeenCalledWith(456);
+            expect(resp.statusCode).toBe(401);
+            expect(resp.body).toEqual({code: 'INVALID_CHALLENGE', message: 'The challenge is invalid or expired'});
+        });
+
+        it('should only accept the challenge once', async () => {
+            const challengeToken = await getChallengeToken();
+            await post('/authorize/verify', {challenge_token: challengeToken, otp: totp.generateCode(secondFactor.totpSecret)});
+            const resp = await post('/authorize/verify', {challenge_token: challengeToken, otp: totp.generateCode(secondFactor.totpSecret)});
+            expect(resp.statusCode).toBe(401);
+            expect(resp.body).toEqual({code: 'INVALID_CHALLENGE', message: 'The challenge is invalid or expired'});
+        });
+
+        it('should reject an invalid one-time password', async () => {
+            const challengeToken = await getChallengeToken();
+            const resp = await post('/authorize/verify', {challenge_token: challengeToken, otp: '000000'});
+            expect(resp.statusCode).toBe(401);
+            expect(resp.body).toEqual({code: 'INVALID_SECOND_FACTOR', message: 'The second factor is invalid'});
+        });
+
+        it('should accept a recovery code and notify its use', async () => {
+            const challengeToken = await getChallengeToken();
+            const resp = await post('/authorize/verify', {challenge_token: challengeToken, recovery_code: recoveryCodes.codes[0]});
+            expect(resp.statusCode).toBe(200);
+            expect(resp.body.access_token).toBeDefined();
+            expect(options.onRecoveryCodeUsed).toHaveBeenCalledWith(jasmine.objectContaining({id: 456}), recoveryCodes.hashes[0]);
+        });
+
+        it('should redirect to the client with the code once the second factor of an authorization request is verified', async () => {
+            const resp = await post('/authorize', {
+                username: 'mfa',
+                password: 'Pa123',
+                response_type: 'code',
+                client_id: 'spa',
+                redirect_uri: 'https://app.zerv.test/callback',
+                code_challenge: 'E9Melhoa2OwvFrEMTJguCHaoeK1t8URWbuGJSstw-cM',
+                code_challenge_method: 'S256',
+                state: 'xyz'
+            });
+            expect(resp.body.second_factor_required).toBeTrue();
+            const verifyResp = await post('/authorize/verify', {challenge_token: resp.body.challenge_token, otp: totp.generateCode(secondFactor.totpSecret)});
+            expect(verifyResp.statusCode).toBe(302);
+            const location = new URL(verifyResp.headers.location);
+            expect(location.origin + location.pathname).toBe('https://app.zerv.test/callback');
+            expect(location.searchParams.get('code')).not.toBeNull();
+            expect(location.searchParams.get('state')).toBe('xyz');
+        });
+
+        async function getChallengeToken() {
+            const resp = await post('/authorize', {username: 'mfa', password: 'Pa123', grant_type: 'rest'});
+            return resp.body.challenge_token;
+        }
+    });
+
+    describe('email verification', () => {
+        it('should send a verification mail instead of logging the registered user in', async () => {
+            const resp = await post('/register', {email: 'new@doe.com'});
+            expect(resp.statusCode).toBe(200);
+            expect(resp.body).toEqual({verification_required: true});
+            expect(sentMails).toEqual([{type: 'email_verification', to: 'new@doe.com', token: jasmine.any(String), user: {id: 789, email: 'new@doe.com'}}]);
+        });
+
+        it('should log the user in once the email is verified', async () => {
+            await post('/register', {email: 'new@doe.com'});
+            const resp = await post('/register/verify', {token: sentMails[0].token});
+            expect(resp.statusCode).toBe(200);
+            expect(keyring.verify(resp.body.access_token).id).toBe(789);
+        });
+
+        it('should only accept the verification token once', async () => {
+            await post('/register', {email: 'new@doe.com'});
+            await post('/register/verify', {token: sentMails[0].token});
+            const resp = await post('/register/verify', {token: sentMails[0].token});
+            expect(resp.statusCode).toBe(400);
+            expect(resp.body).toEqual({code: 'INVALID_TOKEN', message: 'The token is invalid or expired'});
+        });
+
+        it('should only accept the verification token once when used concurrently', async () => {
+            // the email is verified slowly, the second request is received meanwhile
+            spyOn(options, 'verifyEmail').and.callFake((userId) => new Promise((resolve) => setTimeout(() => resolve({id: userId, email: 'new@doe.com'}), 50)));
+            await post('/register', {email: 'new@doe.com'});
+            const resps = await Promise.all([
+                post('/register/verify', {token: sentMails[0].token}),
+                post('/register/verify', {token: sentMails[0].token})
+            ]);
+            expect(resps.map((resp) => resp.statusCode).sort()).toEqual([200, 400]);
+        });
+    });
+
+    describe('password reset', () => {
+        it('should send a password reset mail to a known email', async () => {
+            const resp = await post('/password/forgot', {email: 'john@doe.com'});
+            expect(resp.statusCode).toBe(200);
+            expect(sentMails).toEqual([{type: 'password_reset', to: 'john@doe.com', token: jasmine.any(String), user: {id: 123, email: 'john@doe.com'}}]);
+        });
+
+        it('should respond the same way to an unknown email', async () => {
+            const resp = await post('/password/forgot', {email: 'unknown@doe.com'});
+            expect(resp.statusCode).toBe(200);
+            expect(resp.body).toEqual({});
+            expect(sentMails).toEqual([]);
+        });
+
+        it('should reset the password and revoke the tokens of the user', async () => {
+            spyOn(options, 'resetPassword').and.callThrough();
+            await post('/password/forgot', {email: 'john@doe.com'});
+            const resp = await post('/password/reset', {token: sentMails[0].token, password: 'NewPa123!'});
+            expect(resp.statusCode).toBe(200);
+            expect(options.resetPassword).toHaveBeenCalledWith(123, 'NewPa123!');
+            expect(await blackListService.getUserTokensNotBefore(123)).not.toBeNull();
+        });
+
+        it('should only accept the reset token once', async () => {
+            await post('/password/forgot', {email: 'john@doe.com'});
+            await post('/password/reset', {token: sentMails[0].token, password: 'NewPa123!'});
+            const resp = await post('/password/reset', {token: sentMails[0].token, password: 'OtherPa123!'});
+            expect(resp.statusCode).toBe(400);
+            expect(resp.body).toEqual({code: 'INVALID_TOKEN', message: 'The token is invalid or expired'});
+        });
+
+        it('should only accept the reset token once when used concurrently', async () => {
+            spyOn(options, 'resetPassword').and.callFake(() => new Promise((resolve) => setTimeout(resolve, 50)));
+            await post('/password/forgot', {email: 'john@doe.com'});
+            const resps = await Promise.all([
+                post('/password/reset', {token: sentMails[0].token, password: 'NewPa123!'}),
+                post('/password/reset', {token: sentMails[0].token, password: 'OtherPa123!'})
+            ]);
+            expect(resps.map((resp) => resp.statusCode).sort()).toEqual([200, 400]);
+            expect(options.resetPassword).toHaveBeenCalledTimes(1);
+        });
+
+        it('should keep the token usable when the password is rejected', async () => {
+            await post('/password/forgot', {email: 'john@doe.com'});
+            let resp = await post('/password/reset', {token: sentMails[0].token, password: 'weak'});
+            expect(resp.statusCode).toBe(400);
+            expect(resp.body).toEqual({code: 'PASSWORD_TOO_WEAK', message: 'Password reset failed'});
+            resp = await post('/password/reset', {token: sentMails[0].token, password: 'NewPa123!'});
+            expect(resp.statusCode).toBe(200);
+        });
+
+        it('should not accept an email verification token', async () => {
+            await post('/register', {email: 'new@doe.com'});
+            const resp = await post('/password/reset', {token: sentMails[0].token, password: 'NewPa123!'});
+            expect(resp.statusCode).toBe(400);
+        });
+    });
+
+    describe('magic link', () => {
+        afterEach(() => {
+            delete options.appUrl;
+        });
+
+        it('should send a login link to an allowed user', async () => {
+            const resp = await post('/authorize/magic-link', {email: 'john@doe.com'});
+            expect(resp.statusCode).toBe(200);
+            expect(resp.body).toEqual({});
+            expect(sentMails).toEqual([{type: 'magic_link', to: 'john@doe.com', token: jasmine.any(String), user: {id: 123, email: 'john@doe.com'}}]);
+        });
+
+        it('should respond the same way to an unknown or not allowed user', async () => {
+            let resp = await post('/authorize/magic-link', {email: 'unknown@doe.com'});
+            expect(resp.statusCode).toBe(200);
+            expect(resp.body).toEqual({});
+            resp = await post('/authorize/magic-link', {email: 'mfa@doe.com'});
+            expect(resp.statusCode).toBe(200);
+            expect(sentMails).toEqual([]);
+        });
+
+        it('should redeem the token like a login and provide the app url', async () => {
+            options.appUrl = (token) => 'https://app.zerv.test/?token=' + token;
+            await post('/authorize/magic-link', {email: 'john@doe.com'});
+            const resp = await post('/authorize/magic-link/redeem', {token: sentMails[0].token});
+            expect(resp.statusCode).toBe(200);
+            expect(keyring.verify(resp.body.access_token).id).toBe(123);
+            expect(resp.body.url).toBe('https://app.zerv.test/?token=' + resp.body.access_token);
+        });
+
+        it('should only redeem the token once', async () => {
+            await post('/authorize/magic-link', {email: 'john@doe.com'});
+            await post('/authorize/magic-link/redeem', {token: sentMails[0].token});
+            const resp = await post('/authorize/magic-link/redeem', {token: sentMails[0].token});
+            expect(resp.statusCode).toBe(400);
+            expect(resp.body).toEqual({code: 'INVALID_TOKEN', message: 'The token is invalid or expired'});
+        });
+
+        it('should only redeem the token once when redeemed concurrently', async () => {
+            // both requests check that the token is not revoked before any of them redeems it
+            const isTokenRevoked = blackListService.isTokenRevoked;
+            spyOn(blackListService, 'isTokenRevoked').and.callFake(async (token) => {
+                const revoked = await isTokenRevoked(token);
+                await new Promise((resolve) => setTimeout(resolve, 50));
+                return revoked;
+            });
+            await post('/authorize/magic-link', {email: 'john@doe.com'});
+            const resps = await Promise.all([
+                post('/authorize/magic-link/redeem', {token: sentMails[0].token}),
+                post('/authorize/magic-link/redeem', {token: sentMails[0].token})
+            ]);
+            expect(resps.map((resp) => resp.statusCode).sort()).toEqual([200, 400]);
+        });
+
+        it('should not accept the token for another flow', async () => {
+            await post('/authorize/magic-link', {email: 'john@doe.com'});
+            const resp = await post('/password/reset', {token: sentMails[0].token, password: 'NewPa123!'});
+            expect(resp.statusCode).toBe(400);
+        });
+    });
+
+    describe('client credentials grant', () => {
+        it('should issue a client token to a client authenticated with basic authentication', async () => {
+            const resp = await post('/token', {grant_type: 'client_credentials'}, {
+                authorization: 'Basic ' + Buffer.from('nightlyJob:jobSecret').toString('base64')
+            });
+            expect(resp.statusCode).toBe(200);
+            expect(resp.body).toEqual(jasmine.objectContaining({token_type: 'Bearer', expires_in: 3600, scope: 'reports'}));
+            const payload = keyring.verify(resp.body.access_token);
+            expect(payload).toEqual(jasmine.objectContaining({
+                typ: 'client',
+                sub: 'nightlyJob',
+                client_id: 'nightlyJob',
+                display: 'Nightly job',
+                scope: 'reports',
+                iss: 'https://auth.zerv.test'
+            }));
+            expect(payload.id).toBeUndefined();
+            expect(payload.exp - payload.iat).toBe(3600);
+        });
+
+        it('should issue a client token to a client authenticated with its credentials in the body', async () => {
+            const resp = await post('/token', {grant_type: 'client_credentials', client_id: 'nightlyJob', client_secret: 'jobSecret'});
+            expect(resp.statusCode).toBe(200);
+            expect(keyring.verify(resp.body.access_token).client_id).toBe('nightlyJob');
+        });
+
+        it('should reject invalid client credentials', async () => {
+            const resp = await post('/token', {grant_type: 'client_credentials'}, {
+                authorization: 'Basic ' + Buffer.from('nightlyJob:wrong').toString('base64')
+            });
+            expect(resp.statusCode).toBe(401);
+            expect(resp.headers['www-authenticate']).toBe('Basic');
+            expect(resp.body).toEqual({error: 'invalid_client', error_description: 'Client authentication failed'});
+        });
+
+        it('should respond with a server error when the client token cannot be issued', async () => {
+            options.clientTokenExpiresInSecs = 'never';
+            const resp = await post('/token', {grant_type: 'client_credentials', client_id: 'nightlyJob', client_secret: 'jobSecret'});
+            delete options.clientTokenExpiresInSecs;
+            expect(resp.statusCode).toBe(500);
+            expect(resp.body).toEqual({error: 'server_error'});
+        });
+
+        it('should reject an unsupported grant type', async () => {
+            const resp = await post('/token', {grant_type: 'password'});
+            expect(resp.statusCode).toBe(400);
+            expect(resp.body).toEqual({error: 'unsupported_grant_type'});
+        });
+    });
+
+    describe('token introspection', () => {
+        let clientAuthorization;
+
+        beforeEach(() => {
+            clientAuthorization = {authorization: 'Basic ' + Buffer.from('nightlyJob:jobSecret').toString('base64')};
+        });
+
+        it('should describe an active token', async () => {
+            const token = signJwtToken({id: 123, display: 'John', scope: 'reports'}, options, {expiresIn: 60});
+            const resp = await post('/introspect', {token}, clientAuthorization);
+            expect(resp.statusCode).toBe(200);
+            expect(resp.headers['cache-control']).toBe('no-store');
+            expect(resp.body).toEqual({
+                active: true,
+                sub: '123',
+                username: 'John',
+                scope: 'reports',
+                token_type: 'Bearer',
+                exp: jasmine.any(Number),
+                iat: jasmine.any(Number),
+                jti: jwt.decode(token).tid
+            });
+        });
+
+        it('should not describe a revoked token', async () => {
+            const token = signJwtToken({id: 123}, options, {expiresIn: 60});
+            await blackListService.revokeToken(token);
+            const resp = await post('/introspect', {token}, clientAuthorization);
+            expect(resp.body).toEqual({active: false});
+        });
+
+        it('should not revoke the family of a revoked token nor log out its user session', async () => {
+            options.tokenReuseDetection = true;
+            spyOn(blackListService, 'revokeTokenFamily').and.callThrough();
+            spyOn(userSessionService, 'logout').and.callThrough();
+            const token = signJwtToken({id: 123, jti: 1, fam: 'family1'}, options, {expiresIn: 60});
+            await blackListService.trackTokenFamily('family1', 'browser1', jwt.decode(token).exp);
+            await blackListService.revokeToken(token);
+            const resp = await post('/introspect', {token}, clientAuthorization);
+            delete options.tokenReuseDetection;
+            expect(resp.body).toEqual({active: false});
+            expect(blackListService.revokeTokenFamily).not.toHaveBeenCalled();
+            expect(userSessionService.logout).not.toHaveBeenCalled();
+        });
+
+        it('should not describe a token whose family is revoked', async () => {
+            const token = signJwtToken({id: 123, jti: 1, fam: 'family1'}, options, {expiresIn: 60});
+            await blackListService.revokeTokenFamily('family1', jwt.decode(token).exp);
+            const resp = await post('/introspect', {token}, clientAuthorization);
+            expect(resp.body).toEqual({active: false});
+        });
+
+        it('should not describe a token issued before the revocation of the user tokens', async () => {
+            const token = signJwtToken({id: 123}, options, {expiresIn: 60});
+            await blackListService.revokeUserTokens(123, {before: new Date(Date.now() + 2000)});
+            const resp = await post('/introspect', {token}, clientAuthorization);
+            expect(resp.body).toEqual({active: false});
+        });
+
+        it('should not describe a token whose user session is no longer active', async () => {
+            spyOn(userSessionService, 'isUserSessionActive').and.returnValue(Promise.resolve(false));
+            const token = signJwtToken({id: 123, jti: 1, fam: 'family1'}, options, {expiresIn: 60});
+            await blackListService.trackTokenFamily('family1', 'browser1', jwt.decode(token).exp);
+            const resp = await post('/introspect', {token}, clientAuthorization);
+            expect(resp.body).toEqual({active: false});
+            expect(userSessionService.isUserSessionActive).toHaveBeenCalledWith('browser1');
+        });
+
+        it('should not describe a single-use token', async () => {
+            const token = signSingleUseToken('password_reset', {id: 123}, options, 30);
+            const resp = await post('/introspect', {token}, clientAuthorization);
+            expect(resp.body).toEqual({active: false});
+        });
+
+        it('should require the client authentication', async () => {
+            const token = signJwtToken({id: 123}, options, {expiresIn: 60});
+            const resp = await post('/introspect', {token});
+            expect(resp.statusCode).toBe(401);
+            expect(resp.body.error).toBe('invalid_client');
+        });
+    });
+
+    describe('token revocation', () => {
+        let clientAuthorization;
+
+        beforeEach(() => {
+            clientAuthorization = {authorization: 'Basic ' + Buffer.from('nightlyJob:jobSecret').toString('base64')};
+        });
+
+        it('should revoke a token and disconnect its sockets', async () => {
+            spyOn(blackListService, 'revokeToken').and.callThrough();
+            const token = signJwtToken({id: 123}, options, {expiresIn: 60});
+            const resp = await post('/revoke', {token}, clientAuthorization);
+            expect(resp.statusCode).toBe(200);
+            expect(blackListService.revokeToken).toHaveBeenCalledWith(token, jwt.decode(token).exp, {disconnectSockets: true});
+            expect(await blackListService.isTokenRevoked(token)).toBeTrue();
+        });
+
+        it('should respond the same way to an invalid token', async () => {
+            const resp = await post('/revoke', {token: 'invalid'}, clientAuthorization);
+            expect(resp.statusCode).toBe(200);
+        });
+
+        it('should not revoke the token of another client', async () => {
+            const token = signJwtToken({typ: 'client', client_id: 'otherJob'}, options, {expiresIn: 60});
+            const resp = await post('/revoke', {token}, clientAuthorization);
+            expect(resp.statusCode).toBe(200);
+            expect(await blackListService.isTokenRevoked(token)).toBeFalse();
+        });
+
+        it('should require the client authentication', async () => {
+            const token = signJwtToken({id: 123}, options, {expiresIn: 60});
+            const resp = await post('/revoke', {token});
+            expect(resp.statusCode).toBe(401);
+            expect(await blackListService.isTokenRevoked(token)).toBeFalse();
+        });
+    });
+
+    describe('logout', () => {
+        beforeEach(() => {
+            spyOn(userSessionService, 'logout').and.returnValue(Promise.resolve(null));
+            spyOn(blackListService, 'revokeToken').and.callThrough();
+        });
+
+        it('should log out the session of the token family and revoke the token', async () => {
+            const token = signJwtToken({id: 123, jti: 1, fam: 'family1'}, options, {expiresIn: 60});
+            await blackListService.trackTokenFamily('family1', 'browser1', jwt.decode(token).exp);
+            const resp = await post('/logout', {}, {authorization: 'Bearer ' + token});
+            expect(resp.statusCode).toBe(200);
+            expect(resp.body).toEqual({});
+            expect(userSessionService.logout).toHaveBeenCalledWith('browser1', 'user_logged_out');
+            expect(blackListService.revokeToken).toHaveBeenCalledWith(token, jwt.decode(token).exp, {disconnectSockets: true});
+            expect(await blackListService.isTokenRevoked(token)).toBeTrue();
+        });
+
+        it('should log out the session of the access-origin header when it belongs to the user', async () => {
+            spyOn(userSessionService, 'findUserSession').and.returnValue(Promise.resolve({origin: 'browser2', userId: 123}));
+            const token = signJwtToken({id: 123}, options, {expiresIn: 60});
+            const resp = await post('/logout', {}, {'access-token': token, 'access-origin': 'browser2'});
+            expect(resp.statusCode).toBe(200);
+            expect(userSessionService.logout).toHaveBeenCalledWith('browser2', 'user_logged_out');
+        });
+
+        it('should not log out the session of another user but still revoke the token', async () => {
+            spyOn(userSessionService, 'findUserSession').and.returnValue(Promise.resolve({origin: 'browser2', userId: 456}));
+            const token = signJwtToken({id: 123}, options, {expiresIn: 60});
+            const resp = await post('/logout', {}, {'access-token': token, 'access-origin': 'browser2'});
+            expect(resp.statusCode).toBe(200);
+            expect(userSessionService.logout).not.toHaveBeenCalled();
+            expect(await blackListService.isTokenRevoked(token)).toBeTrue();
+        });
+
+        it('should reject a revoked token', async () => {
+            const token = signJwtToken({id: 123}, options, {expiresIn: 60});
+            await blackListService.revokeToken(token);
+            const resp = await post('/logout', {}, {authorization: 'Bearer ' + token});
+            expect(resp.statusCode).toBe(401);
+            expect(resp.body.code).toBe('revoked_token');
+            expect(userSessionService.logout).not.toHaveBeenCalled();
+        });
+
+        it('should reject a client token', async () => {
+            const token = signJwtToken({typ: 'client', client_id: 'nightlyJob'}, options, {expiresIn: 60});
+            const resp = await post('/logout', {}, {authorization: 'Bearer ' + token});
+            expect(resp.statusCode).toBe(401);
+            expect(resp.body.code).toBe('invalid_token');
+            expect(blackListService.revokeToken).not.toHaveBeenCalled();
+        });
+
+        it('should require a token', async () => {
+            const resp = await post('/logout', {});
+            expect(resp.statusCode).toBe(401);
+            expect(resp.body.code).toBe('invalid_token');
+        });
+    });
+
+    function post(path, body, headers) {
+        return new Promise((resolve, reject) => {
+            request.post({url: 'http://localhost:9000' + path, body, headers, json: true}, (err, resp) => err ? reject(err) : resolve(resp));
+        });
+    }
+});
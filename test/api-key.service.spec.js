@@ -0,0 +1,73 @@
+'use strict';
+const service = require('../lib/api-key.service');
+const cacheService = require('../lib/cache.service');
+const blackListService = require('../lib/token-blacklist.service');
+
+describe('api-key.service', () => {
+    beforeEach(() => {
+        cacheService._disableLocalCacheFilePersistence();
+        spyOn(blackListService, 'notifyRevocation').and.returnValue(Promise.resolve());
+    });
+
+    afterEach(() => {
+        jasmine.clock().uninstall();
+    });
+
+    it('should create an api key which can be verified', async () => {
+        const apiKey = await service.createApiKey({name: 'CI', scope: 'deploy', data: {tenantId: 'corpPlus'}});
+        expect(apiKey.key).toMatch(/^zak_.+\..+$/);
+        expect(service.isApiKey(apiKey.key)).toBeTrue();
+        const verified = await service.verifyApiKey(apiKey.key);
+        expect(verified).toEqual(jasmine.objectContaining({id: apiKey.id, name: 'CI', scope: 'deploy', data: {tenantId: 'corpPlus'}}));
+        expect(verified.hash).toBeUndefined();
+    });
+
+    it('should only store the hash of the key secret', async () => {
+        spyOn(cacheService, 'cacheData').and.callThrough();
+        const apiKey = await service.createApiKey({name: 'CI'});
+        const stored = cacheService.cacheData.calls.mostRecent().args[1];
+        expect(JSON.stringify(stored)).not.toContain(apiKey.key.split('.')[1]);
+    });
+
+    it('should require a name', async () => {
+        try {
+            await service.createApiKey({});
+            throw new Error('should have failed');
+        } catch (err) {
+            expect(err.message).toBe('An api key requires a name.');
+        }
+    });
+
+    it('should reject a key with a wrong secret', async () => {
+        const apiKey = await service.createApiKey({name: 'CI'});
+        expect(await service.verifyApiKey(apiKey.key.replace(/\..*/, '.' + 'a'.repeat(64)))).toBeNull();
+        expect(await service.verifyApiKey('zak_unknown.secret')).toBeNull();
+        expect(await service.verifyApiKey('not a key')).toBeNull();
+    });
+
+    it('should reject an expired key', async () => {
+        jasmine.clock().install();
+        jasmine.clock().mockDate(new Date());
+        const apiKey = await service.createApiKey({name: 'CI', expiresInDays: 1});
+        expect(await service.verifyApiKey(apiKey.key)).not.toBeNull();
+        jasmine.clock().tick(24 * 60 * 60000 + 1000);
+        expect(await service.verifyApiKey(apiKey.key)).toBeNull();
+    });
+
+    it('should list the keys without secret', async () => {
+        cacheService._clearLocalCache();
+        await service.createApiKey({name: 'CI'});
+        await service.createApiKey({name: 'Webhook'});
+        const apiKeys = await service.listApiKeys();
+        expect(apiKeys.map((apiKey) => apiKey.name).sort()).toEqual(['CI', 'Webhook']);
+        expect(apiKeys[0].hash).toBeUndefined();
+        expect(apiKeys[0].key).toBeUndefined();
+    });
+
+    it('should revoke a key and notify the servers', async () => {
+        const apiKey = await service.createApiKey({name: 'CI'});
+        await service.revokeApiKey(apiKey.id);
+        expect(await service.verifyApiKey(apiKey.key)).toBeNull();
+        expect(blackListService.notifyRevocation).toHaveBeenCalledWith({apiKeyId: apiKey.id, disconnectSockets: true});
+    });
+});
@@ -1,4 +1,5 @@
 'use strict';
+const _ = require('lodash');
 const ApiRouter = require('../lib/api-router');
 const serverActivityService = require('../lib/server-activity.service');
 
@@ -93,6 +94,21 @@ describe('ApiRouter', () => {
     });
 
 
+    it('should provide the client id to the api called with a client token', async () => {
+        socket.userId = undefined;
+        socket.origin = undefined;
+        socket.payload = {typ: 'client', client_id: 'nightlyJob', display: 'Nightly job'};
+        const apiImpl = jasmine.createSpy('apiImpl').and.returnValue('done');
+        apiRouter = new ApiRouter(io, 'API', transport, null);
+        apiRouter.on('apiDoSomething', apiImpl, null);
+
+        const response = await socket.emit('apiDoSomething', {});
+        expect(response).toEqual({code: 0, data: 'done'});
+        const handler = apiImpl.calls.mostRecent().object;
+        expect(handler.clientId).toBe('nightlyJob');
+        expect(handler.userId).toBeUndefined();
+    });
+
     it('should not execute unknown api', async () => {
         apiRouter = new ApiRouter(io, 'API', transport, null);
         apiRouter.on('apiDoSomething', apiDoSomethingImpl, null);
@@ -103,4 +119,59 @@ describe('ApiRouter', () => {
             data: 'Unknown API call [unknownApi]'
         });
     });
+
+    it('should not provide the details of an internal error', async () => {
+        apiRouter = new ApiRouter(io, 'API', transport, null);
+        apiRouter.on('apiDoSomething', () => {
+            // a system error of node
+            const err = new Error('connect ECONNREFUSED db.internal:5432');
+            _.assign(err, {code: 'ECONNREFUSED', errno: -111, syscall: 'connect'});
+            throw err;
+        }, null);
+
+        const response = await socket.emit('apiDoSomething', {});
+        expect(response).toEqual({
+            code: 'SERVER_ERROR',
+            data: 'Backend error while API call [apiDoSomething]'
+        });
+    });
+
+    it('should provide the code of an application error', async () => {
+        apiRouter = new ApiRouter(io, 'API', transport, null);
+        apiRouter.on('apiDoSomething', () => {
+            const err = new Error('Order 123 is locked by user 456');
+            err.code = 'ORDER_LOCKED';
+            throw err;
+        }, null);
+
+        const response = await socket.emit('apiDoSomething', {});
+        expect(response).toEqual({
+            code: 'ORDER_LOCKED',
+            data: 'Backend error while API call [apiDoSomething]'
+        });
+    });
+
+    it('should not provide a code which is not an identifier', async () => {
+        apiRouter = new ApiRouter(io, 'API', transport, null);
+        apiRouter.on('apiDoSomething', () => {
+            const err = new Error('failure');
+            err.code = 'duplicate key value violates unique constraint "users_email"';
+            throw err;
+        }, null);
+
+        const response = await socket.emit('apiDoSomething', {});
+        expect(response.code).toBe('SERVER_ERROR');
+    });
+
+    it('should provide the message of a code of the error catalog', async () => {
+        spyOn(serverActivityService, 'isServerPaused').and.returnValue(true);
+        apiRouter = new ApiRouter(io, 'API', transport, null);
+        apiRouter.on('apiDoSomething', apiDoSomethingImpl, null);
+
+        const response = await socket.emit('apiDoSomething', {});
+        expect(response).toEqual({
+            code: 'SERVER_UNAVAILABLE',
+            data: 'Server is unavailable'
+        });
+    });
 });
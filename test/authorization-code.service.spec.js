@@ -0,0 +1,64 @@
+'use strict';
+const _ = require('lodash');
+const service = require('../lib/authorization-code.service');
+const cacheService = require('../lib/cache.service');
+
+describe('authorization-code.service', () => {
+    beforeEach(() => {
+        cacheService._disableLocalCacheFilePersistence();
+    });
+
+    afterEach(() => {
+        jasmine.clock().uninstall();
+    });
+
+    describe('verifyCodeChallenge function', () => {
+        // example from RFC 7636 appendix B
+        const codeVerifier = 'dBjftJeZ4CVP-mB92K27uhbUJU1p1r_wW1gFWFOEjXk';
+        const codeChallenge = 'E9Melhoa2OwvFrEMTJguCHaoeK1t8URWbuGJSstw-cM';
+
+        it('should accept the code verifier matching the code challenge', () => {
+            expect(service.verifyCodeChallenge(codeVerifier, codeChallenge)).toBeTrue();
+        });
+
+        it('should reject another code verifier', () => {
+            expect(service.verifyCodeChallenge('x' + codeVerifier.substr(1), codeChallenge)).toBeFalse();
+        });
+
+        it('should reject a code verifier which is too short', () => {
+            expect(service.verifyCodeChallenge('abc', codeChallenge)).toBeFalse();
+            expect(service.verifyCodeChallenge(undefined, codeChallenge)).toBeFalse();
+        });
+    });
+
+    describe('consumeAuthorizationCode function', () => {
+        it('should provide the authorization of a code only once', async () => {
+            const code = await service.createAuthorizationCode({clientId: 'spa', payload: {id: 'user1'}}, 60);
+            expect(await service.consumeAuthorizationCode(code)).toEqual(jasmine.objectContaining({clientId: 'spa', payload: {id: 'user1'}}));
+            expect(await service.consumeAuthorizationCode(code)).toBeNull();
+        });
+
+        it('should provide the authorization to only one of concurrent exchanges of the same code', async () => {
+            const code = await service.createAuthorizationCode({clientId: 'spa', payload: {id: 'user1'}}, 60);
+            const authorizations = await Promise.all([
+                service.consumeAuthorizationCode(code),
+                service.consumeAuthorizationCode(code)
+            ]);
+            expect(_.compact(authorizations).length).toBe(1);
+        });
+
+        it('should not store the code itself', async () => {
+            spyOn(cacheService, 'cacheData').and.callThrough();
+            const code = await service.createAuthorizationCode({clientId: 'spa'}, 60);
+            expect(cacheService.cacheData.calls.mostRecent().args[0]).not.toBe(code);
+        });
+
+        it('should not provide the authorization of an expired code', async () => {
+            jasmine.clock().install();
+            jasmine.clock().mockDate(new Date());
+            const code = await service.createAuthorizationCode({clientId: 'spa'}, 10);
+            jasmine.clock().tick(11000);
+            expect(await service.consumeAuthorizationCode(code)).toBeNull();
+        });
+    });
+});
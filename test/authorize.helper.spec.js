@@ -0,0 +1,319 @@
+'use strict';
+const jwt = require('jsonwebtoken');
+const {getRequestToken, verifyJwtToken, verifyAccessToken, signJwtToken, signSingleUseToken, verifySingleUseToken, refreshJwtToken, ACCESS_TOKEN_AUDIENCE} = require('../lib/authorize/authorize.helper');
+const blackListService = require('../lib/token-blacklist.service');
+const userSessionService = require('../lib/user-session.service');
+const securityEventService = require('../lib/security-event.service');
+const apiKeyService = require('../lib/api-key.service');
+
+describe('authorize.helper', () => {
+    describe('verifyJwtToken function', () => {
+        let options, payload, token;
+
+        beforeEach(() => {
+            options = {secret: 'aSecret'};
+            payload = {id: 'user01', jti: 2, fam: 'family1'};
+            token = jwt.sign(payload, options.secret, {expiresIn: 3600});
+            spyOn(blackListService, 'isTokenRevoked').and.returnValue(Promise.resolve(false));
+            spyOn(blackListService, 'isTokenFamilyRevoked').and.returnValue(Promise.resolve(false));
+            spyOn(blackListService, 'revokeTokenFamily').and.returnValue(Promise.resolve());
+            spyOn(blackListService, 'getTokenFamilyOrigin').and.returnValue(Promise.resolve('browserId01'));
+            spyOn(blackListService, 'getUserTokensNotBefore').and.returnValue(Promise.resolve(null));
+            spyOn(userSessionService, 'logout').and.returnValue(Promise.resolve());
+            spyOn(securityEventService, 'notifySecurityEvent');
+        });
+
+        it('should return the decoded token', async () => {
+            expect(await verifyJwtToken(token, options)).toEqual(jasmine.objectContaining(payload));
+        });
+
+        it('should reject an invalid token', async () => {
+            try {
+                await verifyJwtToken('badToken', options);
+                throw new Error('should have failed');
+            } catch (err) {
+                expect(err.data.code).toBe('invalid_token');
+            }
+        });
+
+        it('should reject a token issued before the revocation of the user tokens', async () => {
+            const iat = jwt.decode(token).iat;
+            blackListService.getUserTokensNotBefore.and.returnValue(Promise.resolve(iat + 1));
+            try {
+                await verifyJwtToken(token, options);
+                throw new Error('should have failed');
+            } catch (err) {
+                expect(err.data.code).toBe('revoked_user_tokens');
+            }
+            expect(blackListService.getUserTokensNotBefore).toHaveBeenCalledWith('user01');
+        });
+
+        it('should accept a token issued after the revocation of the user tokens', async () => {
+            const iat = jwt.decode(token).iat;
+            blackListService.getUserTokensNotBefore.and.returnValue(Promise.resolve(iat));
+            expect(await verifyJwtToken(token, options)).toEqual(jasmine.objectContaining(payload));
+        });
+
+        it('should reject a revoked token without revoking its family by default', async () => {
+            blackListService.isTokenRevoked.and.returnValue(Promise.resolve(true));
+            try {
+                await verifyJwtToken(token, options);
+                throw new Error('should have failed');
+            } catch (err) {
+                expect(err.data.code).toBe('revoked_token');
+            }
+            expect(blackListService.revokeTokenFamily).not.toHaveBeenCalled();
+        });
+
+        describe('with token reuse detection', () => {
+            beforeEach(() => {
+                options.tokenReuseDetection = true;
+            });
+
+            it('should revoke the family of a reused token, log out its session and notify a security event', async () => {
+                blackListService.isTokenRevoked.and.returnValue(Promise.resolve(true));
+                try {
+                    await verifyJwtToken(token, options);
+                    throw new Error('should have failed');
+                } catch (err) {
+                    expect(err.data.code).toBe('revoked_token');
+                }
+                expect(blackListService.revokeTokenFamily).toHaveBeenCalledWith('family1', jwt.decode(token).exp);
+                expect(userSessionService.logout).toHaveBeenCalledWith('browserId01', 'token_reuse_detected');
+                expect(securityEventService.notifySecurityEvent).toHaveBeenCalledWith('TOKEN_REUSE_DETECTED', {
+                    userId: 'user01',
+                    tokenFamilyId: 'family1',
+                    origin: 'browserId01'
+                });
+            });
+
+            it('should reject a token whose family was revoked', async () => {
+                blackListService.isTokenFamilyRevoked.and.returnValue(Promise.resolve(true));
+                try {
+                    await verifyJwtToken(token, options);
+                    throw new Error('should have failed');
+                } catch (err) {
+                    expect(err.data.code).toBe('revoked_token_family');
+                }
+                expect(blackListService.isTokenFamilyRevoked).toHaveBeenCalledWith('family1');
+            });
+        });
+    });
+
+    describe('verifyAccessToken function', () => {
+        let options, apiKey;
+
+        beforeEach(() => {
+            apiKey = {id: 'apiKey1', name: 'CI', scope: 'deploy', data: {userId: 'user01'}};
+            options = {
+                secret: 'aSecret',
+                resolveApiKey: jasmine.createSpy('resolveApiKey').and.callFake((key) => Promise.resolve({id: key.data.userId, display: key.name}))
+            };
+            spyOn(apiKeyService, 'verifyApiKey').and.callFake((key) => Promise.resolve(key === 'zak_apiKey1.secret' ? apiKey : null));
+            spyOn(blackListService, 'isTokenRevoked').and.returnValue(Promise.resolve(false));
+            spyOn(blackListService, 'getUserTokensNotBefore').and.returnValue(Promise.resolve(null));
+        });
+
+        it('should verify a jwt token', async () => {
+            const token = jwt.sign({id: 'user01'}, 'aSecret');
+            expect((await verifyAccessToken(token, options)).id).toBe('user01');
+            expect(apiKeyService.verifyApiKey).not.toHaveBeenCalled();
+        });
+
+        it('should resolve the payload of an api key', async () => {
+            expect(await verifyAccessToken('zak_apiKey1.secret', options)).toEqual({
+                id: 'user01',
+                display: 'CI',
+                typ: 'api_key',
+                api_key_id: 'apiKey1',
+                scope: 'deploy'
+            });
+            expect(options.resolveApiKey).toHaveBeenCalledWith(apiKey);
+        });
+
+        it('should reject an invalid api key', async () => {
+            try {
+                await verifyAccessToken('zak_apiKey1.wrong', options);
+                throw new Error('should have failed');
+            } catch (err) {
+                expect(err.data.code).toBe('invalid_api_key');
+            }
+        });
+
+        it('should reject api keys when they cannot be resolved', async () => {
+            delete options.resolveApiKey;
+            try {
+                await verifyAccessToken('zak_apiKey1.secret', options);
+                throw new Error('should have failed');
+            } catch (err) {
+                expect(err.data.code).toBe('invalid_api_key');
+            }
+        });
+
+        it('should reject a single-use token', async () => {
+            const token = signSingleUseToken('password_reset', {id: 'user01'}, options, 30);
+            try {
+                await verifyAccessToken(token, options);
+                throw new Error('should have failed');
+            } catch (err) {
+                expect(err.data.code).toBe('invalid_token');
+            }
+        });
+
+        it('should reject a token of another audience', async () => {
+            const token = jwt.sign({id: 'user01', aud: 'zerv:once:password_reset'}, 'aSecret');
+            try {
+                await verifyAccessToken(token, options);
+                throw new Error('should have failed');
+            } catch (err) {
+                expect(err.data.code).toBe('invalid_token');
+            }
+        });
+
+        it('should accept a token without audience', async () => {
+            const token = jwt.sign({id: 'user01'}, 'aSecret');
+            expect((await verifyAccessToken(token, options)).aud).toBeUndefined();
+        });
+    });
+
+    describe('single-use token', () => {
+        const options = {secret: 'aSecret'};
+
+        beforeEach(() => {
+            spyOn(blackListService, 'isTokenRevoked').and.returnValue(Promise.resolve(false));
+            spyOn(blackListService, 'getUserTokensNotBefore').and.returnValue(Promise.resolve(null));
+        });
+
+        it('should be verified with its type', async () => {
+            const token = signSingleUseToken('password_reset', {id: 'user01'}, options, 30);
+            const payload = await verifySingleUseToken('password_reset', token, options);
+            expect(payload).toEqual(jasmine.objectContaining({id: 'user01', typ: 'password_reset', once: true, aud: 'zerv:once:password_reset'}));
+            expect(payload.exp - payload.iat).toBe(30 * 60);
+        });
+
+        it('should reject a token of the audience of another type', async () => {
+            const token = jwt.sign({id: 'user01', typ: 'password_reset', once: true, aud: 'zerv:once:email_verification'}, 'aSecret');
+            try {
+                await verifySingleUseToken('password_reset', token, options);
+                throw new Error('should have failed');
+            } catch (err) {
+                expect(err.data.code).toBe('invalid_token');
+            }
+        });
+
+        it('should reject a token of another type', async () => {
+            const token = signSingleUseToken('email_verification', {id: 'user01'}, options, 30);
+            try {
+                await verifySingleUseToken('password_reset', token, options);
+                throw new Error('should have failed');
+            } catch (err) {
+                expect(err.data.code).toBe('invalid_token');
+            }
+        });
+
+        it('should reject an access token', async () => {
+            const token = signJwtToken({id: 'user01', typ: 'password_reset'}, options);
+            try {
+                await verifySingleUseToken('password_reset', token, options);
+                throw new Error('should have failed');
+            } catch (err) {
+                expect(err.data.code).toBe('invalid_token');
+            }
+        });
+    });
+
+    describe('token audience', () => {
+        const options = {secret: 'aSecret', tokenRefreshIntervalInMins: 60};
+
+        it('should be the access audience by default', () => {
+            expect(jwt.decode(signJwtToken({id: 'user01'}, options)).aud).toBe(ACCESS_TOKEN_AUDIENCE);
+        });
+
+        it('should be kept when the token is refreshed', () => {
+            const oldPayload = jwt.decode(signJwtToken({id: 'user01', jti: 0}, options));
+            const [newToken] = refreshJwtToken(oldPayload, options);
+            expect(jwt.decode(newToken).aud).toBe(ACCESS_TOKEN_AUDIENCE);
+        });
+    });
+
+    describe('token id', () => {
+        const options = {secret: 'aSecret', tokenRefreshIntervalInMins: 60};
+
+        it('should be added to a signed token without modifying the payload', () => {
+            const payload = {id: 'user01'};
+            const tid = jwt.decode(signJwtToken(payload, options)).tid;
+            expect(tid).toEqual(jasmine.any(String));
+            expect(payload.tid).toBeUndefined();
+            expect(jwt.decode(signJwtToken(payload, options)).tid).not.toEqual(tid);
+        });
+
+        it('should be renewed when the token is refreshed', () => {
+            const oldPayload = jwt.decode(signJwtToken({id: 'user01', jti: 0}, options));
+            const [newToken, newPayload] = refreshJwtToken(oldPayload, options);
+            expect(newPayload.tid).not.toEqual(oldPayload.tid);
+            expect(jwt.decode(newToken).tid).toEqual(newPayload.tid);
+        });
+    });
+
+    describe('getRequestToken function', () => {
+        let options, req;
+
+        beforeEach(() => {
+            options = {};
+            req = {
+                url: '/download?file=a.pdf&accessToken=queryToken',
+                headers: {
+                    'access-token': 'headerToken',
+                    'authorization': 'Bearer bearerToken',
+                    'cookie': 'theme=dark; zerv_token=cookieToken'
+                }
+            };
+        });
+
+        it('should use the access-token header first', () => {
+            expect(getRequestToken(options, req)).toEqual({token: 'headerToken', source: 'header'});
+        });
+
+        it('should use the bearer authorization', () => {
+            delete req.headers['access-token'];
+            expect(getRequestToken(options, req)).toEqual({token: 'bearerToken', source: 'bearer'});
+        });
+
+        it('should ignore other authorization schemes', () => {
+            delete req.headers['access-token'];
+            req.headers.authorization = 'Basic dXNlcjpwYXNz';
+            expect(getRequestToken(options, req)).toEqual({});
+        });
+
+        it('should only use the cookie when its name is provided', () => {
+            req.headers = {cookie: req.headers.cookie};
+            expect(getRequestToken(options, req)).toEqual({});
+            options.tokenCookieName = 'zerv_token';
+            expect(getRequestToken(options, req)).toEqual({token: 'cookieToken', source: 'cookie'});
+        });
+
+        it('should use the cookies parsed by a cookie middleware', () => {
+            req.headers = {};
+            req.cookies = {zerv_token: 'parsedCookieToken'};
+            options.tokenCookieName = 'zerv_token';
+            expect(getRequestToken(options, req)).toEqual({token: 'parsedCookieToken', source: 'cookie'});
+        });
+
+        it('should only use the query parameter when its name is provided', () => {
+            req.headers = {};
+            expect(getRequestToken(options, req)).toEqual({});
+            options.tokenQueryParam = 'accessToken';
+            expect(getRequestToken(options, req)).toEqual({token: 'queryToken', source: 'query'});
+            req.query = {accessToken: 'expressQueryToken'};
+            expect(getRequestToken(options, req)).toEqual({token: 'expressQueryToken', source: 'query'});
+        });
+
+        it('should follow the configured precedence and ignore other sources', () => {
+            options.tokenCookieName = 'zerv_token';
+            options.tokenSources = ['cookie', 'bearer'];
+            expect(getRequestToken(options, req)).toEqual({token: 'cookieToken', source: 'cookie'});
+            options.tokenSources = ['query'];
+            expect(getRequestToken(options, req)).toEqual({});
+        });
+    });
+});
@@ -0,0 +1,38 @@
+'use strict';
+const BloomFilter = require('../lib/bloom-filter');
+
+describe('BloomFilter', () => {
+    let bloomFilter;
+
+    beforeEach(() => {
+        bloomFilter = new BloomFilter({expectedItems: 1000, falsePositiveRate: 0.01});
+    });
+
+    it('should be sized based on the expected items and false positive rate', () => {
+        expect(bloomFilter.size).toBe(9586);
+        expect(bloomFilter.hashCount).toBe(7);
+    });
+
+    it('should contain the added values', () => {
+        for (let i = 0; i < 1000; i++) {
+            bloomFilter.add('value' + i);
+        }
+        for (let i = 0; i < 1000; i++) {
+            expect(bloomFilter.mightContain('value' + i)).toBeTrue();
+        }
+        expect(bloomFilter.count).toBe(1000);
+    });
+
+    it('should rarely return a false positive', () => {
+        for (let i = 0; i < 1000; i++) {
+            bloomFilter.add('value' + i);
+        }
+        let falsePositives = 0;
+        for (let i = 0; i < 1000; i++) {
+            if (bloomFilter.mightContain('otherValue' + i)) {
+                falsePositives++;
+            }
+        }
+        expect(falsePositives).toBeLessThan(30);
+    });
+});
@@ -24,6 +24,10 @@ describe('cache.service', () => {
             del: jasmine.createSpy('_getCacheImpl.del').and.returnValues(Promise.resolve()),
             get: jasmine.createSpy('_getCacheImpl.get').and.returnValues(Promise.resolve()),
             mget: jasmine.createSpy('_getCacheImpl.mget').and.returnValues(Promise.resolve()),
+            sadd: jasmine.createSpy('_getCacheImpl.sadd').and.returnValue(Promise.resolve(1)),
+            srem: jasmine.createSpy('_getCacheImpl.srem').and.returnValue(Promise.resolve(1)),
+            smembers: jasmine.createSpy('_getCacheImpl.smembers').and.returnValue(Promise.resolve([])),
+            expire: jasmine.createSpy('_getCacheImpl.expire').and.returnValue(Promise.resolve(1)),
             scanStream: jasmine.createSpy('_getCacheImpl.scanStream').and.callThrough()
         });
     });
@@ -153,11 +157,64 @@ describe('cache.service', () => {
             });
         });
 
+        it('set should only store data with expiration if the key does not exist with the EX and NX options', async () => {
+            expect(localCache.set('myKey', 'theValue', 'EX', 60, 'NX')).toBe('OK');
+            expect(localCache.set('myKey', 'otherValue', 'EX', 60, 'NX')).toBeNull();
+            const exp = moment(now);
+            exp.add(60, 'seconds');
+            expect(localCache.data).toEqual({
+                myKey: {
+                    val: 'theValue',
+                    exp: exp.toDate()
+                }
+            });
+        });
+
+        it('set should store data with the NX option once the key has expired', async () => {
+            localCache.set('myKey', 'theValue', 'EX', 60, 'NX');
+            jasmine.clock().tick(61 * 1000);
+            expect(localCache.set('myKey', 'otherValue', 'NX')).toBe('OK');
+            expect(await localCache.get('myKey')).toBe('otherValue');
+        });
+
         it('del should remove a key and its data immediately', async () => {
             localCache.set('myKey', 'theValue');
-            localCache.del('myKey');
+            expect(localCache.del('myKey')).toBe(1);
             expect(localCache.persistCache).toHaveBeenCalledTimes(2);
             expect(localCache.data).toEqual({});
+            expect(localCache.del('myKey')).toBe(0);
+        });
+
+        it('sadd should add a member to a set only once', async () => {
+            expect(localCache.sadd('mySet', 'member1')).toBe(1);
+            expect(localCache.sadd('mySet', 'member2')).toBe(1);
+            expect(localCache.sadd('mySet', 'member1')).toBe(0);
+            expect(await localCache.smembers('mySet')).toEqual(['member1', 'member2']);
+        });
+
+        it('srem should remove a member and the set once empty', async () => {
+            localCache.sadd('mySet', 'member1');
+            localCache.sadd('mySet', 'member2');
+            expect(localCache.srem('mySet', 'member1')).toBe(1);
+            expect(localCache.srem('mySet', 'member1')).toBe(0);
+            expect(await localCache.smembers('mySet')).toEqual(['member2']);
+            localCache.srem('mySet', 'member2');
+            expect(localCache.data).toEqual({});
+            expect(await localCache.smembers('mySet')).toEqual([]);
+        });
+
+        it('expire should set the expiration of an existing key', async () => {
+            localCache.sadd('mySet', 'member1');
+            expect(localCache.expire('mySet', 60)).toBe(1);
+            expect(localCache.expire('unknownSet', 60)).toBe(0);
+            const exp = moment(now);
+            exp.add(60, 'seconds');
+            expect(localCache.data).toEqual({
+                mySet: {
+                    val: ['member1'],
+                    exp: exp.toDate()
+                }
+            });
         });
 
         it('clearAll should remove all data', async () => {
@@ -211,6 +268,25 @@ describe('cache.service', () => {
         });
     });
 
+    describe('cacheDataIfAbsent function', () => {
+        it('should cache data with a prefix only if absent', async () => {
+            service._getCacheImpl().set.and.returnValue(Promise.resolve('OK'));
+            expect(await service.cacheDataIfAbsent(dataKey, dataValue, {prefix: tenantIdUsedAsPrefix})).toBeTrue();
+            expect(service._getCacheImpl().set).toHaveBeenCalledWith('superTenantIdflorida_member', JSON.stringify(dataValue), 'NX');
+        });
+
+        it('should cache data with expirationInMins only if absent', async () => {
+            service._getCacheImpl().set.and.returnValue(Promise.resolve('OK'));
+            expect(await service.cacheDataIfAbsent(dataKey, dataValue, {expirationInMins: 10})).toBeTrue();
+            expect(service._getCacheImpl().set).toHaveBeenCalledWith(dataKey, JSON.stringify(dataValue), 'EX', 10 * 60, 'NX');
+        });
+
+        it('should tell that the data was already in the cache', async () => {
+            service._getCacheImpl().set.and.returnValue(Promise.resolve(null));
+            expect(await service.cacheDataIfAbsent(dataKey, dataValue)).toBeFalse();
+        });
+    });
+
     describe('removeCachedData function', () => {
         it('should remove cached data', async () => {
             await service.removeCachedData(dataKey);
@@ -221,6 +297,38 @@ describe('cache.service', () => {
             await service.removeCachedData(dataKey, {prefix: tenantIdUsedAsPrefix});
             expect(service._getCacheImpl().del).toHaveBeenCalledWith('superTenantIdflorida_member');
         });
+
+        it('should tell whether the data was in the cache', async () => {
+            service._getCacheImpl().del.and.returnValues(Promise.resolve(1), Promise.resolve(0));
+            expect(await service.removeCachedData(dataKey)).toBeTrue();
+            expect(await service.removeCachedData(dataKey)).toBeFalse();
+        });
+    });
+
+    describe('cached set functions', () => {
+        it('should add a member to a set', async () => {
+            await service.addCachedSetMember(dataKey, 'member1', {prefix: tenantIdUsedAsPrefix});
+            expect(service._getCacheImpl().sadd).toHaveBeenCalledWith('superTenantIdflorida_member', 'member1');
+            expect(service._getCacheImpl().expire).not.toHaveBeenCalled();
+        });
+
+        it('should add a member to a set with expirationInMins', async () => {
+            await service.addCachedSetMember(dataKey, 'member1', {expirationInMins: 10});
+            expect(service._getCacheImpl().sadd).toHaveBeenCalledWith(dataKey, 'member1');
+            expect(service._getCacheImpl().expire).toHaveBeenCalledWith(dataKey, 10 * 60);
+        });
+
+        it('should remove a member from a set', async () => {
+            await service.removeCachedSetMember(dataKey, 'member1', {prefix: tenantIdUsedAsPrefix});
+            expect(service._getCacheImpl().srem).toHaveBeenCalledWith('superTenantIdflorida_member', 'member1');
+        });
+
+        it('should get the members of a set', async () => {
+            service._getCacheImpl().smembers.and.returnValue(Promise.resolve(['member1', 'member2']));
+            const result = await service.getCachedSetMembers(dataKey, {prefix: tenantIdUsedAsPrefix});
+            expect(service._getCacheImpl().smembers).toHaveBeenCalledWith('superTenantIdflorida_member');
+            expect(result).toEqual(['member1', 'member2']);
+        });
     });
 
     describe('basic getCachedData function', () => {
@@ -360,4 +468,90 @@ describe('cache.service', () => {
             expect(service._getCacheImpl().scanStream).toHaveBeenCalledWith({match: 'florida*', count: 100});
         });
     });
+
+    describe('publishMessage and subscribeToChannel functions', () => {
+        let callback, onSubscribed, unsubscribe;
+
+        beforeEach(() => {
+            callback = jasmine.createSpy('callback');
+            onSubscribed = jasmine.createSpy('onSubscribed');
+        });
+
+        afterEach(() => {
+            service._clearChannelSubscriptions();
+        });
+
+        describe('without redis', () => {
+            beforeEach(() => {
+                process.env.REDIS_ENABLED = false;
+            });
+
+            it('should dispatch a published message to the channel subscribers', async () => {
+                unsubscribe = service.subscribeToChannel('aChannel', callback, onSubscribed);
+                service.subscribeToChannel('anotherChannel', callback);
+                await waitForDispatch();
+                expect(onSubscribed).toHaveBeenCalledTimes(1);
+
+                await service.publishMessage('aChannel', dataObject);
+                await waitForDispatch();
+                expect(callback).toHaveBeenCalledOnceWith(dataObject);
+            });
+
+            it('should no longer dispatch messages after unsubscribing', async () => {
+                unsubscribe = service.subscribeToChannel('aChannel', callback, onSubscribed);
+                unsubscribe();
+                await service.publishMessage('aChannel', dataObject);
+                await waitForDispatch();
+                expect(callback).not.toHaveBeenCalled();
+            });
+        });
+
+        describe('with redis', () => {
+            let redisSubscriber, redisClient;
+
+            beforeEach(() => {
+                const EventEmitter = require('events');
+                redisSubscriber = new EventEmitter();
+                redisSubscriber.subscribe = jasmine.createSpy('subscribe').and.returnValue(Promise.resolve());
+                redisSubscriber.unsubscribe = jasmine.createSpy('unsubscribe').and.returnValue(Promise.resolve());
+                redisClient = {publish: jasmine.createSpy('publish').and.returnValue(Promise.resolve())};
+                service.getRedisClient.and.returnValue(redisClient);
+                service._createIoRedis.and.returnValue(redisSubscriber);
+            });
+
+            it('should publish a message via redis', async () => {
+                await service.publishMessage('aChannel', dataObject);
+                expect(redisClient.publish).toHaveBeenCalledWith('aChannel', JSON.stringify(dataObject));
+            });
+
+            it('should subscribe once to a channel with a dedicated connection', async () => {
+                unsubscribe = service.subscribeToChannel('aChannel', callback, onSubscribed);
+                const unsubscribe2 = service.subscribeToChannel('aChannel', callback);
+                await waitForDispatch();
+                expect(redisSubscriber.subscribe).toHaveBeenCalledOnceWith('aChannel');
+                expect(onSubscribed).toHaveBeenCalledTimes(1);
+
+                redisSubscriber.emit('message', 'aChannel', JSON.stringify(dataObject));
+                expect(callback).toHaveBeenCalledTimes(2);
+
+                unsubscribe();
+                expect(redisSubscriber.unsubscribe).not.toHaveBeenCalled();
+                unsubscribe2();
+                expect(redisSubscriber.unsubscribe).toHaveBeenCalledWith('aChannel');
+            });
+
+            it('should notify the subscribers on reconnection', async () => {
+                unsubscribe = service.subscribeToChannel('aChannel', callback, onSubscribed);
+                redisSubscriber.emit('ready');
+                await waitForDispatch();
+                expect(onSubscribed).toHaveBeenCalledTimes(1);
+                redisSubscriber.emit('ready');
+                expect(onSubscribed).toHaveBeenCalledTimes(2);
+            });
+        });
+
+        function waitForDispatch() {
+            return new Promise((resolve) => setImmediate(resolve));
+        }
+    });
 });
@@ -0,0 +1,66 @@
+'use strict';
+const errorCatalog = require('../lib/error-catalog');
+const UnauthorizedError = require('../lib/authorize/UnauthorizedError');
+
+describe('error-catalog', () => {
+    describe('toClientError', () => {
+        it('should provide the status and message of a code of the catalog', () => {
+            expect(errorCatalog.toClientError('TOO_MANY_ATTEMPTS', 'LOGIN_FAILED')).toEqual({code: 'TOO_MANY_ATTEMPTS', status: 429, message: 'Too many attempts, retry later'});
+        });
+
+        it('should keep a code rejected by the application with the status and message of the fallback', () => {
+            expect(errorCatalog.toClientError('USER_INVALID', 'INVALID_CREDENTIALS')).toEqual({code: 'USER_INVALID', status: 401, message: 'Invalid credentials'});
+            expect(errorCatalog.toClientError({code: 'USER_LOCKED', description: 'locked'}, 'INVALID_CREDENTIALS')).toEqual({code: 'USER_LOCKED', status: 401, message: 'Invalid credentials'});
+        });
+
+        it('should replace an error with the fallback', () => {
+            const err = new Error('connect ECONNREFUSED 10.0.0.5:5432');
+            err.code = 'ECONNREFUSED';
+            expect(errorCatalog.toClientError(err, 'INVALID_CREDENTIALS')).toEqual({code: 'INVALID_CREDENTIALS', status: 401, message: 'Invalid credentials'});
+        });
+
+        it('should replace a message with the fallback', () => {
+            expect(errorCatalog.toClientError('Cannot read property id of undefined', 'REGISTRATION_FAILED').code).toBe('REGISTRATION_FAILED');
+        });
+
+        it('should keep an internal code of the catalog thrown as error message', () => {
+            expect(errorCatalog.toClientError(new Error('unknown_tenant'), 'unknown').code).toBe('unknown_tenant');
+        });
+
+        it('should keep the code of an unauthorized error', () => {
+            expect(errorCatalog.toClientError(new UnauthorizedError('revoked_token'), 'unknown')).toEqual({code: 'revoked_token', status: 401, message: 'Token was revoked'});
+        });
+
+        it('should fall back on a server error', () => {
+            expect(errorCatalog.toClientError(null, 'NOT_IN_CATALOG')).toEqual({code: 'SERVER_ERROR', status: 500, message: 'Backend error'});
+        });
+    });
+
+    describe('isValidCode', () => {
+        it('should accept a short identifier', () => {
+            expect(errorCatalog.isValidCode('ORDER_LOCKED')).toBeTrue();
+        });
+
+        it('should reject a message', () => {
+            expect(errorCatalog.isValidCode('Order 123 is locked')).toBeFalse();
+            expect(errorCatalog.isValidCode(undefined)).toBeFalse();
+        });
+    });
+
+    describe('UnauthorizedError', () => {
+        it('should use the message of the catalog by default', () => {
+            expect(new UnauthorizedError('invalid_token').message).toBe('Token is invalid');
+        });
+
+        it('should be created from any error without its internal details', () => {
+            const error = UnauthorizedError.from(new Error('ECONNRESET redis.internal'), 'Connection refresh error');
+            expect(error.toJSON()).toEqual({message: 'Connection refresh error', data: {message: 'Connection refresh error', code: 'unknown', type: 'UnauthorizedError'}});
+        });
+
+        it('should keep the code of the catalog', () => {
+            const error = UnauthorizedError.from(new Error('inactive_session_timeout_or_session_not_found'), 'Connection initialization error');
+            expect(error.data.code).toBe('inactive_session_timeout_or_session_not_found');
+            expect(error.message).toBe('Connection initialization error');
+        });
+    });
+});
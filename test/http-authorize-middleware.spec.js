@@ -0,0 +1,102 @@
+'use strict';
+const jwt = require('jsonwebtoken');
+const httpAuthorizeMiddleware = require('../lib/authorize/http-authorize-middleware');
+const cacheService = require('../lib/cache.service');
+const userSessionService = require('../lib/user-session.service');
+
+describe('httpAuthorizeMiddleware', () => {
+    let options, middleware, req, res, next, authCode;
+
+    beforeEach(() => {
+        cacheService._disableLocalCacheFilePersistence();
+        options = {
+            secret: 'aaafoo super sercret',
+            getTenantId: jasmine.createSpy('getTenantId').and.returnValue(Promise.resolve('corpPlus'))
+        };
+        middleware = httpAuthorizeMiddleware(options);
+        authCode = jwt.sign({id: 'user01', display: 'Luke'}, options.secret, {expiresIn: 20});
+        req = {
+            url: '/someUrl',
+            headers: {
+                'access-token': authCode
+            }
+        };
+        res = {
+            setHeader: jasmine.createSpy('setHeader'),
+            end: jasmine.createSpy('end')
+        };
+        next = jasmine.createSpy('next');
+    });
+
+    it('should provide the zerv data to the request and the new token to the response', async () => {
+        await middleware(req, res, next);
+        expect(next).toHaveBeenCalled();
+        expect(options.getTenantId).toHaveBeenCalledWith(jasmine.objectContaining({id: 'user01'}));
+        expect(req.zerv).toEqual({
+            payload: jasmine.objectContaining({id: 'user01', jti: 1}),
+            tenantId: 'corpPlus',
+            // the session created when the auth code was exchanged
+            userSession: jasmine.objectContaining({userId: 'user01', tenantId: 'corpPlus'})
+        });
+        expect(res.setHeader).toHaveBeenCalledWith('access-token', jasmine.any(String));
+        expect(res.end).not.toHaveBeenCalled();
+    });
+
+    it('should provide the user session at the request origin', async () => {
+        const userSession = {origin: 'browserId01'};
+        spyOn(userSessionService, 'findUserSession').and.returnValue(Promise.resolve(userSession));
+        req.headers['access-origin'] = 'browserId01';
+        await middleware(req, res, next);
+        expect(userSessionService.findUserSession).toHaveBeenCalledWith('browserId01');
+        expect(req.zerv.userSession).toBe(userSession);
+    });
+
+    it('should not set the access-token response header for a client token', async () => {
+        req.headers['access-token'] = jwt.sign({typ: 'client', client_id: 'nightlyJob'}, options.secret, {expiresIn: 3600});
+        await middleware(req, res, next);
+        expect(next).toHaveBeenCalled();
+        expect(req.zerv.payload.client_id).toBe('nightlyJob');
+        expect(res.setHeader).not.toHaveBeenCalledWith('access-token', jasmine.anything());
+    });
+
+    it('should respond with a 401 and the unauthorized error', async () => {
+        req.headers['access-token'] = 'badToken';
+        await middleware(req, res, next);
+        expect(next).not.toHaveBeenCalled();
+        expect(res.statusCode).toBe(401);
+        expect(res.setHeader).toHaveBeenCalledWith('Content-Type', 'application/json');
+        expect(JSON.parse(res.end.calls.mostRecent().args[0])).toEqual({
+            message: 'Token is invalid',
+            data: {
+                message: 'Token is invalid',
+                code: 'invalid_token',
+                type: 'UnauthorizedError'
+            }
+        });
+    });
+
+    it('should respond with a 401 when the tenant is unknown', async () => {
+        options.getTenantId.and.returnValue(Promise.resolve(null));
+        await middleware(req, res, next);
+        expect(next).not.toHaveBeenCalled();
+        expect(res.statusCode).toBe(401);
+        expect(JSON.parse(res.end.calls.mostRecent().args[0]).data.code).toBe('unknown_tenant');
+    });
+
+    it('should respond with the status of the error code', async () => {
+        options.secret = null;
+        await middleware(req, res, next);
+        expect(next).not.toHaveBeenCalled();
+        expect(res.statusCode).toBe(500);
+        expect(JSON.parse(res.end.calls.mostRecent().args[0]).data.code).toBe('invalid_secret');
+    });
+
+    it('should pass the error to the next handler when the user session cannot be found', async () => {
+        const error = new Error('redis is down');
+        spyOn(userSessionService, 'findUserSession').and.returnValue(Promise.reject(error));
+        await middleware(req, res, next);
+        expect(next).toHaveBeenCalledWith(error);
+        expect(req.zerv).toBeUndefined();
+        expect(res.setHeader).not.toHaveBeenCalledWith('access-token', jasmine.any(String));
+    });
+});
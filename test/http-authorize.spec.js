@@ -121,9 +121,11 @@ describe('Http Authorize', () => {
     });
 
     describe('middleware', () => {
-        let accessToken;
+        let accessToken, refreshOptions;
 
         beforeEach((done) => {
+            // the refreshed tokens are refreshed again after 10 mins
+            refreshOptions = Object.assign({}, options, {tokenRefreshIntervalInMins: 10});
             jasmine.clock().install();
             jasmine.clock().mockDate(new Date());
 
@@ -156,13 +158,199 @@ describe('Http Authorize', () => {
             const result = await httpAuthorize(options, req);
             expect(result).toEqual({
                 payload: jasmine.any(Object),
-                newToken: 'not implemented'
+                newToken: jasmine.any(String),
+                tenantId: undefined,
+                origin: jasmine.any(String)
             });
 
             const payload = result.payload;
             expect(payload.iat).toBeDefined();
             expect(payload.exp).toBeDefined();
-            expect(payload.exp - payload.iat).toBe(20);
+            // the auth code was refreshed based on the active session timeout
+            expect(payload.exp - payload.iat).toBe(24 * 60 * 60);
+            expect(payload.jti).toBe(1);
+            expect(jwt.decode(result.newToken)).toEqual(payload);
+        });
+
+        it('should revoke the token once refreshed after the grace period', async () => {
+            const req = {
+                url: '/someUrl',
+                headers: {
+                    'access-token': accessToken
+                }
+            };
+            const result = await httpAuthorize(refreshOptions, req);
+            req.headers['access-token'] = result.newToken;
+            jasmine.clock().tick(10 * 60 * 1000);
+            const secondResult = await httpAuthorize(refreshOptions, req);
+            expect(secondResult.payload.jti).toBe(2);
+            // a concurrent request sent with the same token
+            const concurrentResult = await httpAuthorize(refreshOptions, req);
+            expect(concurrentResult.payload.jti).toBe(2);
+
+            jasmine.clock().tick(30 * 1000);
+            try {
+                await httpAuthorize(refreshOptions, req);
+                throw new Error('should have failed');
+            } catch (err) {
+                expect(err).toEqual(new Error('Token was revoked'));
+            }
+            req.headers['access-token'] = secondResult.newToken;
+            jasmine.clock().tick(10 * 60 * 1000);
+            expect((await httpAuthorize(refreshOptions, req)).payload.jti).toBe(3);
+        });
+
+        it('should not refresh nor revoke the token before its refresh interval is over', async () => {
+            const req = {
+                url: '/someUrl',
+                headers: {
+                    'access-token': accessToken
+                }
+            };
+            const result = await httpAuthorize(refreshOptions, req);
+            req.headers['access-token'] = result.newToken;
+            jasmine.clock().tick(10 * 60 * 1000 - 1000);
+            const secondResult = await httpAuthorize(refreshOptions, req);
+            expect(secondResult.newToken).toBe(result.newToken);
+            expect(secondResult.payload.jti).toBe(1);
+            expect(secondResult.origin).toBe(result.origin);
+            // still valid after the grace period
+            jasmine.clock().tick(30 * 1000);
+            expect((await httpAuthorize(refreshOptions, req)).payload.jti).toBe(2);
+        });
+
+        it('should not extend the grace period of a token used by concurrent requests', async () => {
+            const req = {
+                url: '/someUrl',
+                headers: {
+                    'access-token': (await httpAuthorize(refreshOptions, {url: '/someUrl', headers: {'access-token': accessToken}})).newToken
+                }
+            };
+            jasmine.clock().tick(10 * 60 * 1000);
+            await httpAuthorize(refreshOptions, req);
+            jasmine.clock().tick(20 * 1000);
+            await httpAuthorize(refreshOptions, req);
+            jasmine.clock().tick(10 * 1000);
+            try {
+                await httpAuthorize(refreshOptions, req);
+                throw new Error('should have failed');
+            } catch (err) {
+                expect(err).toEqual(new Error('Token was revoked'));
+            }
+        });
+
+        it('should create the user session at the request origin when the auth code is exchanged', async () => {
+            const req = {
+                url: '/someUrl',
+                headers: {
+                    'access-token': accessToken,
+                    'access-origin': 'restClient'
+                }
+            };
+            const result = await httpAuthorize(refreshOptions, req);
+            expect(result.origin).toBe('restClient');
+            expect(await userSessionService.isUserSessionActive('restClient')).toBeTrue();
+            // the client only uses http, it keeps using its session
+            req.headers['access-token'] = result.newToken;
+            jasmine.clock().tick(10 * 60 * 1000);
+            const secondResult = await httpAuthorize(refreshOptions, req);
+            expect(secondResult.origin).toBe('restClient');
+            expect(secondResult.payload.jti).toBe(2);
+        });
+
+        it('should resolve the tenant of the user', async () => {
+            const req = {
+                url: '/someUrl',
+                headers: {
+                    'access-token': accessToken
+                }
+            };
+            const result = await httpAuthorize(Object.assign({getTenantId: () => Promise.resolve('corpPlus')}, options), req);
+            expect(result.tenantId).toBe('corpPlus');
+        });
+
+        it('should reject a refreshed token when its user session has been inactive for too long', async () => {
+            const req = {
+                url: '/someUrl',
+                headers: {
+                    'access-token': accessToken
+                }
+            };
+            const result = await httpAuthorize(options, req);
+            req.headers['access-token'] = result.newToken;
+            // the origin of the token family is checked, not the one provided by the client
+            req.headers['access-origin'] = 'anotherOrigin';
+            jasmine.clock().tick(13 * 60 * 60 * 1000);
+            try {
+                await httpAuthorize(options, req);
+                throw new Error('should have failed');
+            } catch (err) {
+                expect(err.data.code).toBe('inactive_session_timeout_or_session_not_found');
+            }
+        });
+
+        it('should keep the user session active with the http requests', async () => {
+            const req = {
+                url: '/someUrl',
+                headers: {
+                    'access-token': accessToken
+                }
+            };
+            let result = await httpAuthorize(refreshOptions, req);
+            for (let i = 0; i < 2; i++) {
+                jasmine.clock().tick(11 * 60 * 60 * 1000);
+                req.headers['access-token'] = result.newToken;
+                result = await httpAuthorize(refreshOptions, req);
+            }
+            expect(result.payload.jti).toBe(3);
+        });
+
+        it('should only use the access-origin of a token without family if its session belongs to the user', async () => {
+            const legacyToken = jwt.sign({id: 123, jti: 1}, options.secret, {expiresIn: 3600});
+            const lastUserActivity = new Date();
+            await cacheService.cacheData('ownOrigin', {userId: 123, origin: 'ownOrigin', lastUserActivity}, {prefix: 'SESSION_'});
+            await cacheService.cacheData('otherUserOrigin', {userId: 456, origin: 'otherUserOrigin', lastUserActivity}, {prefix: 'SESSION_'});
+            const req = {
+                url: '/someUrl',
+                headers: {
+                    'access-token': legacyToken,
+                    'access-origin': 'otherUserOrigin'
+                }
+            };
+            expect((await httpAuthorize(options, req)).origin).toBeNull();
+            req.headers['access-origin'] = 'ownOrigin';
+            expect((await httpAuthorize(options, req)).origin).toBe('ownOrigin');
+        });
+
+        it('should accept a client token without refreshing it', async () => {
+            const clientToken = jwt.sign({typ: 'client', client_id: 'nightlyJob'}, options.secret, {expiresIn: 3600});
+            const req = {
+                url: '/someUrl',
+                headers: {
+                    'access-token': clientToken,
+                    'access-origin': 'noSession'
+                }
+            };
+            const result = await httpAuthorize(options, req);
+            // the credentials are not sent back
+            expect(result.newToken).toBeNull();
+            expect(result.payload.client_id).toBe('nightlyJob');
+            expect(result.origin).toBeNull();
+            // still valid
+            expect((await httpAuthorize(options, req)).payload.client_id).toBe('nightlyJob');
+        });
+
+        it('should accept an api key resolved to a payload', async () => {
+            const apiKey = await zervCore.createApiKey({name: 'Partner', data: {userId: 456}});
+            const req = {
+                url: '/someUrl',
+                headers: {
+                    'authorization': 'Bearer ' + apiKey.key
+                }
+            };
+            const result = await httpAuthorize(Object.assign({resolveApiKey: (key) => ({id: key.data.userId, display: key.name})}, options), req);
+            expect(result.newToken).toBeNull();
+            expect(result.payload).toEqual(jasmine.objectContaining({id: 456, typ: 'api_key', api_key_id: apiKey.id}));
         });
 
         it('should reject the expired token', async () => {
@@ -0,0 +1,179 @@
+'use strict';
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Keyring = require('../lib/authorize/keyring');
+
+describe('Keyring', () => {
+    let rsaKeys, ecKeys;
+
+    beforeAll(() => {
+        rsaKeys = crypto.generateKeyPairSync('rsa', {
+            modulusLength: 2048,
+            publicKeyEncoding: {type: 'spki', format: 'pem'},
+            privateKeyEncoding: {type: 'pkcs8', format: 'pem'}
+        });
+        ecKeys = crypto.generateKeyPairSync('ec', {
+            namedCurve: 'P-256',
+            publicKeyEncoding: {type: 'spki', format: 'pem'},
+            privateKeyEncoding: {type: 'pkcs8', format: 'pem'}
+        });
+    });
+
+    describe('with a secret', () => {
+        it('should sign and verify a token without kid', () => {
+            const keyring = new Keyring([{secret: 'aSecret'}]);
+            const token = keyring.sign({id: 'user1'});
+            const decoded = jwt.decode(token, {complete: true});
+            expect(decoded.header).toEqual({alg: 'HS256', typ: 'JWT'});
+            expect(keyring.verify(token).id).toBe('user1');
+        });
+
+        it('should verify a token signed with jsonwebtoken and the same secret', () => {
+            const keyring = new Keyring([{secret: 'aSecret'}]);
+            const token = jwt.sign({id: 'user1'}, 'aSecret');
+            expect(keyring.verify(token).id).toBe('user1');
+        });
+
+        it('should reject a token signed with another secret', () => {
+            const keyring = new Keyring([{secret: 'aSecret'}]);
+            const token = jwt.sign({id: 'user1'}, 'anotherSecret');
+            expect(() => keyring.verify(token)).toThrowError('invalid signature');
+        });
+    });
+
+    describe('with asymmetric keys', () => {
+        it('should sign with RS256 and add the kid to the token header', () => {
+            const keyring = new Keyring([{kid: 'rsa1', privateKey: rsaKeys.privateKey}]);
+            const token = keyring.sign({id: 'user1'}, {expiresIn: 60});
+            const decoded = jwt.decode(token, {complete: true});
+            expect(decoded.header).toEqual({alg: 'RS256', typ: 'JWT', kid: 'rsa1'});
+            expect(keyring.verify(token).id).toBe('user1');
+            // the token can be verified with the public key only
+            expect(jwt.verify(token, rsaKeys.publicKey).id).toBe('user1');
+        });
+
+        it('should sign with ES256', () => {
+            const keyring = new Keyring([{kid: 'ec1', algorithm: 'ES256', privateKey: ecKeys.privateKey}]);
+            const token = keyring.sign({id: 'user1'});
+            expect(jwt.decode(token, {complete: true}).header.alg).toBe('ES256');
+            expect(keyring.verify(token).id).toBe('user1');
+        });
+
+        it('should verify tokens with a keyring made of public keys only', () => {
+            const signingKeyring = new Keyring([{kid: 'ec1', algorithm: 'ES256', privateKey: ecKeys.privateKey}]);
+            const verifyingKeyring = new Keyring([{kid: 'ec1', algorithm: 'ES256', publicKey: ecKeys.publicKey}]);
+            const token = signingKeyring.sign({id: 'user1'});
+            expect(verifyingKeyring.verify(token).id).toBe('user1');
+            expect(verifyingKeyring.getCurrentKey()).toBeNull();
+            expect(() => verifyingKeyring.sign({id: 'user1'})).toThrowError('No signing key in the keyring');
+        });
+
+        it('should require a kid', () => {
+            expect(() => new Keyring([{privateKey: rsaKeys.privateKey}])).toThrowError('An asymmetric key requires a kid.');
+        });
+
+        it('should reject a token signed with an unknown key', () => {
+            const keyring = new Keyring([{kid: 'rsa1', privateKey: rsaKeys.privateKey}]);
+            const otherKeyring = new Keyring([{kid: 'ec1', algorithm: 'ES256', privateKey: ecKeys.privateKey}]);
+            expect(() => keyring.verify(otherKeyring.sign({id: 'user1'}))).toThrowError('jwt signed with an unknown key');
+        });
+
+        it('should not accept a token whose algorithm differs from the key algorithm', () => {
+            const keyring = new Keyring([{kid: 'rsa1', privateKey: rsaKeys.privateKey}]);
+            // attempt to use the public key as a HMAC secret
+            const token = jwt.sign({id: 'user1'}, 'anySecret', {keyid: 'rsa1'});
+            expect(() => keyring.verify(token)).toThrowError('invalid algorithm');
+        });
+    });
+
+    describe('jwks', () => {
+        it('should provide the public rsa keys', () => {
+            const keyring = new Keyring([{kid: 'rsa1', privateKey: rsaKeys.privateKey}, {secret: 'aaafoo super sercret'}]);
+            const jwks = keyring.getJwks();
+            expect(jwks.keys.length).toBe(1);
+            const jwk = jwks.keys[0];
+            expect(jwk).toEqual({kty: 'RSA', n: jasmine.any(String), e: 'AQAB', kid: 'rsa1', alg: 'RS256', use: 'sig'});
+            // the jwk is the same public key
+            const pkcs1 = derSequence([derInteger(fromBase64Url(jwk.n)), derInteger(fromBase64Url(jwk.e))]);
+            const publicKey = crypto.createPublicKey({key: pkcs1, format: 'der', type: 'pkcs1'}).export({type: 'spki', format: 'pem'});
+            expect(publicKey).toEqual(rsaKeys.publicKey);
+        });
+
+        it('should provide the public ec keys', () => {
+            const keyring = new Keyring([{kid: 'ec1', algorithm: 'ES256', publicKey: ecKeys.publicKey}]);
+            const jwk = keyring.getJwks().keys[0];
+            expect(jwk).toEqual({kty: 'EC', crv: 'P-256', x: jasmine.any(String), y: jasmine.any(String), kid: 'ec1', alg: 'ES256', use: 'sig'});
+            // spki of a P-256 key: the algorithm identifiers followed by the uncompressed point
+            const spki = Buffer.concat([
+                Buffer.from('3059301306072a8648ce3d020106082a8648ce3d030107034200', 'hex'),
+                Buffer.from([4]),
+                fromBase64Url(jwk.x),
+                fromBase64Url(jwk.y)
+            ]);
+            const publicKey = crypto.createPublicKey({key: spki, format: 'der', type: 'spki'}).export({type: 'spki', format: 'pem'});
+            expect(publicKey).toEqual(ecKeys.publicKey);
+        });
+
+        function fromBase64Url(value) {
+            return Buffer.from(value.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+        }
+
+        function derInteger(value) {
+            // a positive integer whose first bit is set is prefixed with 0
+            return derElement(0x02, value[0] & 0x80 ? Buffer.concat([Buffer.from([0]), value]) : value);
+        }
+
+        function derSequence(elements) {
+            return derElement(0x30, Buffer.concat(elements));
+        }
+
+        function derElement(tag, content) {
+            let length;
+            if (content.length < 0x80) {
+                length = Buffer.from([content.length]);
+            } else {
+                const bytes = [];
+                for (let value = content.length; value > 0; value = Math.floor(value / 256)) {
+                    bytes.unshift(value % 256);
+                }
+                length = Buffer.from([0x80 | bytes.length].concat(bytes));
+            }
+            return Buffer.concat([Buffer.from([tag]), length, content]);
+        }
+    });
+
+    describe('key rotation', () => {
+        let keyring, tokenSignedWithSecret, tokenSignedWithRsa;
+
+        beforeEach(() => {
+            keyring = new Keyring([{secret: 'legacySecret'}]);
+            tokenSignedWithSecret = keyring.sign({id: 'user1'});
+            keyring.rotate({kid: 'rsa1', privateKey: rsaKeys.privateKey});
+            tokenSignedWithRsa = keyring.sign({id: 'user1'});
+        });
+
+        it('should sign new tokens with the new current key', () => {
+            expect(keyring.getCurrentKey().kid).toBe('rsa1');
+            expect(jwt.decode(tokenSignedWithRsa, {complete: true}).header.kid).toBe('rsa1');
+        });
+
+        it('should still verify tokens signed with the previous key', () => {
+            expect(keyring.verify(tokenSignedWithSecret).id).toBe('user1');
+            expect(keyring.verify(tokenSignedWithRsa).id).toBe('user1');
+        });
+
+        it('should no longer verify tokens signed with a retired key', () => {
+            keyring.retireKey(undefined);
+            expect(() => keyring.verify(tokenSignedWithSecret)).toThrowError('jwt signed with an unknown key');
+            expect(keyring.verify(tokenSignedWithRsa).id).toBe('user1');
+        });
+
+        it('should not retire the current key', () => {
+            expect(() => keyring.retireKey('rsa1')).toThrowError('Current key rsa1 cannot be retired before rotating to another key.');
+        });
+
+        it('should not add a key with the same kid', () => {
+            expect(() => keyring.addKey({kid: 'rsa1', publicKey: rsaKeys.publicKey})).toThrowError('Key rsa1 is already in the keyring.');
+        });
+    });
+});
@@ -0,0 +1,59 @@
+'use strict';
+const service = require('../lib/log-redaction');
+
+describe('log-redaction', () => {
+    afterEach(() => {
+        service.setSensitiveFields([]);
+    });
+
+    it('should redact the default sensitive fields at any depth', () => {
+        expect(service.redact({
+            username: 'john',
+            password: 'Pa123',
+            grant_type: 'login',
+            client: {client_secret: 'secret', id: 'spa'},
+            sessions: [{access_token: 'abc'}, {refreshToken: 'def'}],
+            otp: '123456',
+            recovery_code: 'aaaaa-bbbbb',
+            code_verifier: 'verifier'
+        })).toEqual({
+            username: 'john',
+            password: '[REDACTED]',
+            grant_type: 'login',
+            client: {client_secret: '[REDACTED]', id: 'spa'},
+            sessions: [{access_token: '[REDACTED]'}, {refreshToken: '[REDACTED]'}],
+            otp: '[REDACTED]',
+            recovery_code: '[REDACTED]',
+            code_verifier: '[REDACTED]'
+        });
+    });
+
+    it('should not modify the value', () => {
+        const body = {password: 'Pa123'};
+        service.redact(body);
+        expect(body.password).toBe('Pa123');
+    });
+
+    it('should redact the configured fields and paths in addition to the default ones', () => {
+        service.setSensitiveFields(['ssn', 'user.birthDate']);
+        expect(service.redact({
+            user: {birthDate: '2000-01-01', SSN: '123', password: 'Pa123'},
+            birthDate: '2001-01-01'
+        })).toEqual({
+            user: {birthDate: '[REDACTED]', SSN: '[REDACTED]', password: '[REDACTED]'},
+            birthDate: '2001-01-01'
+        });
+    });
+
+    it('should format a value to log', () => {
+        expect(service.format('USER_INVALID')).toBe('USER_INVALID');
+        expect(service.format({username: 'john', password: 'Pa123'})).toBe('{"username":"john","password":"[REDACTED]"}');
+        expect(service.format(undefined)).toBeUndefined();
+    });
+
+    it('should limit the depth of the redacted value', () => {
+        const value = {};
+        value.self = value;
+        expect(JSON.stringify(service.redact(value))).toContain('[...]');
+    });
+});
@@ -0,0 +1,69 @@
+'use strict';
+const service = require('../lib/login-throttle.service');
+const cacheService = require('../lib/cache.service');
+
+describe('login-throttle.service', () => {
+    let attempt, settings;
+
+    beforeEach(() => {
+        cacheService._disableLocalCacheFilePersistence();
+        cacheService._clearLocalCache();
+        jasmine.clock().install();
+        jasmine.clock().mockDate(new Date('2026-01-01T10:00:00Z'));
+        attempt = {ip: '10.0.0.1', username: 'John@doe.com'};
+        settings = {maxAttemptsPerUsername: 3, maxAttemptsPerIp: 5, backoffBaseInSecs: 1, lockoutInMins: 15};
+    });
+
+    afterEach(() => {
+        jasmine.clock().uninstall();
+    });
+
+    it('should allow a first attempt', async () => {
+        expect(await service.getRetryAfterInSecs(attempt, settings)).toBe(0);
+    });
+
+    it('should delay the next attempt exponentially after each failure', async () => {
+        await service.recordLoginFailure(attempt, settings);
+        expect(await service.getRetryAfterInSecs(attempt, settings)).toBe(1);
+        jasmine.clock().tick(1000);
+        expect(await service.getRetryAfterInSecs(attempt, settings)).toBe(0);
+        const result = await service.recordLoginFailure(attempt, settings);
+        expect(result).toEqual({failures: 2, lockouts: []});
+        expect(await service.getRetryAfterInSecs(attempt, settings)).toBe(2);
+    });
+
+    it('should lock out the username after the maximum number of failures', async () => {
+        await service.recordLoginFailure(attempt, settings);
+        await service.recordLoginFailure(attempt, settings);
+        const result = await service.recordLoginFailure(attempt, settings);
+        expect(result.failures).toBe(3);
+        expect(result.lockouts).toEqual([{type: 'username', value: 'John@doe.com', lockedUntil: new Date('2026-01-01T10:15:00Z')}]);
+        // the username is locked whatever the ip and its case
+        expect(await service.getRetryAfterInSecs({ip: '10.0.0.2', username: 'john@doe.com'}, settings)).toBe(15 * 60);
+        jasmine.clock().tick(15 * 60000);
+        expect(await service.getRetryAfterInSecs(attempt, settings)).toBe(0);
+    });
+
+    it('should lock out the ip after the maximum number of failures whatever the username', async () => {
+        for (let i = 0; i < 5; i++) {
+            await service.recordLoginFailure({ip: '10.0.0.1', username: 'user' + i}, settings);
+        }
+        expect(await service.getRetryAfterInSecs({ip: '10.0.0.1', username: 'another'}, settings)).toBe(15 * 60);
+        expect(await service.getRetryAfterInSecs({ip: '10.0.0.2', username: 'another'}, settings)).toBe(0);
+    });
+
+    it('should reset the failures of the username after a successful login', async () => {
+        await service.recordLoginFailure(attempt, settings);
+        await service.recordLoginFailure(attempt, settings);
+        await service.recordLoginSuccess(attempt);
+        const result = await service.recordLoginFailure({ip: '10.0.0.2', username: attempt.username}, settings);
+        expect(result.failures).toBe(1);
+    });
+
+    it('should store the failures in the cache to share them across the cluster', async () => {
+        spyOn(cacheService, 'cacheData').and.callThrough();
+        await service.recordLoginFailure(attempt, settings);
+        expect(cacheService.cacheData).toHaveBeenCalledWith('USER_john@doe.com', jasmine.objectContaining({count: 1}), {prefix: 'LOGIN_FAIL_', expirationInMins: 15});
+        expect(cacheService.cacheData).toHaveBeenCalledWith('IP_10.0.0.1', jasmine.objectContaining({count: 1}), {prefix: 'LOGIN_FAIL_', expirationInMins: 15});
+    });
+});
@@ -0,0 +1,96 @@
+'use strict';
+const _ = require('lodash');
+const service = require('../lib/second-factor.service');
+const cacheService = require('../lib/cache.service');
+const totp = require('../lib/totp');
+
+describe('second-factor.service', () => {
+    let secondFactor, recoveryCodes;
+
+    beforeEach(() => {
+        cacheService._disableLocalCacheFilePersistence();
+        cacheService._clearLocalCache();
+        recoveryCodes = service.generateRecoveryCodes(3);
+        secondFactor = {totpSecret: totp.generateSecret(), recoveryCodes: recoveryCodes.hashes};
+    });
+
+    afterEach(() => {
+        jasmine.clock().uninstall();
+    });
+
+    describe('challenge', () => {
+        it('should be retrieved with its token', async () => {
+            const token = await service.createChallenge({user: {id: 1}, username: 'john'}, 300);
+            expect(await service.getChallenge(token)).toEqual(jasmine.objectContaining({user: {id: 1}, username: 'john', attempts: 0}));
+        });
+
+        it('should only store the hash of the token', async () => {
+            spyOn(cacheService, 'cacheData').and.callThrough();
+            const token = await service.createChallenge({user: {id: 1}}, 300);
+            expect(cacheService.cacheData.calls.mostRecent().args[0]).not.toBe(token);
+        });
+
+        it('should expire', async () => {
+            jasmine.clock().install();
+            jasmine.clock().mockDate(new Date());
+            const token = await service.createChallenge({user: {id: 1}}, 300);
+            jasmine.clock().tick(301 * 1000);
+            expect(await service.getChallenge(token)).toBeNull();
+        });
+
+        it('should be removed after too many failed attempts', async () => {
+            const token = await service.createChallenge({user: {id: 1}}, 300);
+            for (let i = 0; i < 4; i++) {
+                await service.recordFailedChallengeAttempt(token, await service.getChallenge(token));
+            }
+            expect(await service.getChallenge(token)).not.toBeNull();
+            await service.recordFailedChallengeAttempt(token, await service.getChallenge(token));
+            expect(await service.getChallenge(token)).toBeNull();
+        });
+
+        it('should return null for an unknown token', async () => {
+            expect(await service.getChallenge('unknown')).toBeNull();
+            expect(await service.getChallenge()).toBeNull();
+        });
+    });
+
+    describe('verifySecondFactor', () => {
+        it('should accept a valid one-time password', async () => {
+            const otp = totp.generateCode(secondFactor.totpSecret);
+            expect(await service.verifySecondFactor(secondFactor, {otp})).toEqual({method: 'totp'});
+        });
+
+        it('should reject a one-time password already used', async () => {
+            const otp = totp.generateCode(secondFactor.totpSecret);
+            await service.verifySecondFactor(secondFactor, {otp});
+            expect(await service.verifySecondFactor(secondFactor, {otp})).toBeNull();
+        });
+
+        it('should reject an invalid one-time password', async () => {
+            const otp = totp.generateCode(secondFactor.totpSecret, Date.now() - 5 * 60000);
+            expect(await service.verifySecondFactor(secondFactor, {otp})).toBeNull();
+        });
+
+        it('should accept a recovery code regardless of its case and separator', async () => {
+            const code = recoveryCodes.codes[1];
+            expect(await service.verifySecondFactor(secondFactor, {recoveryCode: code.toUpperCase().replace('-', '')}))
+                .toEqual({method: 'recovery_code', recoveryCode: recoveryCodes.hashes[1]});
+        });
+
+        it('should reject an unknown recovery code', async () => {
+            expect(await service.verifySecondFactor(secondFactor, {recoveryCode: 'aaaaa-bbbbb'})).toBeNull();
+        });
+
+        it('should reject when the user has no second factor', async () => {
+            expect(await service.verifySecondFactor(null, {otp: '123456'})).toBeNull();
+        });
+    });
+
+    it('should generate distinct recovery codes', () => {
+        const result = service.generateRecoveryCodes();
+        expect(result.codes.length).toBe(10);
+        expect(result.codes[0]).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/);
+        expect(_.uniq(result.codes).length).toBe(10);
+        expect(result.hashes[0]).toBe(service.hashRecoveryCode(result.codes[0]));
+    });
+});
@@ -0,0 +1,37 @@
+'use strict';
+const service = require('../lib/security-event.service');
+
+describe('security-event.service', () => {
+    afterEach(() => {
+        service._clearSecurityEventListeners();
+    });
+
+    it('should notify the listeners', () => {
+        const listener = jasmine.createSpy('listener');
+        service.onSecurityEvent(listener);
+        service.notifySecurityEvent('TOKEN_REUSE_DETECTED', {userId: 'user01'});
+        expect(listener).toHaveBeenCalledWith({
+            type: 'TOKEN_REUSE_DETECTED',
+            timestamp: jasmine.any(Date),
+            userId: 'user01'
+        });
+    });
+
+    it('should remove a listener', () => {
+        const listener = jasmine.createSpy('listener');
+        const off = service.onSecurityEvent(listener);
+        off();
+        service.notifySecurityEvent('TOKEN_REUSE_DETECTED', {userId: 'user01'});
+        expect(listener).not.toHaveBeenCalled();
+    });
+
+    it('should notify all listeners even if one fails', () => {
+        const listener = jasmine.createSpy('listener');
+        service.onSecurityEvent(() => {
+            throw new Error('listener failure');
+        });
+        service.onSecurityEvent(listener);
+        service.notifySecurityEvent('TOKEN_REUSE_DETECTED', {userId: 'user01'});
+        expect(listener).toHaveBeenCalled();
+    });
+});
@@ -49,6 +49,9 @@ describe('Socket authorize', () => {
                     );
                 });
             },
+            findClientByCredentials: function(clientId, clientSecret) {
+                return Promise.resolve(clientSecret === 'jobSecret' ? { clientId, name: 'Nightly job' } : null);
+            },
         };
         cacheService._disableLocalCacheFilePersistence();
 
@@ -287,11 +290,362 @@ describe('Socket authorize', () => {
                     }).emit('authenticate', { token: authToken });
                 });
             });
+
+            it('should disconnect the socket when its token is revoked', (done) => {
+                const socket = io.connect('http://localhost:9000', {
+                    'forceNew': true,
+                });
+                let unauthorizedError;
+                socket.on('connect', () => {
+                    socket.on('authenticated', function(refreshToken, fnAck) {
+                        fnAck();
+                        // ex: an admin kills the session from any server of the cluster
+                        zervCore.revokeToken(refreshToken);
+                    }).on('unauthorized', (err) => {
+                        unauthorizedError = err;
+                    }).on('disconnect', () => {
+                        expect(unauthorizedError.message).toBe('Token was revoked');
+                        expect(unauthorizedError.data.code).toBe('revoked_token');
+                        socket.close();
+                        done();
+                    }).emit('authenticate', { token: authToken });
+                });
+            });
+
+            it('should disconnect the sockets of a user whose tokens are revoked', (done) => {
+                const socket = io.connect('http://localhost:9000', {
+                    'forceNew': true,
+                });
+                let unauthorizedError;
+                socket.on('connect', () => {
+                    socket.on('authenticated', function(refreshToken, fnAck) {
+                        fnAck();
+                        zervCore.revokeUserTokens(jwt.decode(refreshToken).id);
+                    }).on('unauthorized', (err) => {
+                        unauthorizedError = err;
+                    }).on('disconnect', () => {
+                        expect(unauthorizedError.data.code).toBe('revoked_user_tokens');
+                        socket.close();
+                        done();
+                    }).emit('authenticate', { token: authToken });
+                });
+            });
+
+            it('should disconnect the sockets of a user whose tokens are revoked with the user id as a string', (done) => {
+                const socket = io.connect('http://localhost:9000', {
+                    'forceNew': true,
+                });
+                let unauthorizedError;
+                socket.on('connect', () => {
+                    socket.on('authenticated', function(refreshToken, fnAck) {
+                        fnAck();
+                        // the user id of the token is a number
+                        zervCore.revokeUserTokens(String(jwt.decode(refreshToken).id));
+                    }).on('unauthorized', (err) => {
+                        unauthorizedError = err;
+                    }).on('disconnect', () => {
+                        expect(unauthorizedError.data.code).toBe('revoked_user_tokens');
+                        socket.close();
+                        done();
+                    }).emit('authenticate', { token: authToken });
+                });
+            });
+
+            it('should check the concurrent session policy with the origin of the new session', (done) => {
+                spyOn(userSessionService, 'enforceConcurrentSessionPolicy').and.callThrough();
+                const socket = io.connect('http://localhost:9000', {
+                    'forceNew': true,
+                });
+                socket.on('connect', () => {
+                    socket.on('authenticated', function(refreshToken, fnAck) {
+                        fnAck();
+                        // without origin provided by the client, the session is at the refreshed token
+                        expect(userSessionService.enforceConcurrentSessionPolicy).toHaveBeenCalledWith(jasmine.objectContaining({origin: refreshToken}));
+                        socket.close();
+                        done();
+                    }).emit('authenticate', { token: authToken });
+                });
+            });
+
+            it('should disconnect a session rejected by the concurrent session policy without providing any token', (done) => {
+                spyOn(userSessionService, 'getTenantConcurrentSessionPolicy').and.returnValue({ maxSessionsPerUser: 1 });
+                const socket = io.connect('http://localhost:9000', {
+                    'forceNew': true,
+                });
+                socket.on('connect', () => {
+                    socket.on('authenticated', function(refreshToken, fnAck) {
+                        fnAck();
+                        // let the first session be created in the cluster
+                        setTimeout(() => {
+                            request.post({
+                                url: 'http://localhost:9000/authorize',
+                                body: { 'username': 'jose', 'password': 'Pa123', 'grant_type': 'login' },
+                                json: true
+                            }, (err, resp, body) => {
+                                if (err) {
+                                    throw err;
+                                }
+                                const socket2 = io.connect('http://localhost:9000', {
+                                    'forceNew': true,
+                                });
+                                let unauthorizedError;
+                                socket2.on('connect', () => {
+                                    socket2.on('authenticated', () => {
+                                        done.fail('should NOT have been authenticated');
+                                    }).on('unauthorized', (error) => {
+                                        unauthorizedError = error;
+                                    }).on('disconnect', () => {
+                                        expect(unauthorizedError.data.code).toBe('too_many_sessions');
+                                        socket.close();
+                                        socket2.close();
+                                        done();
+                                    }).emit('authenticate', { token: body.access_token, origin: 'secondPc' });
+                                });
+                            });
+                        }, 50);
+                    }).emit('authenticate', { token: authToken, origin: 'firstPc' });
+                });
+            });
+        });
+
+        describe('when a service has a client token', () => {
+            let clientToken;
+
+            beforeEach((done) => {
+                request.post({
+                    url: 'http://localhost:9000/token',
+                    body: { 'grant_type': 'client_credentials', 'client_id': 'nightlyJob', 'client_secret': 'jobSecret' },
+                    json: true
+                }, (err, resp, body) => {
+                    if (err) {
+                        throw err;
+                    }
+                    clientToken = body.access_token;
+                    done();
+                });
+            });
+
+            it('should connect without refreshing the token nor creating a user session', (done) => {
+                const socket = io.connect('http://localhost:9000', {
+                    'forceNew': true,
+                });
+                socket.on('connect', () => {
+                    socket.on('authenticated', function(token, fnAck) {
+                        expect(token).toBe(clientToken);
+                        fnAck();
+                        setTimeout(() => {
+                            expect(userSessionService.getLocalUserSessions().length).toBe(0);
+                            socket.close();
+                            done();
+                        }, 50);
+                    }).emit('authenticate', { token: clientToken });
+                });
+            });
+
+            it('should not let a user token be used on a service socket', (done) => {
+                const socket = io.connect('http://localhost:9000', {
+                    'forceNew': true,
+                });
+                socket.on('connect', () => {
+                    socket.on('authenticated', function(token, fnAck) {
+                        fnAck();
+                        request.post({
+                            url: 'http://localhost:9000/authorize',
+                            body: { 'username': 'jose', 'password': 'Pa123', 'grant_type': 'login' },
+                            json: true
+                        }, (err, resp, body) => {
+                            if (err) {
+                                throw err;
+                            }
+                            socket.on('unauthorized', (error) => {
+                                expect(error.data.code).toBe('unauthorized_token');
+                                socket.close();
+                                done();
+                            }).emit('authenticate', { token: body.access_token });
+                        });
+                    }).emit('authenticate', { token: clientToken });
+                });
+            });
         });
     });
 
 });
 
+describe('Socket authorize with handshake authentication', () => {
+    let options;
+    const codeExpiresInSecs= 20;
+
+    beforeAll((done) => {
+        options = {
+            handshakeAuthentication: true,
+            codeExpiresInSecs,
+            tokenRefreshIntervalInMins: 2,
+            claim: function(user) {
+                return user;
+            },
+            secret: 'aaafoo super sercret',
+            findUserByCredentials: function(user) {
+                if (user.password !== 'Pa123') {
+                    return Promise.reject('USER_INVALID');
+                }
+                return Promise.resolve({
+                    first_name: 'John',
+                    last_name: 'Doe',
+                    email: 'john@doe.com',
+                    id: 123
+                });
+            },
+        };
+        cacheService._disableLocalCacheFilePersistence();
+
+        startServer(options, done);
+    });
+
+    afterAll(stopServer);
+
+    beforeEach(() => {
+        spyOn(userSessionService, 'getTenantMaximumActiveSessionTimeoutInMins').and.returnValue(24 * 60);
+        cacheService._clearLocalCache();
+        userSessionService._clearLocalUserSessions();
+    });
+    afterEach((done) => {
+        setTimeout(done, 50);
+    });
+
+    it('should refuse the connection with a bad token', (done) => {
+        const socket = io.connect('http://localhost:9000', {
+            forceNew: true,
+            auth: { token: 'badtoken' }
+        });
+        socket.on('connect', () => done.fail('should NOT have been connected'));
+        socket.on('connect_error', (error) => {
+            expect(error.message).toBe('Token is invalid');
+            expect(error.data.code).toBe('invalid_token');
+            socket.close();
+            done();
+        });
+    });
+
+    describe('when the user is logged in', () => {
+        let authToken;
+
+        beforeEach((done) => {
+            request.post({
+                url: 'http://localhost:9000/authorize',
+                body: { 'username': 'jose', 'password': 'Pa123', 'grant_type': 'login' },
+                json: true
+            }, (err, resp, body) => {
+                if (err) {
+                    throw err;
+                }
+                authToken = body.access_token;
+                done();
+            });
+        });
+
+        it('should connect with the auth code and receive a refreshed token', (done) => {
+            const socket = io.connect('http://localhost:9000', {
+                forceNew: true,
+                auth: { token: authToken }
+            });
+            socket.on('authenticated', () => done.fail('authenticated should not be emitted'));
+            socket.on('token_refreshed', (refreshToken, fnAck) => {
+                expect(socket.connected).toBeTrue();
+                expect(refreshToken).not.toBe(authToken);
+                const refreshedPayload = jwt.decode(refreshToken);
+                expect(refreshedPayload.jti).toBe(1);
+                expect(refreshedPayload.dur).toBe(120);
+                fnAck();
+                socket.close();
+                done();
+            });
+        });
+
+        it('should reconnect with the refreshed token and refresh it on request', (done) => {
+            const socket = io.connect('http://localhost:9000', {
+                forceNew: true,
+                auth: { token: authToken }
+            });
+            socket.once('token_refreshed', (refreshToken, fnAck) => {
+                fnAck();
+                socket.close();
+
+                const socket2 = io.connect('http://localhost:9000', {
+                    forceNew: true,
+                    auth: { token: refreshToken, origin: refreshToken }
+                });
+                socket2.on('connect', () => {
+                    socket2.on('token_refreshed', (newRefreshedToken, fnAck2) => {
+                        expect(newRefreshedToken).not.toBe(refreshToken);
+                        expect(jwt.decode(newRefreshedToken).jti).toBe(2);
+                        fnAck2();
+                        socket2.close();
+                        done();
+                    });
+                    socket2.emit('refresh_token', { token: refreshToken });
+                });
+            });
+        });
+
+        it('should refuse the connection with a revoked auth code', (done) => {
+            const socket = io.connect('http://localhost:9000', {
+                forceNew: true,
+                auth: { token: authToken }
+            });
+            socket.once('token_refreshed', (refreshToken, fnAck) => {
+                fnAck();
+                socket.close();
+                // let the auth code revocation complete
+                setTimeout(() => {
+                    const socket2 = io.connect('http://localhost:9000', {
+                        forceNew: true,
+                        auth: { token: authToken }
+                    });
+                    socket2.on('connect_error', (error) => {
+                        expect(error.data.code).toBe('revoked_token');
+                        socket2.close();
+                        done();
+                    });
+                }, 50);
+            });
+        });
+
+        it('should refuse the connection of a session rejected by the concurrent session policy', (done) => {
+            spyOn(userSessionService, 'getTenantConcurrentSessionPolicy').and.returnValue({ maxSessionsPerUser: 1 });
+            const socket = io.connect('http://localhost:9000', {
+                forceNew: true,
+                auth: { token: authToken, origin: 'firstPc' }
+            });
+            socket.once('token_refreshed', (refreshToken, fnAck) => {
+                fnAck();
+                // let the first session be created in the cluster
+                setTimeout(() => {
+                    request.post({
+                        url: 'http://localhost:9000/authorize',
+                        body: { 'username': 'jose', 'password': 'Pa123', 'grant_type': 'login' },
+                        json: true
+                    }, (err, resp, body) => {
+                        if (err) {
+                            throw err;
+                        }
+                        const socket2 = io.connect('http://localhost:9000', {
+                            forceNew: true,
+                            auth: { token: body.access_token, origin: 'secondPc' }
+                        });
+                        socket2.on('connect', () => done.fail('should NOT have been connected'));
+                        socket2.on('connect_error', (error) => {
+                            expect(error.data.code).toBe('too_many_sessions');
+                            socket.close();
+                            socket2.close();
+                            done();
+                        });
+                    });
+                }, 50);
+            });
+        });
+    });
+});
+
 
 function startServer(options, callback) {
     options.restUrl = () => {
@@ -1,11 +1,13 @@
 'use strict';
 const moment = require('moment');
+const jwt = require('jsonwebtoken');
 const service = require('../lib/token-blacklist.service');
 const cacheService = require('../lib/cache.service');
 
 describe('token-blacklist.service', () => {
     let now;
     let token;
+    let tokenHash;
 
     beforeEach(() => {
         now = moment('2020-02-06T10:06:07Z').toDate();
@@ -14,8 +16,12 @@ describe('token-blacklist.service', () => {
 
         spyOn(cacheService, 'cacheData').and.returnValue(Promise.resolve());
         spyOn(cacheService, 'getCachedData').and.returnValue(Promise.resolve());
+        spyOn(cacheService, 'getCachedObjects').and.returnValue(Promise.resolve([]));
+        spyOn(cacheService, 'publishMessage').and.returnValue(Promise.resolve());
 
         token = '123';
+        // sha256 of the token
+        tokenHash = 'a665a45920422f9d417e4867efdc4fb8a04a1f3fff1fa07e998e86f7f7a27ae3';
     });
 
     afterEach(() => {
@@ -31,9 +37,29 @@ describe('token-blacklist.service', () => {
             const exp = iat + 63 * 60;
             await service.revokeToken(token, exp);
             expect(cacheService.cacheData).toHaveBeenCalledWith(
-                token,
+                tokenHash,
                 true,
-                {prefix: 'REVOK_TOK_', expirationInMins: 63}
+                {prefix: 'REVOK_TID_', expirationInMins: 63}
+            );
+            expect(cacheService.publishMessage).toHaveBeenCalledWith('ZERV_REVOKED_TOKENS', {tokenId: tokenHash, exp, disconnectSockets: false});
+        });
+
+        it('should publish that the sockets using the token must be disconnected', async () => {
+            const exp = Math.round(now.getTime() / 1000) + 63 * 60;
+            token = jwt.sign({id: 'user1', tid: 'tokenId1', exp}, 'aSecret');
+            // the expiration is decoded from the token
+            await service.revokeToken(token, null, {disconnectSockets: true});
+            expect(cacheService.publishMessage).toHaveBeenCalledWith('ZERV_REVOKED_TOKENS', {tokenId: 'tokenId1', exp, disconnectSockets: true});
+        });
+
+        it('should store the token id instead of the token when the token has one', async () => {
+            const exp = Math.round(now.getTime() / 1000) + 63 * 60;
+            token = jwt.sign({id: 'user1', tid: 'tokenId1', exp}, 'aSecret');
+            await service.revokeToken(token, exp);
+            expect(cacheService.cacheData).toHaveBeenCalledWith(
+                'tokenId1',
+                true,
+                {prefix: 'REVOK_TID_', expirationInMins: 63}
             );
         });
 
@@ -44,9 +70,9 @@ describe('token-blacklist.service', () => {
             const exp = iat + 1;
             await service.revokeToken(token, exp);
             expect(cacheService.cacheData).toHaveBeenCalledWith(
-                token,
+                tokenHash,
                 true,
-                {prefix: 'REVOK_TOK_', expirationInMins: 1}
+                {prefix: 'REVOK_TID_', expirationInMins: 1}
             );
         });
 
@@ -58,17 +84,330 @@ describe('token-blacklist.service', () => {
             await service.revokeToken(token, exp);
             expect(cacheService.cacheData).not.toHaveBeenCalled();
         });
+
+        it('should store the time the revocation takes effect when there is a grace period', async () => {
+            spyOn(cacheService, 'getCachedObject').and.returnValue(Promise.resolve(null));
+            const exp = Math.round(now.getTime() / 1000) + 63 * 60;
+            await service.revokeToken(token, exp, {gracePeriodInSecs: 30});
+            expect(cacheService.cacheData).toHaveBeenCalledWith(
+                tokenHash,
+                now.getTime() + 30000,
+                {prefix: 'REVOK_TID_', expirationInMins: 63}
+            );
+        });
+
+        it('should not extend the grace period of a token already revoked', async () => {
+            spyOn(cacheService, 'getCachedObject').and.returnValue(Promise.resolve(now.getTime()));
+            const exp = Math.round(now.getTime() / 1000) + 63 * 60;
+            await service.revokeToken(token, exp, {gracePeriodInSecs: 30});
+            expect(cacheService.cacheData).not.toHaveBeenCalled();
+        });
     });
 
-    describe('isTokenRevoked function', () => {
-        it('should check a token existence in redis', async () => {
+    describe('token family', () => {
+        let exp;
+
+        beforeEach(() => {
+            exp = Math.round(now.getTime() / 1000) + 30 * 60;
+        });
+
+        it('should track the origin of a token family', async () => {
+            await service.trackTokenFamily('family1', 'browserId01', exp);
+            expect(cacheService.cacheData).toHaveBeenCalledWith(
+                'family1',
+                {origin: 'browserId01'},
+                {prefix: 'TOK_FAM_', expirationInMins: 30}
+            );
+        });
+
+        it('should provide the origin of a token family', async () => {
+            spyOn(cacheService, 'getCachedObject').and.returnValue(Promise.resolve({origin: 'browserId01'}));
+            expect(await service.getTokenFamilyOrigin('family1')).toBe('browserId01');
+            expect(cacheService.getCachedObject).toHaveBeenCalledWith('family1', {prefix: 'TOK_FAM_'});
+        });
+
+        it('should revoke a token family until its tokens expire', async () => {
+            await service.revokeTokenFamily('family1', exp);
+            expect(cacheService.cacheData).toHaveBeenCalledWith(
+                'family1',
+                true,
+                {prefix: 'REVOK_FAM_', expirationInMins: 30}
+            );
+        });
+
+        it('should check if a token family is revoked', async () => {
             cacheService.getCachedData.and.returnValue('true');
-            const result = await service.isTokenRevoked(token);
-            expect(cacheService.getCachedData).toHaveBeenCalledWith(
-                token,
-                {prefix: 'REVOK_TOK_'}
+            expect(await service.isTokenFamilyRevoked('family1')).toBeTrue();
+            expect(cacheService.getCachedData).toHaveBeenCalledWith('family1', {prefix: 'REVOK_FAM_'});
+        });
+    });
+
+    describe('consumeToken function', () => {
+        it('should revoke the token only if it is not revoked yet', async () => {
+            spyOn(cacheService, 'cacheDataIfAbsent').and.returnValue(Promise.resolve(true));
+            const exp = Math.round(now.getTime() / 1000) + 63 * 60;
+            expect(await service.consumeToken(token, exp)).toBeTrue();
+            expect(cacheService.cacheDataIfAbsent).toHaveBeenCalledWith(
+                tokenHash,
+                true,
+                {prefix: 'REVOK_TID_', expirationInMins: 63}
+            );
+            expect(cacheService.publishMessage).toHaveBeenCalledWith('ZERV_REVOKED_TOKENS', {tokenId: tokenHash, exp, disconnectSockets: false});
+        });
+
+        it('should not consume a token already used', async () => {
+            spyOn(cacheService, 'cacheDataIfAbsent').and.returnValue(Promise.resolve(false));
+            expect(await service.consumeToken(token, Math.round(now.getTime() / 1000) + 60)).toBeFalse();
+            expect(cacheService.publishMessage).not.toHaveBeenCalled();
+        });
+
+        it('should not consume an expired token', async () => {
+            spyOn(cacheService, 'cacheDataIfAbsent');
+            expect(await service.consumeToken(token, Math.round(now.getTime() / 1000) - 1)).toBeFalse();
+            expect(cacheService.cacheDataIfAbsent).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('releaseToken function', () => {
+        it('should remove the revocation of the token', async () => {
+            spyOn(cacheService, 'removeCachedData').and.returnValue(Promise.resolve(true));
+            await service.releaseToken(token);
+            expect(cacheService.removeCachedData).toHaveBeenCalledWith(tokenHash, {prefix: 'REVOK_TID_'});
+        });
+    });
+
+    describe('revokeUserTokens function', () => {
+        it('should store the time before which the user tokens are revoked', async () => {
+            const notBefore = await service.revokeUserTokens('user01');
+            expect(notBefore).toBe(now.getTime() / 1000);
+            expect(cacheService.cacheData).toHaveBeenCalledWith(
+                'user01',
+                notBefore,
+                {prefix: 'USER_NBF_', expirationInMins: service.getMaximumTokenLifeInMins()}
             );
+            expect(cacheService.publishMessage).toHaveBeenCalledWith('ZERV_REVOKED_TOKENS', {userId: 'user01', notBefore, disconnectSockets: true});
+        });
+
+        it('should store the provided time', async () => {
+            const before = moment(now).add(1, 'hours').toDate();
+            const notBefore = await service.revokeUserTokens('user01', {before});
+            expect(notBefore).toBe(before.getTime() / 1000);
+        });
+
+        it('should revoke the tokens issued before the revocation within the same second', async () => {
+            const payload = {iat: Math.floor(now.getTime() / 1000), ims: now.getTime()};
+            jasmine.clock().tick(500);
+            const notBefore = await service.revokeUserTokens('user01');
+            expect(service.isIssuedBefore(payload, notBefore)).toBeTrue();
+        });
+
+        it('should not revoke the tokens issued after the revocation within the same second', async () => {
+            const notBefore = await service.revokeUserTokens('user01');
+            jasmine.clock().tick(500);
+            const payload = {iat: Math.floor(Date.now() / 1000), ims: Date.now()};
+            expect(Math.floor(notBefore)).toBe(payload.iat);
+            expect(service.isIssuedBefore(payload, notBefore)).toBeFalse();
+        });
+
+        it('should revoke the tokens without issue time in milliseconds issued within the same second', async () => {
+            jasmine.clock().tick(200);
+            const notBefore = await service.revokeUserTokens('user01');
+            jasmine.clock().tick(500);
+            // the issue time of the tokens signed by a previous version is truncated to the second
+            const payload = {iat: Math.floor(Date.now() / 1000)};
+            expect(service.isIssuedBefore(payload, notBefore)).toBeTrue();
+        });
+
+        it('should not reduce the scope of a previous revocation', async () => {
+            const previousNotBefore = Math.floor(now.getTime() / 1000) + 60;
+            cacheService.getCachedData.and.returnValue(Promise.resolve(JSON.stringify(previousNotBefore)));
+            const notBefore = await service.revokeUserTokens('user01');
+            expect(notBefore).toBe(previousNotBefore);
+            expect(await service.getUserTokensNotBefore('user01')).toBe(previousNotBefore);
+            expect(cacheService.getCachedData).toHaveBeenCalledWith('user01', {prefix: 'USER_NBF_'});
+        });
+    });
+
+    describe('isTokenRevoked function', () => {
+        it('should check a token id existence in redis', async () => {
+            token = jwt.sign({id: 'user1', tid: 'tokenId1'}, 'aSecret');
+            cacheService.getCachedObjects.and.returnValue(Promise.resolve([true]));
+            const result = await service.isTokenRevoked(token);
+            expect(cacheService.getCachedObjects).toHaveBeenCalledWith([
+                'REVOK_TID_tokenId1',
+                'REVOK_TOK_' + token
+            ]);
+            expect(result).toBeTrue();
+        });
+
+        it('should check the hash of a token without token id', async () => {
+            const result = await service.isTokenRevoked(token);
+            expect(cacheService.getCachedObjects).toHaveBeenCalledWith([
+                'REVOK_TID_' + tokenHash,
+                'REVOK_TOK_' + token
+            ]);
+            expect(result).toBeFalse();
+        });
+
+        it('should still find a token revoked with the legacy format', async () => {
+            // the legacy key stored the full token
+            cacheService.getCachedObjects.and.callFake((keys) => Promise.resolve(keys[1] === 'REVOK_TOK_' + token ? [true] : []));
+            const result = await service.isTokenRevoked(token);
             expect(result).toBeTrue();
         });
+
+        it('should not consider a token revoked during its grace period', async () => {
+            cacheService.getCachedObjects.and.returnValue(Promise.resolve([now.getTime() + 30000]));
+            expect(await service.isTokenRevoked(token)).toBeFalse();
+            jasmine.clock().tick(30000);
+            expect(await service.isTokenRevoked(token)).toBeTrue();
+        });
+    });
+
+    describe('local revocation cache', () => {
+        let legacyToken, notifyRevokedToken, loadRevokedTokens, userNotBefore;
+
+        beforeEach(() => {
+            legacyToken = jwt.sign({id: 'user1', tid: 'tokenId3'}, 'aSecret');
+            spyOn(cacheService, 'subscribeToChannel').and.callFake((channel, callback, onSubscribed) => {
+                notifyRevokedToken = callback;
+                loadRevokedTokens = onSubscribed;
+                return jasmine.createSpy('unsubscribe');
+            });
+            const revokedKeys = {
+                REVOK_TID_: ['tokenId1'],
+                REVOK_TOK_: [legacyToken],
+                REVOK_FAM_: ['family1'],
+                USER_NBF_: ['user01']
+            };
+            spyOn(cacheService, 'getCachedKeys').and.callFake((key, options) => Promise.resolve(revokedKeys[options.prefix]));
+            cacheService.getCachedObjects.and.returnValue(Promise.resolve([true]));
+            userNotBefore = Math.floor(now.getTime() / 1000);
+            spyOn(cacheService, 'getCachedObject').and.callFake(() => Promise.resolve(userNotBefore));
+            spyOn(cacheService, 'getCachedBooleanValue').and.returnValue(Promise.resolve(true));
+        });
+
+        afterEach(() => {
+            service.disableLocalRevocationCache();
+        });
+
+        describe('with a set', () => {
+            beforeEach(() => {
+                service.enableLocalRevocationCache();
+            });
+
+            it('should check the cache until the revoked tokens are loaded', async () => {
+                expect(cacheService.subscribeToChannel).toHaveBeenCalledWith('ZERV_REVOKED_TOKENS', jasmine.any(Function), jasmine.any(Function));
+                expect(await service.isTokenRevoked(createToken('tokenId2'))).toBeTrue();
+                expect(cacheService.getCachedObjects).toHaveBeenCalled();
+            });
+
+            it('should not check the cache for a token which is not revoked', async () => {
+                await loadRevokedTokens();
+                expect(await service.isTokenRevoked(createToken('tokenId2'))).toBeFalse();
+                expect(cacheService.getCachedObjects).not.toHaveBeenCalled();
+            });
+
+            it('should check the cache for a token possibly revoked', async () => {
+                await loadRevokedTokens();
+                expect(await service.isTokenRevoked(createToken('tokenId1'))).toBeTrue();
+                expect(await service.isTokenRevoked(legacyToken)).toBeTrue();
+                expect(cacheService.getCachedObjects).toHaveBeenCalledTimes(2);
+            });
+
+            it('should forget a token whose revocation expired', async () => {
+                await loadRevokedTokens();
+                cacheService.getCachedObjects.and.returnValue(Promise.resolve([]));
+                expect(await service.isTokenRevoked(createToken('tokenId1'))).toBeFalse();
+                expect(await service.isTokenRevoked(createToken('tokenId1'))).toBeFalse();
+                expect(cacheService.getCachedObjects).toHaveBeenCalledTimes(1);
+            });
+
+            it('should add the tokens revoked by other servers', async () => {
+                await loadRevokedTokens();
+                notifyRevokedToken({tokenId: 'tokenId2'});
+                expect(await service.isTokenRevoked(createToken('tokenId2'))).toBeTrue();
+            });
+
+            it('should add the tokens revoked by this server before the cache is notified', async () => {
+                await loadRevokedTokens();
+                const exp = Math.round(now.getTime() / 1000) + 60;
+                await service.revokeToken(createToken('tokenId2'), exp);
+                expect(await service.isTokenRevoked(createToken('tokenId2'))).toBeTrue();
+                expect(cacheService.getCachedObjects).toHaveBeenCalledTimes(1);
+            });
+
+            it('should reload the revoked tokens periodically', async () => {
+                await loadRevokedTokens();
+                jasmine.clock().tick(60 * 60000);
+                await new Promise((resolve) => setImmediate(resolve));
+                expect(cacheService.getCachedKeys).toHaveBeenCalledTimes(8);
+            });
+
+            it('should not check the cache for a token family which is not revoked', async () => {
+                await loadRevokedTokens();
+                expect(await service.isTokenFamilyRevoked('family2')).toBeFalse();
+                expect(cacheService.getCachedBooleanValue).not.toHaveBeenCalled();
+                expect(await service.isTokenFamilyRevoked('family1')).toBeTrue();
+                expect(cacheService.getCachedBooleanValue).toHaveBeenCalledWith('family1', {prefix: 'REVOK_FAM_'});
+            });
+
+            it('should add the token families revoked by other servers', async () => {
+                await loadRevokedTokens();
+                notifyRevokedToken({familyId: 'family2', exp: Math.round(now.getTime() / 1000) + 60});
+                expect(await service.isTokenFamilyRevoked('family2')).toBeTrue();
+            });
+
+            it('should add the token families revoked by this server', async () => {
+                await loadRevokedTokens();
+                await service.revokeTokenFamily('family2', Math.round(now.getTime() / 1000) + 60);
+                expect(cacheService.publishMessage).toHaveBeenCalledWith('ZERV_REVOKED_TOKENS', jasmine.objectContaining({familyId: 'family2'}));
+                expect(await service.isTokenFamilyRevoked('family2')).toBeTrue();
+            });
+
+            it('should provide the time before which the user tokens are revoked without checking the cache', async () => {
+                await loadRevokedTokens();
+                expect(cacheService.getCachedObject).toHaveBeenCalledWith('user01', {prefix: 'USER_NBF_'});
+                cacheService.getCachedObject.calls.reset();
+                expect(await service.getUserTokensNotBefore('user01')).toBe(userNotBefore);
+                expect(await service.getUserTokensNotBefore('user02')).toBeNull();
+                expect(cacheService.getCachedObject).not.toHaveBeenCalled();
+            });
+
+            it('should keep the latest revocation of the user tokens published by other servers', async () => {
+                await loadRevokedTokens();
+                notifyRevokedToken({userId: 'user01', notBefore: userNotBefore + 60, disconnectSockets: true});
+                notifyRevokedToken({userId: 'user01', notBefore: userNotBefore - 60, disconnectSockets: true});
+                // the user id type of the message might differ
+                notifyRevokedToken({userId: 123, notBefore: userNotBefore, disconnectSockets: true});
+                expect(await service.getUserTokensNotBefore('user01')).toBe(userNotBefore + 60);
+                expect(await service.getUserTokensNotBefore('123')).toBe(userNotBefore);
+            });
+
+            it('should add the revocations of the user tokens published while loading', async () => {
+                const loading = loadRevokedTokens();
+                notifyRevokedToken({userId: 'user02', notBefore: userNotBefore, disconnectSockets: true});
+                await loading;
+                expect(await service.getUserTokensNotBefore('user02')).toBe(userNotBefore);
+            });
+        });
+
+        describe('with a bloom filter', () => {
+            beforeEach(() => {
+                service.enableLocalRevocationCache({bloomFilter: {expectedItems: 1000}});
+            });
+
+            it('should only check the cache for a token possibly revoked', async () => {
+                await loadRevokedTokens();
+                expect(await service.isTokenRevoked(createToken('tokenId2'))).toBeFalse();
+                expect(cacheService.getCachedObjects).not.toHaveBeenCalled();
+                expect(await service.isTokenRevoked(createToken('tokenId1'))).toBeTrue();
+                expect(cacheService.getCachedObjects).toHaveBeenCalledTimes(1);
+            });
+        });
+
+        function createToken(tid) {
+            return jwt.sign({id: 'user1', tid}, 'aSecret');
+        }
     });
 });
@@ -0,0 +1,47 @@
+'use strict';
+const totp = require('../lib/totp');
+
+describe('totp', () => {
+    // RFC 6238 test vectors (SHA1), secret "12345678901234567890"
+    const rfcSecret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+    it('should generate the codes of the RFC 6238 test vectors', () => {
+        expect(totp.generateCode(rfcSecret, 59 * 1000, {digits: 8})).toBe('94287082');
+        expect(totp.generateCode(rfcSecret, 1111111109 * 1000, {digits: 8})).toBe('07081804');
+        expect(totp.generateCode(rfcSecret, 1234567890 * 1000, {digits: 8})).toBe('89005924');
+        expect(totp.generateCode(rfcSecret, 20000000000 * 1000, {digits: 8})).toBe('65353130');
+    });
+
+    it('should generate a base32 secret', () => {
+        const secret = totp.generateSecret();
+        expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+        expect(totp.generateSecret()).not.toBe(secret);
+    });
+
+    it('should verify the code of the current step', () => {
+        const secret = totp.generateSecret();
+        const time = Date.now();
+        const code = totp.generateCode(secret, time);
+        expect(totp.verifyCode(secret, code, {time})).toBe(Math.floor(time / 30000));
+    });
+
+    it('should tolerate a clock drift of one step', () => {
+        const secret = totp.generateSecret();
+        const time = Date.now();
+        expect(totp.verifyCode(secret, totp.generateCode(secret, time - 30000), {time})).not.toBe(-1);
+        expect(totp.verifyCode(secret, totp.generateCode(secret, time + 30000), {time})).not.toBe(-1);
+        expect(totp.verifyCode(secret, totp.generateCode(secret, time - 90000), {time})).toBe(-1);
+    });
+
+    it('should reject a malformed code', () => {
+        const secret = totp.generateSecret();
+        expect(totp.verifyCode(secret, '12345')).toBe(-1);
+        expect(totp.verifyCode(secret, 'abcdef')).toBe(-1);
+        expect(totp.verifyCode(secret, null)).toBe(-1);
+    });
+
+    it('should provide the provisioning uri for authenticator apps', () => {
+        expect(totp.getProvisioningUri('JBSWY3DPEHPK3PXP', {issuer: 'Zerv App', name: 'john@doe.com'}))
+            .toBe('otpauth://totp/Zerv%20App:john%40doe.com?secret=JBSWY3DPEHPK3PXP&issuer=Zerv%20App&algorithm=SHA1&digits=6&period=30');
+    });
+});
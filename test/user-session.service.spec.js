@@ -116,6 +116,13 @@ describe('user-session.service', () => {
         spyOn(cacheService, 'cacheData').and.returnValue(Promise.resolve());
         spyOn(cacheService, 'removeCachedData').and.returnValue(Promise.resolve());
         spyOn(cacheService, 'getCachedObject').and.returnValue(Promise.resolve());
+        spyOn(cacheService, 'getCachedObjects').and.returnValue(Promise.resolve([]));
+        spyOn(cacheService, 'addCachedSetMember').and.returnValue(Promise.resolve());
+        spyOn(cacheService, 'removeCachedSetMember').and.returnValue(Promise.resolve());
+        spyOn(cacheService, 'getCachedSetMembers').and.returnValue(Promise.resolve([]));
+        // the sessions created before the indexes existed were already indexed
+        spyOn(cacheService, 'getCachedBooleanValue').and.returnValue(Promise.resolve(true));
+        service._clearClusterUserSessionIndexesMigration();
     });
 
     afterEach(() => {
@@ -619,12 +626,154 @@ describe('user-session.service', () => {
         it('should not release any session if the session does not exist for provided origin', async () => {
             service.init(zervWithSyncModule, io, inactiveLocalUserSessionTimeoutInMins);
             service.getLocalUserSession.and.returnValue(null);
-            await service.logout('unknownSessionOnLocalServer', 'logout_test');
+            const result = await service.logout('unknownSessionOnLocalServer', 'logout_test');
+            expect(result).toBeNull();
             expect(service._logoutLocally).not.toHaveBeenCalled();
+            expect(cacheService.removeCachedData).not.toHaveBeenCalled();
+            expect(zervWithSyncModule.notifyCreation).not.toHaveBeenCalled();
+        });
+
+        it('should remove the cluster session and notify all servers when the session does not exist on this server', async () => {
+            service.init(zervWithSyncModule, io, inactiveLocalUserSessionTimeoutInMins);
+            service.getLocalUserSession.and.returnValue(null);
+            const clusterUserSession = {userId: 'user01', origin: 'browserOriginId', tenantId: 'corpPlus'};
+            cacheService.getCachedObject.and.returnValue(Promise.resolve(clusterUserSession));
+            const result = await service.logout('browserOriginId', 'logout_test');
+            expect(result).toBe(clusterUserSession);
+            expect(service._logoutLocally).not.toHaveBeenCalled();
+            expect(cacheService.getCachedObject).toHaveBeenCalledWith('browserOriginId', {prefix: 'SESSION_'});
+            expect(cacheService.removeCachedData).toHaveBeenCalledWith('browserOriginId', {prefix: 'SESSION_'});
+            expect(zervWithSyncModule.notifyCreation).toHaveBeenCalledWith(
+                'corpPlus',
+                'USER_SESSION_LOGGED_OUT',
+                {id: 1580983567000, origin: 'browserOriginId', logoutReason: 'logout_test', zervServerId: null},
+                {allServers: true}
+            );
+        });
+
+        it('should remove the cluster session when the service was never initialized with zerv', async () => {
+            // a fresh module instance, as a process only authorizing http requests would load it
+            delete require.cache[require.resolve('../lib/user-session.service')];
+            const uninitializedService = require('../lib/user-session.service');
+            delete require.cache[require.resolve('../lib/user-session.service')];
+            const clusterUserSession = {userId: 'user01', origin: 'browserOriginId', tenantId: 'corpPlus'};
+            cacheService.getCachedObject.and.returnValue(Promise.resolve(clusterUserSession));
+            const result = await uninitializedService.logout('browserOriginId', 'logout_test');
+            expect(result).toBe(clusterUserSession);
+            expect(cacheService.removeCachedData).toHaveBeenCalledWith('browserOriginId', {prefix: 'SESSION_'});
             expect(zervWithSyncModule.notifyCreation).not.toHaveBeenCalled();
         });
     });
 
+    describe('user sessions management', () => {
+        let clusterUserSessions;
+
+        beforeEach(() => {
+            clusterUserSessions = [
+                {userId: 'user01', origin: 'browserId01', tenantId: 'corpPlus'},
+                {userId: 'user01', origin: 'browserId04', tenantId: 'corpPlus'},
+                {userId: 'user02', origin: 'browserId02', tenantId: 'corpPlus'},
+                {userId: 'user03', origin: 'browserId03', tenantId: 'otherCorp'}
+            ];
+            mockClusterUserSessionIndexes(() => clusterUserSessions);
+            spyOn(service, 'logout').and.callFake((origin) => Promise.resolve(_.find(clusterUserSessions, {origin})));
+        });
+
+        it('should list the sessions of a user on all servers via the user index', async () => {
+            const result = await service.listUserSessions('user01');
+            expect(cacheService.getCachedSetMembers).toHaveBeenCalledWith('user01', {prefix: 'USER_SESSIONS_'});
+            expect(cacheService.getCachedObjects).toHaveBeenCalledWith(['browserId01', 'browserId04'], {prefix: 'SESSION_'});
+            expect(result).toEqual([clusterUserSessions[0], clusterUserSessions[1]]);
+        });
+
+        it('should remove the expired sessions from the index', async () => {
+            cacheService.getCachedSetMembers.and.returnValue(Promise.resolve(['browserId01', 'expiredBrowserId']));
+            const result = await service.listUserSessions('user01');
+            expect(result).toEqual([clusterUserSessions[0]]);
+            expect(cacheService.removeCachedSetMember).toHaveBeenCalledTimes(1);
+            expect(cacheService.removeCachedSetMember).toHaveBeenCalledWith('user01', 'expiredBrowserId', {prefix: 'USER_SESSIONS_'});
+        });
+
+        it('should remove the sessions whose origin is now used by another user from the index', async () => {
+            cacheService.getCachedSetMembers.and.returnValue(Promise.resolve(['browserId01', 'browserId02']));
+            const result = await service.listUserSessions('user01');
+            expect(result).toEqual([clusterUserSessions[0]]);
+            expect(cacheService.removeCachedSetMember).toHaveBeenCalledWith('user01', 'browserId02', {prefix: 'USER_SESSIONS_'});
+        });
+
+        it('should list the sessions of a user whatever the type of the user id', async () => {
+            clusterUserSessions.push({userId: 5, origin: 'browserId05', tenantId: 'corpPlus'});
+            clusterUserSessions.push({userId: '5', origin: 'browserId06', tenantId: 'corpPlus'});
+            expect(await service.listUserSessions(5)).toEqual([clusterUserSessions[4], clusterUserSessions[5]]);
+            expect(await service.listUserSessions('5')).toEqual([clusterUserSessions[4], clusterUserSessions[5]]);
+        });
+
+        it('should log out all sessions of a user', async () => {
+            const result = await service.logoutUser('user01', 'compromised_account');
+            expect(service.logout).toHaveBeenCalledTimes(2);
+            expect(service.logout).toHaveBeenCalledWith('browserId01', 'compromised_account');
+            expect(service.logout).toHaveBeenCalledWith('browserId04', 'compromised_account');
+            expect(result).toEqual([clusterUserSessions[0], clusterUserSessions[1]]);
+        });
+
+        it('should not return the sessions already logged out by another server', async () => {
+            service.logout.and.returnValue(Promise.resolve(null));
+            const result = await service.logoutUser('user01', 'compromised_account');
+            expect(result).toEqual([]);
+        });
+
+        it('should log out all sessions of a tenant', async () => {
+            const result = await service.logoutTenant('corpPlus', 'tenant_suspended');
+            expect(cacheService.getCachedSetMembers).toHaveBeenCalledWith('corpPlus', {prefix: 'TENANT_SESSIONS_'});
+            expect(service.logout).toHaveBeenCalledTimes(3);
+            expect(service.logout).not.toHaveBeenCalledWith('browserId03', jasmine.any(String));
+            expect(result.length).toBe(3);
+        });
+
+        it('should index the sessions created before the indexes existed before reading an index', async () => {
+            cacheService.getCachedBooleanValue.and.returnValue(Promise.resolve(false));
+            spyOn(service, '_findClusterUserSessions').and.returnValue(Promise.resolve([
+                {userId: 5, origin: 'browserId05', tenantId: 'corpPlus'}
+            ]));
+            await service.listUserSessions(5);
+            expect(cacheService.getCachedBooleanValue).toHaveBeenCalledWith('ZERV_SESSION_INDEXES_MIGRATED');
+            expect(cacheService.addCachedSetMember).toHaveBeenCalledWith('5', 'browserId05', {prefix: 'USER_SESSIONS_', expirationInMins: jasmine.any(Number)});
+            expect(cacheService.addCachedSetMember).toHaveBeenCalledWith('corpPlus', 'browserId05', {prefix: 'TENANT_SESSIONS_', expirationInMins: jasmine.any(Number)});
+            expect(cacheService.addCachedSetMember).toHaveBeenCalledBefore(cacheService.getCachedSetMembers);
+            expect(cacheService.cacheData).toHaveBeenCalledWith('ZERV_SESSION_INDEXES_MIGRATED', true);
+            // only once
+            await service.logoutTenant('corpPlus');
+            expect(service._findClusterUserSessions).toHaveBeenCalledTimes(1);
+        });
+
+        it('should not scan the sessions once indexed by another server', async () => {
+            spyOn(service, '_findClusterUserSessions');
+            await service.listUserSessions('user01');
+            expect(service._findClusterUserSessions).not.toHaveBeenCalled();
+        });
+
+        it('should index the sessions created before the indexes existed again if it failed', async () => {
+            cacheService.getCachedBooleanValue.and.returnValue(Promise.resolve(false));
+            spyOn(service, '_findClusterUserSessions').and.returnValues(Promise.reject(new Error('redis is down')), Promise.resolve([]));
+            try {
+                await service.listUserSessions('user01');
+                throw new Error('should have failed');
+            } catch (err) {
+                expect(err.message).toBe('redis is down');
+            }
+            expect(await service.listUserSessions('user01')).toEqual([clusterUserSessions[0], clusterUserSessions[1]]);
+            expect(service._findClusterUserSessions).toHaveBeenCalledTimes(2);
+        });
+
+        it('should log out all sessions of a tenant whatever the type of the tenant id', async () => {
+            clusterUserSessions.push({userId: 'user05', origin: 'browserId05', tenantId: 7});
+            clusterUserSessions.push({userId: 'user06', origin: 'browserId06', tenantId: '7'});
+            const result = await service.logoutTenant(7, 'tenant_suspended');
+            expect(service.logout).toHaveBeenCalledTimes(2);
+            expect(result).toEqual([clusterUserSessions[4], clusterUserSessions[5]]);
+        });
+    });
+
     describe('tenantMaximumActiveSessionTimeout value', () => {
         it('should be set and retrieve properly', () => {
             service.setTenantMaximumActiveSessionTimeout('prudentTenantId', 60);
@@ -646,6 +795,145 @@ describe('user-session.service', () => {
         });
     });
 
+    describe('cluster user session index', () => {
+        let localUserSession;
+
+        beforeEach(() => {
+            service.init(zervWithSyncModule, io, inactiveLocalUserSessionTimeoutInMins);
+            spyOn(service, '_logoutLocally');
+            localUserSession = {userId: 'user01', origin: 'browserId01', tenantId: 'corpPlus'};
+        });
+
+        it('should index a new cluster session by user and by tenant', async () => {
+            await service._getClusterUserSession(localUserSession);
+            expect(cacheService.addCachedSetMember).toHaveBeenCalledWith('user01', 'browserId01', {prefix: 'USER_SESSIONS_', expirationInMins: 129600});
+            expect(cacheService.addCachedSetMember).toHaveBeenCalledWith('corpPlus', 'browserId01', {prefix: 'TENANT_SESSIONS_', expirationInMins: 129600});
+        });
+
+        it('should not index an existing cluster session again', async () => {
+            cacheService.getCachedObject.and.returnValue(Promise.resolve({userId: 'user01', origin: 'browserId01', tenantId: 'corpPlus'}));
+            await service._getClusterUserSession(localUserSession);
+            expect(cacheService.addCachedSetMember).not.toHaveBeenCalled();
+        });
+
+        it('should remove a logged out cluster session from the indexes', async () => {
+            spyOn(service, 'getLocalUserSession').and.returnValue(null);
+            cacheService.getCachedObject.and.returnValue(Promise.resolve(localUserSession));
+            await service.logout('browserId01', 'logout_test');
+            expect(cacheService.removeCachedData).toHaveBeenCalledWith('browserId01', {prefix: 'SESSION_'});
+            expect(cacheService.removeCachedSetMember).toHaveBeenCalledWith('user01', 'browserId01', {prefix: 'USER_SESSIONS_'});
+            expect(cacheService.removeCachedSetMember).toHaveBeenCalledWith('corpPlus', 'browserId01', {prefix: 'TENANT_SESSIONS_'});
+        });
+    });
+
+    describe('concurrent session policy', () => {
+        let clusterUserSessions, localUserSession;
+
+        beforeEach(() => {
+            service.init(zervWithSyncModule, io, inactiveLocalUserSessionTimeoutInMins);
+            const lastUserActivity = moment(now).subtract(10, 'minutes').toDate();
+            clusterUserSessions = [
+                {userId: 'user01', origin: 'browserId05', tenantId: 'corpPlus', clusterCreation: moment(now).subtract(1, 'days').toDate(), lastUserActivity},
+                {userId: 'user01', origin: 'browserId04', tenantId: 'corpPlus', clusterCreation: moment(now).subtract(2, 'days').toDate(), lastUserActivity},
+                {userId: 'user02', origin: 'browserId02', tenantId: 'corpPlus', clusterCreation: moment(now).subtract(3, 'days').toDate(), lastUserActivity},
+                // inactive for too long, not counted
+                {userId: 'user01', origin: 'browserId06', tenantId: 'corpPlus', clusterCreation: moment(now).subtract(5, 'days').toDate(), lastUserActivity: moment(now).subtract(2, 'days').toDate()},
+                {userId: 'user01', origin: 'browserId07', tenantId: 'otherCorp', clusterCreation: moment(now).subtract(5, 'days').toDate(), lastUserActivity}
+            ];
+            mockClusterUserSessionIndexes(() => clusterUserSessions);
+            spyOn(service, 'logout').and.returnValue(Promise.resolve({}));
+            localUserSession = {userId: 'user01', origin: 'browserId01', tenantId: 'corpPlus'};
+        });
+
+        it('should not limit the sessions by default', async () => {
+            expect(service.getTenantConcurrentSessionPolicy('corpPlus')).toBeNull();
+            await service.enforceConcurrentSessionPolicy(localUserSession);
+            expect(cacheService.getCachedSetMembers).not.toHaveBeenCalled();
+        });
+
+        it('should reject a new session when the user has reached the maximum', async () => {
+            service.setTenantConcurrentSessionPolicy('corpPlus', {maxSessionsPerUser: 2});
+            const error = await service.enforceConcurrentSessionPolicy(localUserSession).catch((err) => err);
+            expect(error.message).toBe('too_many_sessions');
+            expect(service.logout).not.toHaveBeenCalled();
+        });
+
+        it('should allow a new session when the user has not reached the maximum', async () => {
+            service.setTenantConcurrentSessionPolicy('corpPlus', {maxSessionsPerUser: 3});
+            await service.enforceConcurrentSessionPolicy(localUserSession);
+            expect(service.logout).not.toHaveBeenCalled();
+        });
+
+        it('should evict the oldest session of the user when the user has reached the maximum', async () => {
+            service.setTenantConcurrentSessionPolicy('corpPlus', {maxSessionsPerUser: 2, onLimitReached: 'evict_oldest'});
+            await service.enforceConcurrentSessionPolicy(localUserSession);
+            expect(service.logout).toHaveBeenCalledTimes(1);
+            expect(service.logout).toHaveBeenCalledWith('browserId04', 'too_many_sessions');
+        });
+
+        it('should reject a new session when the tenant has reached the maximum', async () => {
+            service.setTenantConcurrentSessionPolicy('corpPlus', {maxSessionsPerTenant: 3});
+            const error = await service.enforceConcurrentSessionPolicy(localUserSession).catch((err) => err);
+            expect(error.message).toBe('too_many_sessions');
+        });
+
+        it('should evict the oldest session of the tenant when the tenant has reached the maximum', async () => {
+            service.setTenantConcurrentSessionPolicy('corpPlus', {maxSessionsPerTenant: 2, onLimitReached: 'evict_oldest'});
+            await service.enforceConcurrentSessionPolicy(localUserSession);
+            expect(service.logout).toHaveBeenCalledTimes(2);
+            expect(service.logout).toHaveBeenCalledWith('browserId02', 'too_many_sessions');
+            expect(service.logout).toHaveBeenCalledWith('browserId04', 'too_many_sessions');
+        });
+
+        it('should not count a session evicted for the user limit in the tenant limit', async () => {
+            service.setTenantConcurrentSessionPolicy('corpPlus', {maxSessionsPerUser: 2, maxSessionsPerTenant: 3, onLimitReached: 'evict_oldest'});
+            await service.enforceConcurrentSessionPolicy(localUserSession);
+            expect(service.logout).toHaveBeenCalledTimes(1);
+            expect(service.logout).toHaveBeenCalledWith('browserId04', 'too_many_sessions');
+        });
+
+        it('should only read the index of the limited sessions', async () => {
+            service.setTenantConcurrentSessionPolicy('corpPlus', {maxSessionsPerUser: 3});
+            await service.enforceConcurrentSessionPolicy(localUserSession);
+            expect(cacheService.getCachedSetMembers).toHaveBeenCalledTimes(1);
+            expect(cacheService.getCachedSetMembers).toHaveBeenCalledWith('user01', {prefix: 'USER_SESSIONS_'});
+        });
+
+        it('should be checked when an http user session is opened', async () => {
+            service.setTenantConcurrentSessionPolicy('corpPlus', {maxSessionsPerUser: 2});
+            const error = await service.openHttpUserSession('browserId01', {id: 'user01'}, 'corpPlus').catch((err) => err);
+            expect(error.message).toBe('too_many_sessions');
+            expect(cacheService.cacheData).not.toHaveBeenCalled();
+        });
+
+        it('should not be checked when the session of the user already exists at the origin', async () => {
+            service.setTenantConcurrentSessionPolicy('corpPlus', {maxSessionsPerUser: 2});
+            cacheService.getCachedObject.and.returnValue(Promise.resolve({userId: 'user01', origin: 'browserId01', tenantId: 'corpPlus'}));
+            await service.enforceConcurrentSessionPolicy(localUserSession);
+            expect(cacheService.getCachedSetMembers).not.toHaveBeenCalled();
+        });
+
+        it('should not be checked when the session of the user already exists at the origin whatever the type of the user id', async () => {
+            service.setTenantConcurrentSessionPolicy('corpPlus', {maxSessionsPerUser: 2});
+            cacheService.getCachedObject.and.returnValue(Promise.resolve({userId: 5, origin: 'browserId01', tenantId: 'corpPlus'}));
+            await service.enforceConcurrentSessionPolicy({userId: '5', origin: 'browserId01', tenantId: 'corpPlus'});
+            expect(cacheService.getCachedSetMembers).not.toHaveBeenCalled();
+        });
+
+        it('should be checked when the origin is used by the session of another user', async () => {
+            service.setTenantConcurrentSessionPolicy('corpPlus', {maxSessionsPerUser: 2});
+            cacheService.getCachedObject.and.returnValue(Promise.resolve({userId: 'user02', origin: 'browserId01', tenantId: 'corpPlus'}));
+            const error = await service.enforceConcurrentSessionPolicy(localUserSession).catch((err) => err);
+            expect(error.message).toBe('too_many_sessions');
+        });
+
+        it('should be removed', () => {
+            service.setTenantConcurrentSessionPolicy('corpPlus', {maxSessionsPerUser: 2});
+            service.setTenantConcurrentSessionPolicy('corpPlus', null);
+            expect(service.getTenantConcurrentSessionPolicy('corpPlus')).toBeNull();
+        });
+    });
+
     describe('localSessionDestroy listener', () => {
         let localUserSession;
 
@@ -709,3 +997,19 @@ class MockSocket {
         return service.disconnectUser(this);
     }
 }
+
+/**
+ * The user and tenant indexes contain the origins of the provided cluster user sessions.
+ *
+ * @param {Function} getClusterUserSessions returns the cluster user sessions stored in the cache
+ */
+function mockClusterUserSessionIndexes(getClusterUserSessions) {
+    cacheService.getCachedSetMembers.and.callFake((id, options) => {
+        const property = options.prefix === 'USER_SESSIONS_' ? 'userId' : 'tenantId';
+        const sessions = _.filter(getClusterUserSessions(), (session) => String(session[property]) === id);
+        return Promise.resolve(_.map(sessions, 'origin'));
+    });
+    cacheService.getCachedObjects.and.callFake((origins) => Promise.resolve(
+        _.filter(getClusterUserSessions(), (session) => _.includes(origins, session.origin))
+    ));
+}